@@ -1,11 +1,16 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
-import { FaLightbulb, FaMoon, FaPaperPlane, FaTrash, FaHistory, FaSave, 
-         FaMicrophone, FaMicrophoneAlt, FaVolumeUp, FaVolumeMute, FaStop, FaCog, FaDatabase } from 'react-icons/fa';
+import { FaLightbulb, FaMoon, FaPaperPlane, FaTrash, FaHistory, FaPen, 
+         FaMicrophone, FaMicrophoneAlt, FaVolumeUp, FaVolumeMute, FaStop, FaCog, FaDatabase, FaCalculator, FaTheaterMasks } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
 import useSpeechRecognition from './hooks/useSpeechRecognition';
 import useTextToSpeech from './hooks/useTextToSpeech';
 import KnowledgeBase from './components/KnowledgeBase';
+import CitationViewer from './components/CitationViewer';
+import CollectionSelector from './components/CollectionSelector';
+import ModelSelector, { modelLabel } from './components/ModelSelector';
+import ModelComparison from './components/ModelComparison';
+import PersonaManager from './components/PersonaManager';
 
 function App() {
   const [question, setQuestion] = useState('');
@@ -14,16 +19,39 @@ function App() {
   const [error, setError] = useState(null);
   const [darkMode, setDarkMode] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
+  // Stored conversations for the history panel, without their messages
   const [savedConversations, setSavedConversations] = useState([]);
   const [showVoiceSettings, setShowVoiceSettings] = useState(false);
   const [showKnowledgeBase, setShowKnowledgeBase] = useState(false);
   const [usingKnowledgeBase, setUsingKnowledgeBase] = useState(false);
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [collections, setCollections] = useState([]);
+  // Collections the current conversation draws from; empty means all documents
+  const [selectedCollectionIds, setSelectedCollectionIds] = useState([]);
+  // Filter expression over document tags and metadata, e.g. "product=alpha AND date>=2025"
+  const [retrievalFilter, setRetrievalFilter] = useState('');
   
-  // Store the conversation ID for the current active conversation
+  // Server id of the conversation on screen; created with its first question
   const [activeConversationId, setActiveConversationId] = useState(null);
   
+  // Model that answers, or in compare mode the models asked side by side
+  const [availableModels, setAvailableModels] = useState([]);
+  const [availableProviders, setAvailableProviders] = useState([]);
+  const [selectedProvider, setSelectedProvider] = useState('');
+  const [selectedModel, setSelectedModel] = useState('');
+  const [compareMode, setCompareMode] = useState(false);
+  const [comparedModels, setComparedModels] = useState([]);
+  
+  // Persona answers are given in; '' is the default assistant
+  const [personas, setPersonas] = useState([]);
+  const [personaDefaults, setPersonaDefaults] = useState({});
+  const [answerLengths, setAnswerLengths] = useState([]);
+  const [selectedPersonaId, setSelectedPersonaId] = useState('');
+  const [showPersonaManager, setShowPersonaManager] = useState(false);
+  
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
   
   // Voice hooks
   const { 
@@ -49,31 +77,113 @@ function App() {
     browserSupportsSpeech
   } = useTextToSpeech();
   
-  // Load saved conversations from localStorage
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/conversations?userId=default-user');
+      if (!response.ok) {
+        throw new Error('Failed to fetch conversations');
+      }
+      
+      const data = await response.json();
+      setSavedConversations(data.conversations || []);
+    } catch (e) {
+      console.error('Failed to load conversations');
+    }
+  }, []);
+  
+  // Load stored conversations on start
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+  
+  // Refresh them whenever the history panel opens
+  useEffect(() => {
+    if (showHistory) {
+      fetchConversations();
+    }
+  }, [showHistory, fetchConversations]);
+  
+  const fetchPersonas = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/personas?userId=default-user');
+      if (!response.ok) {
+        throw new Error('Failed to fetch personas');
+      }
+      
+      const data = await response.json();
+      const ids = (data.personas || []).map(persona => persona.id);
+      setPersonas(data.personas || []);
+      setPersonaDefaults(data.defaults || {});
+      setAnswerLengths(data.answerLengths || []);
+      // Fall back to the default assistant if the chosen persona was deleted
+      setSelectedPersonaId(prev => (ids.includes(prev) ? prev : ''));
+    } catch (e) {
+      console.error('Failed to load personas');
+    }
+  }, []);
+  
+  // Load personas on start and again whenever the persona manager closes
+  useEffect(() => {
+    if (showPersonaManager) return;
+    fetchPersonas();
+  }, [showPersonaManager, fetchPersonas]);
+  
+  // Load the models answers can come from
   useEffect(() => {
-    const saved = localStorage.getItem('savedConversations');
-    if (saved) {
+    const fetchModels = async () => {
       try {
-        setSavedConversations(JSON.parse(saved));
+        const response = await fetch('http://localhost:5001/api/models');
+        if (!response.ok) {
+          throw new Error('Failed to fetch models');
+        }
+        
+        const data = await response.json();
+        setAvailableModels(data.models || []);
+        setAvailableProviders(data.providers || []);
+        setSelectedProvider(data.defaultProvider);
+        setSelectedModel(data.defaultModel);
+        setComparedModels((data.models || [])
+          .filter(model => model.provider === data.defaultProvider)
+          .slice(0, 2)
+          .map(model => model.id));
       } catch (e) {
-        console.error('Failed to parse saved conversations');
+        console.error('Failed to load models');
       }
-    }
+    };
     
+    fetchModels();
+  }, []);
+  
+  useEffect(() => {
     // Check user preference for dark mode
     const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
     setDarkMode(prefersDark);
-    
-    // Generate a new conversation ID when the app starts
-    if (!activeConversationId) {
-      setActiveConversationId(Date.now().toString());
-    }
-  }, [activeConversationId]);
+  }, []);
   
-  // Save conversations to localStorage
+  // Load collections on start and again whenever the knowledge base closes,
+  // since they may have been created, renamed or deleted there
   useEffect(() => {
-    localStorage.setItem('savedConversations', JSON.stringify(savedConversations));
-  }, [savedConversations]);
+    if (showKnowledgeBase) return;
+    
+    const fetchCollections = async () => {
+      try {
+        const response = await fetch('http://localhost:5001/api/collections?userId=default-user');
+        if (!response.ok) {
+          throw new Error('Failed to fetch collections');
+        }
+        
+        const data = await response.json();
+        const ids = (data.collections || []).map(collection => collection.id);
+        setCollections(data.collections || []);
+        // Forget selections of collections that no longer exist
+        setSelectedCollectionIds(prev => prev.filter(id => ids.includes(id)));
+      } catch (e) {
+        console.error('Failed to load collections');
+      }
+    };
+    
+    fetchCollections();
+  }, [showKnowledgeBase]);
   
   // Auto-scroll to bottom of conversation
   useEffect(() => {
@@ -98,10 +208,34 @@ function App() {
     }
   }, [isListening, transcript]);
 
+  // The id of the conversation on screen, starting one on the server if needed
+  const ensureConversation = async () => {
+    if (activeConversationId) {
+      return activeConversationId;
+    }
+    
+    const response = await fetch('http://localhost:5001/api/conversations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId: 'default-user' })
+    });
+    if (!response.ok) {
+      throw new Error('Failed to start conversation');
+    }
+    
+    const data = await response.json();
+    setActiveConversationId(data.conversation.id);
+    return data.conversation.id;
+  };
+  
+  // A comparison waits for its winner before the conversation can go on
+  const pendingComparison = conversations.some(msg => msg.comparison);
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!question.trim()) return;
+    if (!question.trim() || pendingComparison) return;
+    if (compareMode && comparedModels.length < 2) return;
     
     // Stop any ongoing speech when submitting a new question
     stopSpeaking();
@@ -120,106 +254,348 @@ function App() {
     
     setConversations(prev => [...prev, newUserMessage]);
     
+    if (compareMode) {
+      await submitComparison(currentQuestion);
+      return;
+    }
+    
+    // Placeholder the streamed tokens are written into
+    const assistantTimestamp = new Date().toISOString();
+    const updateAssistantMessage = (updates) => {
+      setConversations(prev => prev.map(msg => 
+        msg.role === 'assistant' && msg.timestamp === assistantTimestamp ? { ...msg, ...updates } : msg
+      ));
+    };
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    let answer = '';
+    
     try {
-      // Prepare the full conversation history for context
-      const conversationHistory = [...conversations, newUserMessage]
-        .map(msg => ({ role: msg.role, content: msg.content }));
+      // The server answers from the conversation it has stored, so no history is sent
+      const conversationId = await ensureConversation();
       
-      const response = await fetch('http://localhost:5001/api/answer', {
+      const response = await fetch('http://localhost:5001/api/answer/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
           question: currentQuestion,
-          conversationId: activeConversationId,
-          history: conversationHistory
+          conversationId,
+          collectionIds: selectedCollectionIds,
+          filter: retrievalFilter.trim(),
+          provider: selectedProvider || undefined,
+          model: selectedModel || undefined,
+          personaId: selectedPersonaId || null,
+          userId: 'default-user' // Simple user ID for now
         }),
+        signal: abortController.signal
       });
       
-      if (!response.ok) {
+      if (!response.ok || !response.body) {
         throw new Error('Failed to get answer');
       }
       
-      const data = await response.json();
-      
-      // Check if knowledge base was used
-      setUsingKnowledgeBase(data.usedKnowledgeBase);
-      
-      // Add assistant response to conversation
-      const assistantResponse = { 
+      setConversations(prev => [...prev, { 
         role: 'assistant', 
-        content: data.answer, 
-        timestamp: new Date().toISOString(),
-        usedKnowledgeBase: data.usedKnowledgeBase
-      };
+        content: '', 
+        timestamp: assistantTimestamp,
+        citations: [],
+        isStreaming: true
+      }]);
       
-      setConversations(prev => [...prev, assistantResponse]);
+      // Read Server-Sent Events: metadata, then tokens, then done or error
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        
+        for (const rawEvent of events) {
+          const eventName = rawEvent.match(/^event: (.*)$/m)?.[1];
+          const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1];
+          if (!eventName || !dataLine) continue;
+          
+          const data = JSON.parse(dataLine);
+          
+          if (eventName === 'metadata') {
+            // Check if knowledge base was used
+            setUsingKnowledgeBase(data.usedKnowledgeBase);
+            updateAssistantMessage({ 
+              model: data.model,
+              usedKnowledgeBase: data.usedKnowledgeBase,
+              citations: data.citations || [],
+              tableResults: data.tableResults || []
+            });
+          } else if (eventName === 'token') {
+            answer += data.content;
+            updateAssistantMessage({ content: answer });
+          } else if (eventName === 'done') {
+            answer = data.answer;
+            updateAssistantMessage({ content: answer });
+          } else if (eventName === 'error') {
+            throw new Error(data.error || 'Failed to get answer');
+          }
+        }
+      }
       
       // Auto-speak the answer if user used voice input
       if (transcript && browserSupportsSpeech) {
-        speakText(data.answer);
+        speakText(answer);
       }
     } catch (err) {
-      setError(err.message);
-      console.error('Error:', err);
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+        console.error('Error:', err);
+      }
     } finally {
+      if (answer) {
+        updateAssistantMessage({ isStreaming: false });
+      } else {
+        // Nothing was generated, drop the empty placeholder
+        setConversations(prev => prev.filter(msg => 
+          !(msg.role === 'assistant' && msg.timestamp === assistantTimestamp)
+        ));
+      }
+      abortControllerRef.current = null;
       setIsLoading(false);
+      // The server stored the exchange; refresh titles and ordering
+      fetchConversations();
       resetTranscript();
       // Focus back on input after response
       inputRef.current?.focus();
     }
   };
   
-  const saveCurrentConversation = () => {
-    if (conversations.length === 0) return;
-    
-    const title = conversations[0].content.substring(0, 30) + '...';
-    const newSavedConvo = {
-      id: activeConversationId,
-      title,
-      messages: [...conversations],
-      date: new Date().toLocaleString()
-    };
+  // Ask every compared model at once; their answers wait side by side until one is chosen
+  const submitComparison = async (currentQuestion) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
     
-    // Check if we're updating an existing conversation or adding a new one
-    const existingIndex = savedConversations.findIndex(c => c.id === activeConversationId);
-    
-    if (existingIndex >= 0) {
-      // Update existing conversation
-      setSavedConversations(prev => 
-        prev.map((convo, idx) => idx === existingIndex ? newSavedConvo : convo)
-      );
-    } else {
-      // Add new conversation
-      setSavedConversations(prev => [newSavedConvo, ...prev]);
+    try {
+      const conversationId = await ensureConversation();
+      
+      const response = await fetch('http://localhost:5001/api/answer/compare', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ 
+          question: currentQuestion,
+          conversationId,
+          collectionIds: selectedCollectionIds,
+          filter: retrievalFilter.trim(),
+          provider: selectedProvider || undefined,
+          models: comparedModels,
+          personaId: selectedPersonaId || null,
+          userId: 'default-user' // Simple user ID for now
+        }),
+        signal: abortController.signal
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare models');
+      }
+      
+      setUsingKnowledgeBase(data.usedKnowledgeBase);
+      setConversations(prev => [...prev, { 
+        role: 'assistant', 
+        content: '', 
+        timestamp: new Date().toISOString(),
+        comparisonId: data.comparisonId,
+        comparison: data.answers,
+        citations: data.citations || [],
+        tableResults: data.tableResults || [],
+        usedKnowledgeBase: data.usedKnowledgeBase
+      }]);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+        console.error('Error:', err);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsLoading(false);
+      resetTranscript();
+      inputRef.current?.focus();
     }
   };
   
-  const loadConversation = (convo) => {
-    setConversations(convo.messages);
-    setActiveConversationId(convo.id);
-    setShowHistory(false);
+  // Keep one model's answer from a comparison; the conversation continues with that model
+  const chooseComparisonAnswer = async (comparisonMessage, chosenModel) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/answer/compare/${comparisonMessage.comparisonId}/choose`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: chosenModel, userId: 'default-user' })
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to choose answer');
+      }
+      
+      setConversations(prev => prev.map(msg => 
+        msg.comparisonId === comparisonMessage.comparisonId
+          ? { ...msg, content: data.answer, model: data.model, comparison: null }
+          : msg
+      ));
+      setSelectedModel(data.model);
+      setCompareMode(false);
+      // The server stored the exchange; refresh titles and ordering
+      fetchConversations();
+    } catch (err) {
+      console.error('Error choosing answer:', err);
+      setError(err.message);
+    }
+  };
+  
+  // Stop generating: aborting the request makes the server abort the model call
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
   };
   
+  const loadConversation = async (convo) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/conversations/${convo.id}?userId=default-user`);
+      if (!response.ok) {
+        throw new Error('Failed to load conversation');
+      }
+      
+      const { conversation } = await response.json();
+      setConversations(conversation.messages.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.createdAt,
+        citations: msg.citations,
+        tableResults: msg.tableResults,
+        usedKnowledgeBase: msg.usedKnowledgeBase,
+        model: msg.model
+      })));
+      setActiveConversationId(conversation.id);
+      setSelectedCollectionIds(conversation.collectionIds);
+      setRetrievalFilter(conversation.filter);
+      setSelectedPersonaId(personas.some(persona => persona.id === conversation.personaId) ? conversation.personaId : '');
+      setShowHistory(false);
+    } catch (err) {
+      console.error('Error loading conversation:', err);
+      setError(err.message);
+    }
+  };
+  
+  // The next question starts a new stored conversation, keeping the current persona
   const startNewConversation = () => {
     setConversations([]);
-    setActiveConversationId(Date.now().toString());
+    setActiveConversationId(null);
+    setSelectedCollectionIds(personas.find(persona => persona.id === selectedPersonaId)?.collectionIds || []);
+    setRetrievalFilter('');
+  };
+  
+  // Switch persona; its default collections replace the current selection
+  const selectPersona = (personaId) => {
+    setSelectedPersonaId(personaId);
+    const persona = personas.find(p => p.id === personaId);
+    if (persona && persona.collectionIds.length > 0) {
+      setSelectedCollectionIds(persona.collectionIds.filter(id => collections.some(collection => collection.id === id)));
+    }
+  };
+  
+  // Switch provider; its first models become the answering and compared ones
+  const selectProvider = (provider) => {
+    const providerModels = availableModels.filter(model => model.provider === provider);
+    setSelectedProvider(provider);
+    setSelectedModel(providerModels[0]?.id || '');
+    setComparedModels(providerModels.slice(0, 2).map(model => model.id));
+  };
+
+  const renameConversation = async (convo, e) => {
+    e.stopPropagation();
+    const title = window.prompt('Rename conversation', convo.title);
+    if (!title || !title.trim() || title === convo.title) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`http://localhost:5001/api/conversations/${convo.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, userId: 'default-user' })
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to rename conversation');
+      }
+      fetchConversations();
+    } catch (err) {
+      console.error('Error renaming conversation:', err);
+      setError(err.message);
+    }
   };
   
-  const deleteConversation = (id, e) => {
+  const deleteConversation = async (id, e) => {
     e.stopPropagation();
-    setSavedConversations(prev => prev.filter(convo => convo.id !== id));
+    if (!window.confirm('Delete this conversation?')) {
+      return;
+    }
     
-    // If we deleted the active conversation, create a new one
-    if (id === activeConversationId) {
-      startNewConversation();
+    try {
+      const response = await fetch(`http://localhost:5001/api/conversations/${id}?userId=default-user`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete conversation');
+      }
+      setSavedConversations(prev => prev.filter(convo => convo.id !== id));
+      
+      // If we deleted the active conversation, start a new one
+      if (id === activeConversationId) {
+        startNewConversation();
+      }
+    } catch (err) {
+      console.error('Error deleting conversation:', err);
+      setError(err.message);
     }
   };
   
+  // Turn inline [n] markers into buttons that open the cited passage
+  const renderMessageContent = (msg) => {
+    if (!msg.citations || msg.citations.length === 0) {
+      return msg.content;
+    }
+    
+    return msg.content.split(/(\[\d+\])/g).map((part, idx) => {
+      const match = part.match(/^\[(\d+)\]$/);
+      const citation = match && msg.citations.find(c => c.index === Number(match[1]));
+      
+      if (!citation) {
+        return part;
+      }
+      
+      return (
+        <button
+          key={idx}
+          className="citation-marker"
+          onClick={() => setActiveCitation(citation)}
+          title={`${citation.filename}${citation.page ? `, page ${citation.page}` : ''}`}
+        >
+          {citation.index}
+        </button>
+      );
+    });
+  };
+  
+  // Clear the screen; the stored conversation stays in the history
   const clearCurrentConversation = () => {
     stopSpeaking();
-    setConversations([]);
+    startNewConversation();
   };
 
   return (
@@ -234,6 +610,25 @@ function App() {
             AI Q&A Assistant
           </motion.h1>
           <div className="header-controls">
+            <select
+              className="persona-select"
+              value={selectedPersonaId}
+              onChange={(e) => selectPersona(e.target.value)}
+              disabled={isLoading}
+              title="Persona answers are given in"
+            >
+              <option value="">Default assistant</option>
+              {personas.map(persona => (
+                <option key={persona.id} value={persona.id}>{persona.name}</option>
+              ))}
+            </select>
+            <button 
+              className="icon-button persona-button" 
+              onClick={() => setShowPersonaManager(true)}
+              title="Manage Personas"
+            >
+              <FaTheaterMasks />
+            </button>
             <button 
               className="icon-button new-conversation-button" 
               onClick={startNewConversation}
@@ -278,7 +673,7 @@ function App() {
             >
               <h2>Conversation History</h2>
               {savedConversations.length === 0 ? (
-                <p className="empty-history">No saved conversations yet</p>
+                <p className="empty-history">No conversations yet</p>
               ) : (
                 <ul className="history-list">
                   {savedConversations.map(convo => (
@@ -288,7 +683,14 @@ function App() {
                       className={`history-item ${convo.id === activeConversationId ? 'active' : ''}`}
                     >
                       <span className="history-title">{convo.title}</span>
-                      <span className="history-date">{convo.date}</span>
+                      <span className="history-date">{new Date(convo.updatedAt).toLocaleString()}</span>
+                      <button 
+                        className="rename-history" 
+                        onClick={(e) => renameConversation(convo, e)}
+                        title="Rename conversation"
+                      >
+                        <FaPen />
+                      </button>
                       <button 
                         className="delete-history" 
                         onClick={(e) => deleteConversation(convo.id, e)}
@@ -325,14 +727,11 @@ function App() {
                   <button className="control-button" onClick={clearCurrentConversation}>
                     <FaTrash /> Clear
                   </button>
-                  <button className="control-button save-button" onClick={saveCurrentConversation}>
-                    <FaSave /> Save
-                  </button>
                 </div>
                 
                 <div className="messages">
                   <AnimatePresence>
-                    {conversations.map((msg, idx) => (
+                    {conversations.filter(msg => !(msg.isStreaming && !msg.content)).map((msg, idx) => (
                       <motion.div 
                         key={idx}
                         initial={{ opacity: 0, y: 20 }}
@@ -342,11 +741,14 @@ function App() {
                       >
                         <div className="message-header">
                           <span className="message-role">{msg.role === 'user' ? 'You' : 'Assistant'}</span>
+                          {msg.model && (
+                            <span className="message-model" title={msg.model}>{modelLabel(msg.model)}</span>
+                          )}
                           <span className="message-time">
                             {new Date(msg.timestamp).toLocaleTimeString()}
                           </span>
                           
-                          {msg.role === 'assistant' && browserSupportsSpeech && (
+                          {msg.role === 'assistant' && !msg.comparison && browserSupportsSpeech && (
                             <div className="message-actions">
                               <button 
                                 onClick={() => speakText(msg.content)} 
@@ -359,10 +761,42 @@ function App() {
                           )}
                         </div>
                         <div className="message-content">
-                          {msg.content}
+                          {msg.comparison ? (
+                            <ModelComparison
+                              answers={msg.comparison}
+                              renderContent={(text) => renderMessageContent({ ...msg, content: text })}
+                              onChoose={(chosenModel) => chooseComparisonAnswer(msg, chosenModel)}
+                            />
+                          ) : renderMessageContent(msg)}
                         </div>
                         
-                        {msg.usedKnowledgeBase && (
+                        {msg.tableResults && msg.tableResults.length > 0 && (
+                          <div className="table-results">
+                            {msg.tableResults.map((result, resultIdx) => (
+                              <div key={resultIdx} className="table-result">
+                                <FaCalculator /> {result.description}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        
+                        {msg.citations && msg.citations.length > 0 ? (
+                          <div className="message-citations">
+                            <span className="citations-label"><FaDatabase /> Sources</span>
+                            {msg.citations.map(citation => (
+                              <button
+                                key={citation.index}
+                                className="citation-source"
+                                onClick={() => setActiveCitation(citation)}
+                                title={citation.url ? `${citation.url}\n\n${citation.snippet}` : citation.snippet}
+                              >
+                                [{citation.index}] {citation.filename}
+                                {citation.version && ` (v${citation.version})`}
+                                {citation.page && `, p. ${citation.page}`}
+                              </button>
+                            ))}
+                          </div>
+                        ) : msg.usedKnowledgeBase && (
                           <div className="knowledge-base-badge">
                             <FaDatabase /> Using Knowledge Base
                           </div>
@@ -372,7 +806,7 @@ function App() {
                   </AnimatePresence>
                   <div ref={messagesEndRef} />
                   
-                  {isLoading && (
+                  {isLoading && !conversations.some(msg => msg.isStreaming && msg.content) && (
                     <div className="typing-indicator">
                       <span></span>
                       <span></span>
@@ -470,13 +904,44 @@ function App() {
           
           <form onSubmit={handleSubmit} className="question-form">
             <div className="input-container">
+              <div className="retrieval-options">
+                <CollectionSelector
+                  collections={collections}
+                  selectedIds={selectedCollectionIds}
+                  onChange={setSelectedCollectionIds}
+                  disabled={isLoading}
+                />
+                <input
+                  type="text"
+                  value={retrievalFilter}
+                  onChange={(e) => setRetrievalFilter(e.target.value)}
+                  placeholder="Filter, e.g. product=alpha AND date>=2025"
+                  disabled={isLoading}
+                  className={`retrieval-filter ${retrievalFilter.trim() ? 'active' : ''}`}
+                  title="Only use documents whose tags and metadata match"
+                />
+                <ModelSelector
+                  models={availableModels}
+                  providers={availableProviders}
+                  selectedProvider={selectedProvider}
+                  onProviderSelect={selectProvider}
+                  selectedModel={selectedModel}
+                  onSelect={setSelectedModel}
+                  compareMode={compareMode}
+                  onCompareModeChange={setCompareMode}
+                  comparedModels={comparedModels}
+                  onComparedModelsChange={setComparedModels}
+                  disabled={isLoading}
+                />
+              </div>
+              
               <div className="input-group">
                 <input
                   type="text"
                   value={question}
                   onChange={(e) => setQuestion(e.target.value)}
-                  placeholder={isListening ? 'Listening...' : 'Ask anything...'}
-                  disabled={isLoading || isListening}
+                  placeholder={isListening ? 'Listening...' : pendingComparison ? 'Pick an answer to continue...' : 'Ask anything...'}
+                  disabled={isLoading || isListening || pendingComparison}
                   className={`question-input ${isListening ? 'listening' : ''}`}
                   ref={inputRef}
                 />
@@ -493,15 +958,28 @@ function App() {
                   </button>
                 )}
                 
-                <motion.button 
-                  type="submit" 
-                  disabled={isLoading || (!question.trim() && !transcript)}
-                  className="submit-button"
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                >
-                  <FaPaperPlane /> {isLoading ? 'Thinking...' : 'Ask'}
-                </motion.button>
+                {isLoading ? (
+                  <motion.button 
+                    type="button" 
+                    onClick={stopGeneration}
+                    className="submit-button stop-button"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    title="Stop generating"
+                  >
+                    <FaStop /> Stop
+                  </motion.button>
+                ) : (
+                  <motion.button 
+                    type="submit" 
+                    disabled={(!question.trim() && !transcript) || pendingComparison || (compareMode && comparedModels.length < 2)}
+                    className="submit-button"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <FaPaperPlane /> Ask
+                  </motion.button>
+                )}
               </div>
               
               {/* Transcript preview */}
@@ -538,6 +1016,21 @@ function App() {
         isOpen={showKnowledgeBase} 
         onClose={() => setShowKnowledgeBase(false)} 
       />
+      
+      <CitationViewer
+        citation={activeCitation}
+        onClose={() => setActiveCitation(null)}
+      />
+      
+      <PersonaManager
+        isOpen={showPersonaManager}
+        onClose={() => setShowPersonaManager(false)}
+        personas={personas}
+        defaults={personaDefaults}
+        answerLengths={answerLengths}
+        collections={collections}
+        onChange={fetchPersonas}
+      />
     </div>
   );
 }
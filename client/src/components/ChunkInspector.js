@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaSearch, FaEye, FaEyeSlash, FaEdit, FaUndo, FaSave } from 'react-icons/fa';
+
+const PAGE_SIZE = 10;
+
+// Metadata worth showing next to a chunk, depending on where it came from
+const describeLocation = (metadata) => [
+  metadata.page && `Page ${metadata.page}`,
+  metadata.headingPath,
+  metadata.sheet && `Sheet ${metadata.sheet}`,
+  metadata.rowStart && `Rows ${metadata.rowStart}-${metadata.rowEnd}`,
+  metadata.jsonPath && `Path ${metadata.jsonPath}`,
+  metadata.version && `Version ${metadata.version}`
+].filter(Boolean);
+
+// Wrap case-insensitive matches of the search text in <mark>
+const highlight = (text, query) => {
+  if (!query) {
+    return text;
+  }
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.split(new RegExp(`(${escaped})`, 'gi')).map((part, i) =>
+    part.toLowerCase() === query.toLowerCase() ? <mark key={i}>{part}</mark> : part
+  );
+};
+
+function ChunkInspector({ document, onClose, onChange }) {
+  const [chunks, setChunks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [excludedCount, setExcludedCount] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [searchInput, setSearchInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchChunks = useCallback(async () => {
+    if (!document) {
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ userId: 'default-user', offset, limit: PAGE_SIZE, q: query });
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${document.id}/chunks?${params}`);
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch chunks');
+      }
+
+      const data = await response.json();
+      setChunks(data.chunks || []);
+      setTotal(data.total);
+      setExcludedCount(data.excludedCount);
+    } catch (error) {
+      console.error('Error fetching chunks:', error);
+      setError('Failed to load chunks');
+    }
+  }, [document, offset, query]);
+
+  useEffect(() => {
+    fetchChunks();
+  }, [fetchChunks]);
+
+  // Start over whenever a different document is opened
+  useEffect(() => {
+    setOffset(0);
+    setSearchInput('');
+    setQuery('');
+    setEditing(null);
+    setError(null);
+  }, [document]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setQuery(searchInput.trim());
+  };
+
+  const updateChunk = async (chunkId, updates) => {
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${document.id}/chunks/${chunkId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...updates, userId: 'default-user' })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update chunk');
+      }
+
+      setEditing(null);
+      fetchChunks();
+      onChange();
+    } catch (error) {
+      console.error('Error updating chunk:', error);
+      setError(error.message || 'Failed to update chunk');
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {document && (
+        <motion.div
+          className="knowledge-base-modal"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="knowledge-base-content chunk-inspector"
+            initial={{ scale: 0.9, y: 50 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 50 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="kb-header">
+              <h2>Chunks: {document.title}</h2>
+              <button className="close-button" onClick={onClose}>
+                <FaTimes />
+              </button>
+            </div>
+
+            {error && <div className="kb-error chunk-error">{error}</div>}
+
+            <div className="chunk-inspector-body">
+              <form className="chunk-search" onSubmit={handleSearch}>
+                <input
+                  type="text"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search within this document"
+                />
+                <button type="submit" title="Search">
+                  <FaSearch />
+                </button>
+              </form>
+
+              <div className="chunk-summary">
+                {query ? `${total} chunks contain "${query}"` : `${total} chunks`}
+                {excludedCount > 0 && ` · ${excludedCount} excluded from retrieval`}
+              </div>
+
+              <ul className="chunk-list">
+                {chunks.map(chunk => (
+                  <li key={chunk.chunkId} className={`chunk-card ${chunk.excluded ? 'excluded' : ''}`}>
+                    <div className="chunk-card-header">
+                      <span className="chunk-number">#{chunk.chunk}</span>
+                      {describeLocation(chunk.metadata).map(label => (
+                        <span key={label} className="chunk-label">{label}</span>
+                      ))}
+                      <span className="chunk-label">{chunk.length} chars</span>
+                      {chunk.excluded && <span className="chunk-badge">Excluded</span>}
+                      {chunk.edited && <span className="chunk-badge">Edited</span>}
+                    </div>
+
+                    {editing && editing.chunkId === chunk.chunkId ? (
+                      <textarea
+                        className="chunk-editor"
+                        value={editing.text}
+                        onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                        rows={8}
+                      />
+                    ) : (
+                      <pre className="chunk-content">{highlight(chunk.pageContent, query)}</pre>
+                    )}
+
+                    <div className="chunk-actions">
+                      {editing && editing.chunkId === chunk.chunkId ? (
+                        <>
+                          <button
+                            onClick={() => updateChunk(chunk.chunkId, { pageContent: editing.text })}
+                            disabled={!editing.text.trim()}
+                          >
+                            <FaSave /> Save
+                          </button>
+                          <button onClick={() => setEditing(null)}>
+                            <FaTimes /> Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button onClick={() => updateChunk(chunk.chunkId, { excluded: !chunk.excluded })}>
+                            {chunk.excluded ? <><FaEye /> Include</> : <><FaEyeSlash /> Exclude</>}
+                          </button>
+                          <button onClick={() => setEditing({ chunkId: chunk.chunkId, text: chunk.pageContent })}>
+                            <FaEdit /> Edit
+                          </button>
+                          {chunk.edited && (
+                            <button onClick={() => updateChunk(chunk.chunkId, { revert: true })}>
+                              <FaUndo /> Revert to original
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {total > PAGE_SIZE && (
+                <div className="chunk-pager">
+                  <button onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))} disabled={offset === 0}>
+                    Previous
+                  </button>
+                  <span>{offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+                  <button onClick={() => setOffset(offset + PAGE_SIZE)} disabled={offset + PAGE_SIZE >= total}>
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default ChunkInspector;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaQuoteLeft, FaExternalLinkAlt } from 'react-icons/fa';
+
+function CitationViewer({ citation, onClose }) {
+  return (
+    <AnimatePresence>
+      {citation && (
+        <motion.div
+          className="knowledge-base-modal"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="knowledge-base-content citation-viewer"
+            initial={{ scale: 0.9, y: 50 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 50 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="kb-header">
+              <h2>[{citation.index}] {citation.filename}</h2>
+              <button className="close-button" onClick={onClose}>
+                <FaTimes />
+              </button>
+            </div>
+
+            <div className="citation-meta">
+              {citation.version && <span>Version {citation.version}</span>}
+              {citation.page && <span>Page {citation.page}</span>}
+              {citation.chunk && <span>Chunk {citation.chunk}</span>}
+              {citation.score !== null && <span>Score {citation.score}</span>}
+              {citation.url && (
+                <a href={citation.url} target="_blank" rel="noopener noreferrer">
+                  <FaExternalLinkAlt /> {citation.url}
+                </a>
+              )}
+            </div>
+
+            <blockquote className="citation-passage">
+              <FaQuoteLeft className="citation-quote-icon" />
+              {citation.content}
+            </blockquote>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default CitationViewer;
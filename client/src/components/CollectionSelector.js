@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaFolder, FaChevronDown } from 'react-icons/fa';
+
+// Lets a conversation pick which knowledge base collections answers draw from;
+// no selection means the whole knowledge base
+function CollectionSelector({ collections, selectedIds, onChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (collections.length === 0) {
+    return null;
+  }
+
+  const selectedNames = collections
+    .filter(collection => selectedIds.includes(collection.id))
+    .map(collection => collection.name);
+
+  const toggleCollection = (collectionId) => {
+    onChange(selectedIds.includes(collectionId)
+      ? selectedIds.filter(id => id !== collectionId)
+      : [...selectedIds, collectionId]);
+  };
+
+  return (
+    <div className="collection-selector">
+      <button
+        type="button"
+        className={`collection-selector-toggle ${selectedIds.length > 0 ? 'active' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="Choose which collections answers draw from"
+      >
+        <FaFolder />
+        {selectedNames.length > 0 ? selectedNames.join(', ') : 'All documents'}
+        <FaChevronDown />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="collection-selector-menu"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+          >
+            <label className="collection-choice">
+              <input
+                type="checkbox"
+                checked={selectedIds.length === 0}
+                onChange={() => onChange([])}
+              />
+              All documents
+            </label>
+            {collections.map(collection => (
+              <label key={collection.id} className="collection-choice">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(collection.id)}
+                  onChange={() => toggleCollection(collection.id)}
+                />
+                {collection.name}
+                <span className="collection-count">{collection.documentCount}</span>
+              </label>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default CollectionSelector;
@@ -1,25 +1,148 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FaUpload, FaTrash, FaFilePdf, FaFileWord, FaFileAlt, FaFileCsv, FaTimes, FaDatabase } from 'react-icons/fa';
+import ChunkInspector from './ChunkInspector';
+import { FaUpload, FaTrash, FaSync, FaFilePdf, FaFileWord, FaFileAlt, FaFileCsv, FaFileExcel, FaFileCode, FaMarkdown, FaHtml5, FaFileArchive, FaGlobe, FaFileUpload, FaHistory, FaUndo, FaListUl, FaFolder, FaPlus, FaPen, FaTimes, FaDatabase, FaTags, FaSearch, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+
+// Display names for the upload and ingestion job stages
+const STAGE_LABELS = {
+  uploading: 'Uploading',
+  processing: 'Processing',
+  queued: 'Queued',
+  parsing: 'Parsing',
+  chunking: 'Chunking',
+  indexing: 'Indexing',
+  done: 'Done',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+// Chunking strategies offered at upload, with the server's default size and overlap
+const CHUNKING_STRATEGIES = {
+  fixed: { label: 'Fixed size (paragraphs)', unit: 'characters', chunkSize: 1000, chunkOverlap: 100 },
+  sentence: { label: 'Whole sentences', unit: 'characters', chunkSize: 1000, chunkOverlap: 150 },
+  token: { label: 'Token count', unit: 'tokens', chunkSize: 256, chunkOverlap: 32 },
+  section: { label: 'By heading (DOCX, Markdown, HTML)', unit: 'characters', chunkSize: 1500, chunkOverlap: 0 }
+};
+
+// File types the knowledge base can ingest; ZIP archives are unpacked on the server
+const ACCEPTED_EXTENSIONS = ['pdf', 'docx', 'txt', 'csv', 'md', 'markdown', 'html', 'htm', 'json', 'xlsx', 'zip'];
+
+const getExtension = (name) => name.split('.').pop().toLowerCase();
+
+// Collect the files from a drop, walking into any dropped folders
+const readDroppedFiles = async (dataTransfer) => {
+  // Entries must be taken before the drop event handler yields
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+  
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files);
+  }
+  
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (!entry.isDirectory) {
+      return [];
+    }
+    
+    // readEntries returns a folder's children a page at a time
+    const reader = entry.createReader();
+    const children = [];
+    let page;
+    do {
+      page = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children.push(...page);
+    } while (page.length > 0);
+    
+    const nested = await Promise.all(children.map(readEntry));
+    return nested.flat();
+  };
+  
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+};
+
+const SEARCH_PAGE_SIZE = 10;
+
+// Ranking modes offered by the knowledge base search, matching the server's SEARCH_MODES
+const SEARCH_MODES = ['hybrid', 'lexical', 'semantic'];
+
+// Wrap the server's [start, end) highlight ranges of a search snippet in <mark>
+const renderSnippet = ({ text, highlights }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], i) => {
+    parts.push(text.slice(position, start), <mark key={i}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
 
 function KnowledgeBase({ isOpen, onClose }) {
   const [documents, setDocuments] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [error, setError] = useState(null);
   const [showUploadForm, setShowUploadForm] = useState(false);
   const [stats, setStats] = useState({ documentChunkCount: 0 });
+  const [uploadStage, setUploadStage] = useState(null);
+  const [batchResults, setBatchResults] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [showUrlForm, setShowUrlForm] = useState(false);
+  const [pageUrl, setPageUrl] = useState('');
+  const [crawlDepth, setCrawlDepth] = useState(0);
+  const [replaceDuplicates, setReplaceDuplicates] = useState(false);
+  // Blank size and overlap fall back to the strategy's defaults on the server
+  const [chunking, setChunking] = useState({ strategy: 'fixed', chunkSize: '', chunkOverlap: '' });
+  const [collections, setCollections] = useState([]);
+  const [newCollectionName, setNewCollectionName] = useState('');
+  // Collections new uploads are added to
+  const [uploadCollectionIds, setUploadCollectionIds] = useState([]);
+  // Document whose collection checklist is open
+  const [assigningDocumentId, setAssigningDocumentId] = useState(null);
+  // Comma-separated tags for new uploads
+  const [uploadTags, setUploadTags] = useState('');
+  // Tags and metadata being edited: { documentId, tags, fields: [{ key, value }] }
+  const [labelEditor, setLabelEditor] = useState(null);
+  // Existing document an upload turned out to repeat, offered for replacement
+  const [duplicate, setDuplicate] = useState(null);
+  // Document whose new version or rollback is being processed
+  const [activeDocumentId, setActiveDocumentId] = useState(null);
+  const [versionHistory, setVersionHistory] = useState({ documentId: null, versions: [] });
+  const [inspectedDocument, setInspectedDocument] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchMode, setSearchMode] = useState('hybrid');
+  // Last search run, as { query, mode, results, total, offset }
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const jobEventsRef = useRef(null);
+  const versionInputRef = useRef(null);
+  const versionTargetRef = useRef(null);
   
   useEffect(() => {
     if (isOpen) {
       fetchDocuments();
+      fetchCollections();
       fetchStats();
     }
   }, [isOpen]);
   
+  // Stop following an ingestion job when the panel goes away
+  useEffect(() => {
+    return () => {
+      if (jobEventsRef.current) {
+        jobEventsRef.current.close();
+      }
+    };
+  }, []);
+  
   const fetchDocuments = async () => {
     try {
       const response = await fetch('http://localhost:5001/api/knowledge-base?userId=default-user');
@@ -53,81 +176,624 @@ function KnowledgeBase({ isOpen, onClose }) {
     }
   };
   
+  const selectFiles = (files) => {
+    const accepted = files.filter(file =>
+      !file.name.startsWith('.') && ACCEPTED_EXTENSIONS.includes(getExtension(file.name))
+    );
+    
+    if (accepted.length === 0) {
+      setError('None of the selected files are a supported type');
+      return;
+    }
+    
+    setError(null);
+    setDuplicate(null);
+    setBatchResults([]);
+    setSelectedFiles(accepted);
+    // Set default title to filename without extension
+    setTitle(accepted.length === 1 ? accepted[0].name.split('.').slice(0, -1).join('.') : '');
+  };
+  
   const handleFileSelect = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setSelectedFile(file);
-      // Set default title to filename without extension
-      setTitle(file.name.split('.').slice(0, -1).join('.'));
+    selectFiles(Array.from(e.target.files));
+  };
+  
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!isUploading) {
+      setIsDragging(true);
+    }
+  };
+  
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    
+    if (isUploading) {
+      return;
+    }
+    
+    try {
+      selectFiles(await readDroppedFiles(e.dataTransfer));
+      setShowUploadForm(true);
+    } catch (error) {
+      console.error('Error reading dropped files:', error);
+      setError('Could not read the dropped files');
     }
   };
   
+  // Several files or a ZIP archive go through the batch route
+  const isBatch = selectedFiles.length > 1 ||
+    (selectedFiles.length === 1 && getExtension(selectedFiles[0].name) === 'zip');
+  
   const handleUpload = async (e) => {
     e.preventDefault();
     
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       setError('Please select a file to upload');
       return;
     }
     
+    if (isBatch) {
+      startUpload();
+      return uploadBatch();
+    }
+    
+    uploadSingle(replaceDuplicates ? 'replace' : 'reject');
+  };
+  
+  const startUpload = () => {
     setIsUploading(true);
     setError(null);
+    setDuplicate(null);
+  };
+  
+  // Upload the existing document's content again in its place
+  const handleReplaceDuplicate = () => {
+    if (showUrlForm) {
+      submitUrl('replace');
+    } else {
+      uploadSingle('replace');
+    }
+  };
+  
+  const uploadSingle = async (onDuplicate) => {
+    startUpload();
     
+    const selectedFile = selectedFiles[0];
     const formData = new FormData();
     formData.append('document', selectedFile);
     formData.append('title', title);
     formData.append('description', description);
+    formData.append('onDuplicate', onDuplicate);
+    appendChunkingFields(formData);
+    uploadCollectionIds.forEach(id => formData.append('collectionIds', id));
+    formData.append('tags', uploadTags);
     formData.append('userId', 'default-user'); // Simple user ID for now
     
     try {
-      // Simulate progress for better UX
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => {
-          const newProgress = prev + 5;
-          if (newProgress >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return newProgress;
-        });
-      }, 300);
+      setUploadStage({ status: 'uploading', message: `Uploading ${selectedFile.name}` });
       
       const response = await fetch('http://localhost:5001/api/knowledge-base/upload', {
         method: 'POST',
         body: formData,
       });
       
-      clearInterval(progressInterval);
-      
       if (!response.ok) {
         const errorData = await response.json();
+        if (errorData.duplicateOf) {
+          setDuplicate(errorData.duplicateOf);
+        }
         throw new Error(errorData.error || 'Upload failed');
       }
       
-      setUploadProgress(100);
+      const data = await response.json();
+      followJob(data.job);
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      setError(error.message || 'Failed to upload document');
+      finishUpload();
+    }
+  };
+  
+  // Follow a background ingestion job until it is done or has failed
+  const followJob = (job, onDone = () => {}) => {
+    setUploadStage({ status: job.status, message: job.message });
+    setUploadProgress(job.progress);
+    
+    const events = new EventSource(`http://localhost:5001/api/knowledge-base/jobs/${job.id}/events?userId=default-user`);
+    jobEventsRef.current = events;
+    
+    events.addEventListener('progress', (event) => {
+      const current = JSON.parse(event.data);
+      setUploadStage({ status: current.status, message: current.message });
+      setUploadProgress(current.progress);
+      
+      if (current.status === 'done') {
+        events.close();
+        
+        // Reset form
+        setSelectedFiles([]);
+        setTitle('');
+        setDescription('');
+        setPageUrl('');
+        setCrawlDepth(0);
+        setUploadTags('');
+        setShowUploadForm(false);
+        setShowUrlForm(false);
+        
+        // Crawls can finish with some linked pages left out
+        if (current.skipped && current.skipped.length > 0) {
+          setError(`Skipped ${current.skipped.length} page(s): ${current.skipped.map(entry => entry.reason).join('; ')}`);
+        }
+        
+        // Fetch updated document list and stats
+        fetchDocuments();
+        fetchStats();
+        onDone();
+        
+        // Reset progress after a moment
+        setTimeout(finishUpload, 1000);
+      } else if (current.status === 'failed') {
+        events.close();
+        setError(`Processing ${current.filename} failed: ${current.error}`);
+        setDuplicate(current.duplicateOf);
+        finishUpload();
+      }
+    });
+    
+    events.onerror = () => {
+      // EventSource reconnects on its own unless the job is gone
+      if (events.readyState === EventSource.CLOSED) {
+        setError('Lost track of the upload; refresh the document list to check on it');
+        finishUpload();
+      }
+    };
+  };
+  
+  const handleAddUrl = (e) => {
+    e.preventDefault();
+    submitUrl(replaceDuplicates ? 'replace' : 'reject');
+  };
+  
+  // Upload fields for the chosen chunking settings, leaving out blank ones
+  const chunkingFields = () => {
+    const fields = { chunkingStrategy: chunking.strategy };
+    if (chunking.chunkSize !== '') fields.chunkSize = chunking.chunkSize;
+    if (chunking.chunkOverlap !== '') fields.chunkOverlap = chunking.chunkOverlap;
+    return fields;
+  };
+  
+  const appendChunkingFields = (formData) => {
+    Object.entries(chunkingFields()).forEach(([field, value]) => formData.append(field, value));
+  };
+  
+  const submitUrl = async (onDuplicate) => {
+    startUpload();
+    
+    try {
+      setUploadStage({ status: 'queued', message: `Queuing ${pageUrl}` });
+      
+      const response = await fetch('http://localhost:5001/api/knowledge-base/url', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: pageUrl,
+          depth: Number(crawlDepth),
+          title,
+          description,
+          onDuplicate,
+          ...chunkingFields(),
+          collectionIds: uploadCollectionIds,
+          tags: uploadTags,
+          userId: 'default-user' // Simple user ID for now
+        })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to add web page');
+      }
+      
+      const data = await response.json();
+      followJob(data.job);
+    } catch (error) {
+      console.error('Error adding web page:', error);
+      setError(error.message || 'Failed to add web page');
+      finishUpload();
+    }
+  };
+  
+  const uploadBatch = async () => {
+    const formData = new FormData();
+    selectedFiles.forEach(file => formData.append('documents', file));
+    formData.append('description', description);
+    formData.append('onDuplicate', replaceDuplicates ? 'replace' : 'reject');
+    appendChunkingFields(formData);
+    uploadCollectionIds.forEach(id => formData.append('collectionIds', id));
+    formData.append('tags', uploadTags);
+    formData.append('userId', 'default-user'); // Simple user ID for now
+    
+    try {
+      setUploadStage({ status: 'uploading', message: `Uploading ${selectedFiles.length} files` });
+      
+      const response = await fetch('http://localhost:5001/api/knowledge-base/upload/batch', {
+        method: 'POST',
+        body: formData,
+      });
       
-      // Reset form
-      setSelectedFile(null);
-      setTitle('');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Upload failed');
+      }
+      
+      const data = await response.json();
+      const results = [
+        ...data.jobs.map(job => ({ ...job })),
+        ...data.skipped.map(entry => ({ filename: entry.filename, status: 'skipped', error: entry.reason }))
+      ];
+      setBatchResults(results);
+      setSelectedFiles([]);
       setDescription('');
-      setShowUploadForm(false);
       
-      // Fetch updated document list and stats
+      if (data.jobs.length === 0) {
+        finishUpload();
+        return;
+      }
+      followBatch(data.batchId, results);
+    } catch (error) {
+      console.error('Error uploading documents:', error);
+      setError(error.message || 'Failed to upload documents');
+      finishUpload();
+    }
+  };
+  
+  // Follow every ingestion job in a batch, keeping a per-file result list
+  const followBatch = (batchId, initialResults) => {
+    let results = initialResults;
+    const jobCount = results.filter(result => result.id).length;
+    
+    const events = new EventSource(`http://localhost:5001/api/knowledge-base/batches/${batchId}/events?userId=default-user`);
+    jobEventsRef.current = events;
+    
+    events.addEventListener('progress', (event) => {
+      const current = JSON.parse(event.data);
+      results = results.flatMap(result => {
+        if (result.id !== current.id) {
+          return [result];
+        }
+        // An archive lists the files inside it that were left out once it is unpacked
+        const archiveSkipped = result.status !== 'done' && current.status === 'done'
+          ? (current.skipped || []).map(entry => ({ filename: entry.filename, status: 'skipped', error: entry.reason }))
+          : [];
+        return [current, ...archiveSkipped];
+      });
+      setBatchResults(results);
+      
+      const jobs = results.filter(result => result.id);
+      const finished = jobs.filter(job => job.status === 'done' || job.status === 'failed').length;
+      setUploadProgress(Math.round(jobs.reduce((sum, job) => sum + job.progress, 0) / jobCount));
+      setUploadStage({ status: 'processing', message: `${finished} of ${jobCount} files processed` });
+      
+      if (finished === jobCount) {
+        fetchDocuments();
+        fetchStats();
+        finishUpload();
+      }
+    });
+    
+    events.onerror = () => {
+      // EventSource reconnects on its own unless the batch is gone
+      if (events.readyState === EventSource.CLOSED) {
+        setError('Lost track of the upload; refresh the document list to check on it');
+        finishUpload();
+      }
+    };
+  };
+  
+  const finishUpload = () => {
+    if (jobEventsRef.current) {
+      jobEventsRef.current.close();
+      jobEventsRef.current = null;
+    }
+    setIsUploading(false);
+    setUploadProgress(0);
+    setUploadStage(null);
+    setActiveDocumentId(null);
+  };
+  
+  const fetchVersions = async (id) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${id}/versions?userId=default-user`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch versions');
+      }
+      
+      const data = await response.json();
+      setVersionHistory({ documentId: id, versions: data.versions || [] });
+    } catch (error) {
+      console.error('Error fetching versions:', error);
+      setError('Failed to load version history');
+    }
+  };
+  
+  const toggleVersions = (id) => {
+    if (versionHistory.documentId === id) {
+      setVersionHistory({ documentId: null, versions: [] });
+    } else {
+      fetchVersions(id);
+    }
+  };
+  
+  const chooseVersionFile = (id) => {
+    versionTargetRef.current = id;
+    versionInputRef.current.value = '';
+    versionInputRef.current.click();
+  };
+  
+  const handleVersionSelect = async (e) => {
+    const file = e.target.files[0];
+    const id = versionTargetRef.current;
+    if (!file || !id) {
+      return;
+    }
+    
+    const note = window.prompt('What changed in this version? (optional)', '');
+    if (note === null) {
+      return;
+    }
+    
+    startUpload();
+    setActiveDocumentId(id);
+    
+    const formData = new FormData();
+    formData.append('document', file);
+    formData.append('note', note);
+    formData.append('userId', 'default-user'); // Simple user ID for now
+    
+    try {
+      setUploadStage({ status: 'uploading', message: `Uploading ${file.name}` });
+      
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${id}/versions`, {
+        method: 'POST',
+        body: formData,
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to upload new version');
+      }
+      
+      const data = await response.json();
+      followJob(data.job, () => fetchVersions(id));
+    } catch (error) {
+      console.error('Error uploading new version:', error);
+      setError(error.message || 'Failed to upload new version');
+      finishUpload();
+    }
+  };
+  
+  const handleRestore = async (id, version) => {
+    if (!window.confirm(`Roll this document back to version ${version}?`)) {
+      return;
+    }
+    
+    startUpload();
+    setActiveDocumentId(id);
+    
+    try {
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${id}/versions/${version}/restore?userId=default-user`, {
+        method: 'POST',
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to roll back');
+      }
+      
+      const data = await response.json();
+      followJob(data.job, () => fetchVersions(id));
+    } catch (error) {
+      console.error('Error rolling back document:', error);
+      setError(error.message || 'Failed to roll back');
+      finishUpload();
+    }
+  };
+  
+  const fetchCollections = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/collections?userId=default-user');
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch collections');
+      }
+      
+      const data = await response.json();
+      setCollections(data.collections || []);
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+    }
+  };
+  
+  // Create, rename or delete a collection, then refresh the lists it affects
+  const saveCollection = async (url, options, failureMessage) => {
+    setError(null);
+    
+    try {
+      const response = await fetch(url, options);
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || failureMessage);
+      }
+      
+      fetchCollections();
       fetchDocuments();
-      fetchStats();
+      return true;
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      setError(error.message || failureMessage);
+      return false;
+    }
+  };
+  
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollectionName.trim()) {
+      return;
+    }
+    
+    const created = await saveCollection('http://localhost:5001/api/collections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: newCollectionName, userId: 'default-user' })
+    }, 'Failed to create collection');
+    
+    if (created) {
+      setNewCollectionName('');
+    }
+  };
+  
+  const handleRenameCollection = (collection) => {
+    const name = window.prompt('Rename collection', collection.name);
+    if (!name || name === collection.name) {
+      return;
+    }
+    
+    saveCollection(`http://localhost:5001/api/collections/${collection.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, userId: 'default-user' })
+    }, 'Failed to rename collection');
+  };
+  
+  const handleDeleteCollection = (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its documents stay in the knowledge base.`)) {
+      return;
+    }
+    
+    setUploadCollectionIds(prev => prev.filter(id => id !== collection.id));
+    saveCollection(`http://localhost:5001/api/collections/${collection.id}?userId=default-user`, {
+      method: 'DELETE'
+    }, 'Failed to delete collection');
+  };
+  
+  const toggleUploadCollection = (collectionId) => {
+    setUploadCollectionIds(prev => prev.includes(collectionId)
+      ? prev.filter(id => id !== collectionId)
+      : [...prev, collectionId]);
+  };
+  
+  // Add a document to a collection, or take it out if it is already there
+  const toggleDocumentCollection = async (doc, collectionId) => {
+    const collectionIds = doc.collections.includes(collectionId)
+      ? doc.collections.filter(id => id !== collectionId)
+      : [...doc.collections, collectionId];
+    
+    saveCollection(`http://localhost:5001/api/knowledge-base/${doc.id}/collections`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ collectionIds, userId: 'default-user' })
+    }, 'Failed to update document collections');
+  };
+  
+  // Open the tags and metadata editor for a document, or close it if it is open
+  const toggleLabelEditor = (doc) => {
+    if (labelEditor && labelEditor.documentId === doc.id) {
+      setLabelEditor(null);
+      return;
+    }
+    
+    setLabelEditor({
+      documentId: doc.id,
+      tags: doc.tags.join(', '),
+      fields: Object.entries(doc.metadata).map(([key, value]) => ({ key, value }))
+    });
+  };
+  
+  const updateLabelField = (index, changes) => {
+    setLabelEditor(prev => ({
+      ...prev,
+      fields: prev.fields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    }));
+  };
+  
+  const handleSaveLabels = async (e) => {
+    e.preventDefault();
+    setError(null);
+    
+    // Rows left without a key are dropped
+    const metadata = Object.fromEntries(labelEditor.fields
+      .filter(field => field.key.trim())
+      .map(field => [field.key.trim(), field.value]));
+    
+    try {
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${labelEditor.documentId}/metadata`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tags: labelEditor.tags.split(','),
+          metadata,
+          userId: 'default-user'
+        })
+      });
       
-      // Reset progress after a moment
-      setTimeout(() => {
-        setUploadProgress(0);
-      }, 1000);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update tags and metadata');
+      }
+      
+      setLabelEditor(null);
+      fetchDocuments();
     } catch (error) {
-      console.error('Error uploading document:', error);
-      setError(error.message || 'Failed to upload document');
+      console.error('Error updating document metadata:', error);
+      setError(error.message || 'Failed to update tags and metadata');
+    }
+  };
+  
+  // Search the knowledge base with the same ranking answers use, one page at a time
+  const runSearch = async (query, mode, offset) => {
+    setIsSearching(true);
+    setError(null);
+    
+    try {
+      const params = new URLSearchParams({
+        q: query,
+        searchMode: mode,
+        offset,
+        limit: SEARCH_PAGE_SIZE,
+        userId: 'default-user'
+      });
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/search?${params}`);
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Search failed');
+      }
+      
+      const data = await response.json();
+      setSearchResults({ query, mode, results: data.results, total: data.total, offset });
+    } catch (error) {
+      console.error('Error searching knowledge base:', error);
+      setError(error.message || 'Search failed');
     } finally {
-      setIsUploading(false);
+      setIsSearching(false);
+    }
+  };
+  
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (searchInput.trim()) {
+      runSearch(searchInput.trim(), searchMode, 0);
     }
   };
   
+  const clearSearch = () => {
+    setSearchInput('');
+    setSearchResults(null);
+  };
+  
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this document?')) {
       return;
@@ -151,6 +817,27 @@ function KnowledgeBase({ isOpen, onClose }) {
     }
   };
   
+  const handleReindex = async (id) => {
+    setError(null);
+    
+    try {
+      const response = await fetch(`http://localhost:5001/api/knowledge-base/${id}/reindex?userId=default-user`, {
+        method: 'POST',
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to re-index document');
+      }
+      
+      fetchDocuments();
+      fetchStats();
+    } catch (error) {
+      console.error('Error re-indexing document:', error);
+      setError(error.message || 'Failed to re-index document');
+    }
+  };
+  
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B';
     else if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
@@ -167,12 +854,404 @@ function KnowledgeBase({ isOpen, onClose }) {
         return <FaFileAlt />;
       case 'csv':
         return <FaFileCsv />;
+      case 'xlsx':
+        return <FaFileExcel />;
+      case 'md':
+      case 'markdown':
+        return <FaMarkdown />;
+      case 'html':
+      case 'htm':
+        return <FaHtml5 />;
+      case 'json':
+        return <FaFileCode />;
+      case 'zip':
+        return <FaFileArchive />;
       default:
         return <FaFileAlt />;
     }
   };
   
+  const renderUploadStatus = () => (
+    <div className="upload-status">
+      <div className="progress-container">
+        <div 
+          className="progress-bar" 
+          style={{ width: `${uploadProgress}%` }}
+        />
+        <span className="progress-text">{uploadProgress}%</span>
+      </div>
+      {uploadStage && (
+        <div className="upload-stage">
+          <span className="upload-stage-name">{STAGE_LABELS[uploadStage.status] || uploadStage.status}</span>
+          {uploadStage.message && <span className="upload-stage-message">{uploadStage.message}</span>}
+        </div>
+      )}
+    </div>
+  );
+  
+  const renderCollectionChoices = () => collections.length > 0 && (
+    <div className="form-group">
+      <label>Add to collections:</label>
+      <div className="collection-choices">
+        {collections.map(collection => (
+          <label key={collection.id} className="collection-choice">
+            <input 
+              type="checkbox"
+              checked={uploadCollectionIds.includes(collection.id)}
+              onChange={() => toggleUploadCollection(collection.id)}
+              disabled={isUploading}
+            />
+            {collection.name}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+  
+  const renderTagsField = () => (
+    <div className="form-group">
+      <label>
+        Tags (comma separated):
+        <input 
+          type="text"
+          value={uploadTags}
+          onChange={(e) => setUploadTags(e.target.value)}
+          disabled={isUploading}
+          placeholder="e.g. hr, policy"
+        />
+      </label>
+    </div>
+  );
+  
+  const renderLabelEditor = () => (
+    <form className="label-editor" onSubmit={handleSaveLabels}>
+      <label>
+        Tags (comma separated):
+        <input 
+          type="text"
+          value={labelEditor.tags}
+          onChange={(e) => setLabelEditor({ ...labelEditor, tags: e.target.value })}
+        />
+      </label>
+      <label>Metadata:</label>
+      {labelEditor.fields.map((field, index) => (
+        <div key={index} className="label-field">
+          <input 
+            type="text"
+            value={field.key}
+            onChange={(e) => updateLabelField(index, { key: e.target.value })}
+            placeholder="Key, e.g. product"
+          />
+          <input 
+            type="text"
+            value={field.value}
+            onChange={(e) => updateLabelField(index, { value: e.target.value })}
+            placeholder="Value, e.g. alpha"
+          />
+          <button
+            type="button"
+            className="label-field-remove"
+            onClick={() => setLabelEditor({ ...labelEditor, fields: labelEditor.fields.filter((_, i) => i !== index) })}
+            title="Remove field"
+          >
+            <FaTimes />
+          </button>
+        </div>
+      ))}
+      <div className="label-editor-actions">
+        <button
+          type="button"
+          onClick={() => setLabelEditor({ ...labelEditor, fields: [...labelEditor.fields, { key: '', value: '' }] })}
+        >
+          <FaPlus /> Add Field
+        </button>
+        <button type="button" onClick={() => setLabelEditor(null)}>Cancel</button>
+        <button type="submit" className="label-editor-save">Save</button>
+      </div>
+    </form>
+  );
+  
+  const renderSearchResults = () => {
+    const { query, mode, results, total, offset } = searchResults;
+    
+    return (
+      <div className="search-results">
+        <div className="search-summary">
+          <span>
+            {total === 0
+              ? `No chunks match "${query}"`
+              : `${offset + 1}-${offset + results.length} of ${total} chunks for "${query}" (${mode})`}
+          </span>
+          <button type="button" onClick={clearSearch}>
+            <FaTimes /> Clear
+          </button>
+        </div>
+        <ol className="search-result-list">
+          {results.map(result => {
+            const document = documents.find(doc => doc.id === result.documentId);
+            return (
+              <li key={result.chunkId} className="search-result">
+                <div className="search-result-header">
+                  <span className="search-result-rank">#{result.rank}</span>
+                  <h4>{result.title}</h4>
+                  <span className="search-result-score" title="Relevance score">{result.score}</span>
+                  {document && !document.shared && (
+                    <button
+                      className="inspect-document"
+                      onClick={() => setInspectedDocument(document)}
+                      title="Inspect chunks"
+                    >
+                      <FaListUl />
+                    </button>
+                  )}
+                </div>
+                <div className="search-result-location">
+                  {[
+                    result.chunk && `Chunk ${result.chunk}`,
+                    result.page && `Page ${result.page}`,
+                    result.headingPath,
+                    result.url
+                  ].filter(Boolean).join(' · ')}
+                </div>
+                <p className="search-result-snippet">{renderSnippet(result.snippet)}</p>
+              </li>
+            );
+          })}
+        </ol>
+        {total > SEARCH_PAGE_SIZE && (
+          <div className="search-pager">
+            <button
+              type="button"
+              onClick={() => runSearch(query, mode, offset - SEARCH_PAGE_SIZE)}
+              disabled={isSearching || offset === 0}
+            >
+              <FaChevronLeft /> Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => runSearch(query, mode, offset + SEARCH_PAGE_SIZE)}
+              disabled={isSearching || offset + SEARCH_PAGE_SIZE >= total}
+            >
+              Next <FaChevronRight />
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+  
+  // Documents grouped under each collection (a document can appear in several),
+  // then those in none; ungrouped when there are no collections
+  const groupDocuments = () => {
+    if (collections.length === 0) {
+      return [{ key: 'all', documents }];
+    }
+    
+    return [
+      ...collections.map(collection => ({
+        key: collection.id,
+        collection,
+        documents: documents.filter(doc => doc.collections.includes(collection.id))
+      })),
+      {
+        key: 'none',
+        name: 'Not in a collection',
+        documents: documents.filter(doc => doc.collections.length === 0)
+      }
+    ].filter(group => group.collection || group.documents.length > 0);
+  };
+  
+  const renderDocument = (doc, groupKey) => (
+    <li key={`${groupKey}-${doc.id}`} className="document-item">
+      <div className="document-icon">
+        {doc.sourceUrl ? <FaGlobe /> : getFileIcon(doc.fileType)}
+      </div>
+      <div className="document-details">
+        <h4 className="document-title">{doc.title}</h4>
+        {doc.description && (
+          <p className="document-description">{doc.description}</p>
+        )}
+        {doc.sourceUrl && (
+          <a className="document-source-url" href={doc.sourceUrl} target="_blank" rel="noopener noreferrer">
+            {doc.sourceUrl}
+          </a>
+        )}
+        <div className="document-meta">
+          <span className="document-type">{doc.sourceUrl ? 'WEB' : doc.fileType.toUpperCase()}</span>
+          <span className="document-size">{formatFileSize(doc.fileSize)}</span>
+          <span className="document-date">
+            {new Date(doc.uploadDate).toLocaleDateString()}
+          </span>
+          {doc.versionCount > 1 && (
+            <span className="document-version">v{doc.version}</span>
+          )}
+          {doc.chunking && (
+            <span
+              className="document-chunking"
+              title={`${doc.chunking.chunkSize} ${CHUNKING_STRATEGIES[doc.chunking.strategy].unit}, ${doc.chunking.chunkOverlap} overlap`}
+            >
+              {CHUNKING_STRATEGIES[doc.chunking.strategy].label}
+            </span>
+          )}
+          {doc.shared && (
+            <span className="document-shared">Shared by {doc.owner}</span>
+          )}
+        </div>
+        {(doc.tags.length > 0 || Object.keys(doc.metadata).length > 0) && (
+          <div className="document-labels">
+            {doc.tags.map(tag => (
+              <span key={tag} className="document-tag">{tag}</span>
+            ))}
+            {Object.entries(doc.metadata).map(([key, value]) => (
+              <span key={key} className="document-attribute">{key}: {value}</span>
+            ))}
+          </div>
+        )}
+        {labelEditor && labelEditor.documentId === doc.id && renderLabelEditor()}
+        {isUploading && activeDocumentId === doc.id && renderUploadStatus()}
+      {assigningDocumentId === doc.id && (
+        <div className="collection-choices document-collections">
+          {collections.length === 0 ? (
+            <span className="no-collections">Create a collection first</span>
+          ) : collections.map(collection => (
+            <label key={collection.id} className="collection-choice">
+              <input 
+                type="checkbox"
+                checked={doc.collections.includes(collection.id)}
+                onChange={() => toggleDocumentCollection(doc, collection.id)}
+              />
+              {collection.name}
+            </label>
+          ))}
+        </div>
+      )}
+        {versionHistory.documentId === doc.id && (
+          <ul className="version-history">
+            {versionHistory.versions.map(entry => (
+              <li key={entry.version} className={`version-entry ${entry.current ? 'current' : ''}`}>
+                <span className="version-number">v{entry.version}</span>
+                <span className="version-file">{entry.originalName}</span>
+                <span className="version-date">{new Date(entry.uploadDate).toLocaleDateString()}</span>
+                {entry.note && <span className="version-note">{entry.note}</span>}
+                {entry.current ? (
+                  <span className="version-current">Current</span>
+                ) : (
+                  <button
+                    className="version-restore"
+                    onClick={() => handleRestore(doc.id, entry.version)}
+                    disabled={isUploading}
+                    title={`Roll back to version ${entry.version}`}
+                  >
+                    <FaUndo /> Roll back
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {!doc.shared && (
+        <>
+          <button 
+            className="version-document" 
+            onClick={() => chooseVersionFile(doc.id)}
+            disabled={isUploading}
+            title="Upload new version"
+          >
+            <FaFileUpload />
+          </button>
+          <button 
+            className={`collections-document ${assigningDocumentId === doc.id ? 'active' : ''}`}
+            onClick={() => setAssigningDocumentId(assigningDocumentId === doc.id ? null : doc.id)}
+            title="Collections"
+          >
+            <FaFolder />
+          </button>
+          <button 
+            className={`labels-document ${labelEditor && labelEditor.documentId === doc.id ? 'active' : ''}`}
+            onClick={() => toggleLabelEditor(doc)}
+            title="Tags and metadata"
+          >
+            <FaTags />
+          </button>
+          <button 
+            className="inspect-document" 
+            onClick={() => setInspectedDocument(doc)}
+            title="Inspect chunks"
+          >
+            <FaListUl />
+          </button>
+          <button 
+            className={`history-document ${versionHistory.documentId === doc.id ? 'active' : ''}`}
+            onClick={() => toggleVersions(doc.id)}
+            title="Version history"
+          >
+            <FaHistory />
+          </button>
+          <button 
+            className="reindex-document" 
+            onClick={() => handleReindex(doc.id)}
+            title="Re-index document"
+          >
+            <FaSync />
+          </button>
+          <button 
+            className="delete-document" 
+            onClick={() => handleDelete(doc.id)}
+            title="Delete document"
+          >
+            <FaTrash />
+          </button>
+        </>
+      )}
+    </li>
+  );
+  
+  const renderChunkingOptions = () => {
+    const strategy = CHUNKING_STRATEGIES[chunking.strategy];
+    
+    return (
+      <div className="form-group chunking-options">
+        <label>
+          Chunking:
+          <select 
+            value={chunking.strategy}
+            onChange={(e) => setChunking({ strategy: e.target.value, chunkSize: '', chunkOverlap: '' })}
+            disabled={isUploading}
+          >
+            {Object.entries(CHUNKING_STRATEGIES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Chunk size ({strategy.unit}):
+          <input 
+            type="number"
+            min="1"
+            value={chunking.chunkSize}
+            onChange={(e) => setChunking({ ...chunking, chunkSize: e.target.value })}
+            placeholder={String(strategy.chunkSize)}
+            disabled={isUploading}
+          />
+        </label>
+        <label>
+          Overlap ({strategy.unit}):
+          <input 
+            type="number"
+            min="0"
+            value={chunking.chunkOverlap}
+            onChange={(e) => setChunking({ ...chunking, chunkOverlap: e.target.value })}
+            placeholder={String(strategy.chunkOverlap)}
+            disabled={isUploading}
+          />
+        </label>
+      </div>
+    );
+  };
+  
   return (
+    <>
     <AnimatePresence>
       {isOpen && (
         <motion.div
@@ -197,10 +1276,24 @@ function KnowledgeBase({ isOpen, onClose }) {
             <div className="kb-actions">
               <button 
                 className={`kb-action-button ${showUploadForm ? 'active' : ''}`}
-                onClick={() => setShowUploadForm(!showUploadForm)}
+                onClick={() => {
+                  setShowUploadForm(!showUploadForm);
+                  setShowUrlForm(false);
+                }}
+                disabled={isUploading}
               >
                 <FaUpload /> Upload Document
               </button>
+              <button 
+                className={`kb-action-button ${showUrlForm ? 'active' : ''}`}
+                onClick={() => {
+                  setShowUrlForm(!showUrlForm);
+                  setShowUploadForm(false);
+                }}
+                disabled={isUploading}
+              >
+                <FaGlobe /> Add Web Page
+              </button>
               <div className="kb-stats">
                 <FaDatabase /> {stats.documentChunkCount} chunks indexed
               </div>
@@ -209,52 +1302,190 @@ function KnowledgeBase({ isOpen, onClose }) {
             <AnimatePresence>
               {showUploadForm && (
                 <motion.div
+                  key="upload-form"
                   className="upload-form-container"
                   initial={{ height: 0, opacity: 0 }}
                   animate={{ height: 'auto', opacity: 1 }}
                   exit={{ height: 0, opacity: 0 }}
                 >
-                  <form onSubmit={handleUpload} className="upload-form">
+                  <form
+                    onSubmit={handleUpload}
+                    className={`upload-form ${isDragging ? 'dragging' : ''}`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                  >
                     <div className="form-group">
                       <label>
-                        Document:
+                        Documents:
                         <input 
                           type="file" 
                           onChange={handleFileSelect}
-                          accept=".pdf,.docx,.txt,.csv"
+                          accept={ACCEPTED_EXTENSIONS.map(extension => `.${extension}`).join(',')}
                           disabled={isUploading}
+                          multiple
                         />
                       </label>
-                      {selectedFile && (
-                        <div className="selected-file">
-                          {getFileIcon(selectedFile.name.split('.').pop())}
-                          <span>{selectedFile.name}</span>
+                      <div className="drop-hint">or drop files, folders or a ZIP archive here</div>
+                      {selectedFiles.map(file => (
+                        <div className="selected-file" key={`${file.name}-${file.size}-${file.lastModified}`}>
+                          {getFileIcon(getExtension(file.name))}
+                          <span>{file.name}</span>
                         </div>
-                      )}
+                      ))}
                     </div>
                     
+                    {!isBatch && (
+                      <div className="form-group">
+                        <label>
+                          Title:
+                          <input 
+                            type="text"
+                            value={title}
+                            onChange={(e) => setTitle(e.target.value)}
+                            disabled={isUploading}
+                            required
+                          />
+                        </label>
+                      </div>
+                    )}
+                    
                     <div className="form-group">
                       <label>
-                        Title:
+                        Description:
+                        <textarea 
+                          value={description}
+                          onChange={(e) => setDescription(e.target.value)}
+                          disabled={isUploading}
+                          rows={3}
+                        />
+                      </label>
+                    </div>
+                    
+                    {renderChunkingOptions()}
+                    
+                    {renderCollectionChoices()}
+                    
+                    {renderTagsField()}
+                    
+                    <div className="form-group checkbox-group">
+                      <label>
+                        <input 
+                          type="checkbox"
+                          checked={replaceDuplicates}
+                          onChange={(e) => setReplaceDuplicates(e.target.checked)}
+                          disabled={isUploading}
+                        />
+                        Replace documents that are already in the knowledge base
+                      </label>
+                    </div>
+                    
+                    <div className="form-actions">
+                      <button
+                        type="submit"
+                        className="upload-button"
+                        disabled={isUploading || selectedFiles.length === 0}
+                      >
+                        {isUploading ? 'Uploading...' : (isBatch ? 'Upload All' : 'Upload')}
+                      </button>
+                      
+                      <button
+                        type="button"
+                        className="cancel-button"
+                        onClick={() => setShowUploadForm(false)}
+                        disabled={isUploading}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                    
+                    {isUploading && renderUploadStatus()}
+                    
+                    {batchResults.length > 0 && (
+                      <ul className="batch-results">
+                        {batchResults.map((result, i) => (
+                          <li key={result.id || `skipped-${i}`} className={`batch-result ${result.status}`}>
+                            {getFileIcon(getExtension(result.filename))}
+                            <span className="batch-result-name">{result.filename}</span>
+                            <span className="batch-result-status">
+                              {STAGE_LABELS[result.status] || result.status}
+                              {result.status === 'done' && ` (${result.chunkCount} chunks)`}
+                            </span>
+                            {result.error && <span className="batch-result-error">{result.error}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </form>
+                </motion.div>
+              )}
+              
+              {showUrlForm && (
+                <motion.div
+                  key="url-form"
+                  className="upload-form-container"
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                >
+                  <form onSubmit={handleAddUrl} className="upload-form">
+                    <div className="form-group">
+                      <label>
+                        Page URL:
+                        <input 
+                          type="url"
+                          value={pageUrl}
+                          onChange={(e) => setPageUrl(e.target.value)}
+                          placeholder="https://wiki.example.com/page"
+                          disabled={isUploading}
+                          required
+                        />
+                      </label>
+                    </div>
+                    
+                    <div className="form-group">
+                      <label>
+                        Follow links on the same site:
+                        <select 
+                          value={crawlDepth}
+                          onChange={(e) => setCrawlDepth(e.target.value)}
+                          disabled={isUploading}
+                        >
+                          <option value={0}>This page only</option>
+                          <option value={1}>1 level deep</option>
+                          <option value={2}>2 levels deep</option>
+                          <option value={3}>3 levels deep</option>
+                        </select>
+                      </label>
+                    </div>
+                    
+                    <div className="form-group">
+                      <label>
+                        Title (optional, single page only):
                         <input 
                           type="text"
                           value={title}
                           onChange={(e) => setTitle(e.target.value)}
                           disabled={isUploading}
-                          required
                         />
                       </label>
                     </div>
                     
-                    <div className="form-group">
+                    {renderChunkingOptions()}
+                    
+                    {renderCollectionChoices()}
+                    
+                    {renderTagsField()}
+                    
+                    <div className="form-group checkbox-group">
                       <label>
-                        Description:
-                        <textarea 
-                          value={description}
-                          onChange={(e) => setDescription(e.target.value)}
+                        <input 
+                          type="checkbox"
+                          checked={replaceDuplicates}
+                          onChange={(e) => setReplaceDuplicates(e.target.checked)}
                           disabled={isUploading}
-                          rows={3}
                         />
+                        Replace documents that are already in the knowledge base
                       </label>
                     </div>
                     
@@ -262,30 +1493,22 @@ function KnowledgeBase({ isOpen, onClose }) {
                       <button
                         type="submit"
                         className="upload-button"
-                        disabled={isUploading || !selectedFile}
+                        disabled={isUploading || !pageUrl}
                       >
-                        {isUploading ? 'Uploading...' : 'Upload'}
+                        {isUploading ? 'Adding...' : 'Add Page'}
                       </button>
                       
                       <button
                         type="button"
                         className="cancel-button"
-                        onClick={() => setShowUploadForm(false)}
+                        onClick={() => setShowUrlForm(false)}
                         disabled={isUploading}
                       >
                         Cancel
                       </button>
                     </div>
                     
-                    {isUploading && (
-                      <div className="progress-container">
-                        <div 
-                          className="progress-bar" 
-                          style={{ width: `${uploadProgress}%` }}
-                        />
-                        <span className="progress-text">{uploadProgress}%</span>
-                      </div>
-                    )}
+                    {isUploading && renderUploadStatus()}
                   </form>
                 </motion.div>
               )}
@@ -294,47 +1517,99 @@ function KnowledgeBase({ isOpen, onClose }) {
             {error && (
               <div className="kb-error">
                 {error}
+                {duplicate && !isUploading && (
+                  <button className="replace-duplicate" onClick={handleReplaceDuplicate}>
+                    Replace "{duplicate.title}"
+                  </button>
+                )}
               </div>
             )}
             
+            <input
+              type="file"
+              ref={versionInputRef}
+              className="version-file-input"
+              onChange={handleVersionSelect}
+              accept={ACCEPTED_EXTENSIONS.filter(extension => extension !== 'zip').map(extension => `.${extension}`).join(',')}
+            />
+            
+            <form className="search-form" onSubmit={handleSearch}>
+              <input 
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search your documents"
+              />
+              <select value={searchMode} onChange={(e) => setSearchMode(e.target.value)} title="Ranking">
+                {SEARCH_MODES.map(mode => (
+                  <option key={mode} value={mode}>{mode}</option>
+                ))}
+              </select>
+              <button type="submit" disabled={isSearching || !searchInput.trim()}>
+                <FaSearch /> Search
+              </button>
+            </form>
+            
+            {searchResults && renderSearchResults()}
+            
             <div className="documents-list">
               <h3>Your Documents</h3>
               
-              {documents.length === 0 ? (
+              <form className="collection-form" onSubmit={handleCreateCollection}>
+                <input 
+                  type="text"
+                  value={newCollectionName}
+                  onChange={(e) => setNewCollectionName(e.target.value)}
+                  placeholder="New collection, e.g. HR policies"
+                />
+                <button type="submit" disabled={!newCollectionName.trim()}>
+                  <FaPlus /> Add Collection
+                </button>
+              </form>
+              
+              {documents.length === 0 && collections.length === 0 ? (
                 <div className="no-documents">
                   <p>No documents in your knowledge base yet.</p>
                   <p>Upload documents to help your AI assistant provide more accurate and personalized answers.</p>
                 </div>
               ) : (
-                <ul className="documents">
-                  {documents.map(doc => (
-                    <li key={doc.id} className="document-item">
-                      <div className="document-icon">
-                        {getFileIcon(doc.fileType)}
+                groupDocuments().map(group => (
+                  <div key={group.key} className="document-group">
+                    {group.collection ? (
+                      <div className="document-group-header">
+                        <FaFolder />
+                        <h4>{group.collection.name}</h4>
+                        <span className="document-group-count">{group.documents.length}</span>
+                        <button 
+                          className="collection-action" 
+                          onClick={() => handleRenameCollection(group.collection)}
+                          title="Rename collection"
+                        >
+                          <FaPen />
+                        </button>
+                        <button 
+                          className="collection-action" 
+                          onClick={() => handleDeleteCollection(group.collection)}
+                          title="Delete collection"
+                        >
+                          <FaTrash />
+                        </button>
                       </div>
-                      <div className="document-details">
-                        <h4 className="document-title">{doc.title}</h4>
-                        {doc.description && (
-                          <p className="document-description">{doc.description}</p>
-                        )}
-                        <div className="document-meta">
-                          <span className="document-type">{doc.fileType.toUpperCase()}</span>
-                          <span className="document-size">{formatFileSize(doc.fileSize)}</span>
-                          <span className="document-date">
-                            {new Date(doc.uploadDate).toLocaleDateString()}
-                          </span>
-                        </div>
+                    ) : group.name && (
+                      <div className="document-group-header">
+                        <h4>{group.name}</h4>
+                        <span className="document-group-count">{group.documents.length}</span>
                       </div>
-                      <button 
-                        className="delete-document" 
-                        onClick={() => handleDelete(doc.id)}
-                        title="Delete document"
-                      >
-                        <FaTrash />
-                      </button>
-                    </li>
-                  ))}
-                </ul>
+                    )}
+                    {group.documents.length === 0 ? (
+                      <p className="document-group-empty">No documents in this collection yet.</p>
+                    ) : (
+                      <ul className="documents">
+                        {group.documents.map(doc => renderDocument(doc, group.key))}
+                      </ul>
+                    )}
+                  </div>
+                ))
               )}
             </div>
             
@@ -347,6 +1622,13 @@ function KnowledgeBase({ isOpen, onClose }) {
         </motion.div>
       )}
     </AnimatePresence>
+    
+    <ChunkInspector
+      document={inspectedDocument}
+      onClose={() => setInspectedDocument(null)}
+      onChange={fetchDocuments}
+    />
+    </>
   );
 }
 
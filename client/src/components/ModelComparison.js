@@ -0,0 +1,46 @@
+import React from 'react';
+import { FaClock, FaTrophy } from 'react-icons/fa';
+import { modelLabel } from './ModelSelector';
+
+const formatLatency = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+// Answers of several models to the same question, side by side with each one's
+// latency and token usage; choosing one continues the conversation with it
+function ModelComparison({ answers, renderContent, onChoose, disabled }) {
+  return (
+    <div className="model-comparison">
+      {answers.map(result => (
+        <div key={result.model} className={`comparison-answer ${result.error ? 'failed' : ''}`}>
+          <div className="comparison-header">
+            <span className="comparison-model" title={result.model}>{modelLabel(result.model)}</span>
+            <span className="comparison-stats">
+              <span title="Time to answer"><FaClock /> {formatLatency(result.latencyMs)}</span>
+              {result.usage?.totalTokens != null && (
+                <span title={`${result.usage.promptTokens} prompt + ${result.usage.completionTokens} completion tokens`}>
+                  {result.usage.totalTokens} tokens
+                </span>
+              )}
+            </span>
+          </div>
+
+          <div className="comparison-content">
+            {result.error ? <span className="comparison-error">{result.error}</span> : renderContent(result.answer)}
+          </div>
+
+          {!result.error && (
+            <button
+              className="choose-answer-button"
+              onClick={() => onChoose(result.model)}
+              disabled={disabled}
+              title={`Keep this answer and continue with ${result.model}`}
+            >
+              <FaTrophy /> Use this answer
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ModelComparison;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaRobot, FaChevronDown, FaBalanceScale } from 'react-icons/fa';
+
+// Shorter label for a model id, e.g. "openai/gpt-4.1" -> "gpt-4.1"
+export const modelLabel = (model) => (model ? model.split('/').pop() : '');
+
+// Picks the provider and model answers come from, or in compare mode the models
+// one question is sent to so their answers can be weighed side by side. Only the
+// selected provider's models are offered, since a comparison asks one provider.
+function ModelSelector({
+  models,
+  providers,
+  selectedProvider,
+  onProviderSelect,
+  selectedModel,
+  onSelect,
+  compareMode,
+  onCompareModeChange,
+  comparedModels,
+  onComparedModelsChange,
+  disabled
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (providers.length < 2 && models.length < 2) {
+    return null;
+  }
+
+  const providerModels = models.filter(model => model.provider === selectedProvider);
+
+  const toggleComparedModel = (modelId) => {
+    onComparedModelsChange(comparedModels.includes(modelId)
+      ? comparedModels.filter(id => id !== modelId)
+      : [...comparedModels, modelId]);
+  };
+
+  return (
+    <div className="model-selector">
+      {providers.length > 1 && (
+        <select
+          className="provider-select"
+          value={selectedProvider}
+          onChange={(e) => onProviderSelect(e.target.value)}
+          disabled={disabled}
+          title="Provider that answers"
+        >
+          {providers.map(provider => (
+            <option key={provider} value={provider}>{provider}</option>
+          ))}
+        </select>
+      )}
+      <button
+        type="button"
+        className={`model-selector-toggle ${compareMode ? 'active' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        title={compareMode ? 'Models compared side by side' : 'Model that answers'}
+      >
+        {compareMode ? <FaBalanceScale /> : <FaRobot />}
+        {compareMode
+          ? `Compare ${comparedModels.map(modelLabel).join(' vs ')}`
+          : modelLabel(selectedModel)}
+        <FaChevronDown />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="model-selector-menu"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+          >
+            <label className="model-choice compare-choice">
+              <input
+                type="checkbox"
+                checked={compareMode}
+                onChange={(e) => onCompareModeChange(e.target.checked)}
+              />
+              Compare models side by side
+            </label>
+            {providerModels.map(model => (
+              <label key={model.id} className="model-choice">
+                {compareMode ? (
+                  <input
+                    type="checkbox"
+                    checked={comparedModels.includes(model.id)}
+                    onChange={() => toggleComparedModel(model.id)}
+                  />
+                ) : (
+                  <input
+                    type="radio"
+                    name="answer-model"
+                    checked={selectedModel === model.id}
+                    onChange={() => onSelect(model.id)}
+                  />
+                )}
+                {model.id}
+              </label>
+            ))}
+            {compareMode && comparedModels.length < 2 && (
+              <span className="model-selector-hint">Pick at least two models</span>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default ModelSelector;
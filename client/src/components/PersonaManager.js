@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaPlus, FaPen, FaTrash, FaTheaterMasks } from 'react-icons/fa';
+
+const emptyForm = (defaults) => ({
+  name: '',
+  systemPrompt: defaults.systemPrompt || '',
+  temperature: defaults.temperature ?? 1,
+  topP: defaults.topP ?? 1,
+  answerLength: defaults.answerLength || 'medium',
+  collectionIds: []
+});
+
+// Create, edit and delete personas: named system prompts with their own
+// sampling settings, default collections and answer length
+function PersonaManager({ isOpen, onClose, personas, defaults, answerLengths, collections, onChange }) {
+  const [form, setForm] = useState(emptyForm(defaults));
+  // Persona being edited; null while creating a new one
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm(defaults));
+      setEditingId(null);
+      setError(null);
+    }
+  }, [isOpen, defaults]);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleCollection = (collectionId) => {
+    updateField('collectionIds', form.collectionIds.includes(collectionId)
+      ? form.collectionIds.filter(id => id !== collectionId)
+      : [...form.collectionIds, collectionId]);
+  };
+
+  const startEditing = (persona) => {
+    setEditingId(persona.id);
+    setForm({
+      name: persona.name,
+      systemPrompt: persona.systemPrompt,
+      temperature: persona.temperature,
+      topP: persona.topP,
+      answerLength: persona.answerLength,
+      // Leave out collections that have been deleted since
+      collectionIds: persona.collectionIds.filter(id => collections.some(collection => collection.id === id))
+    });
+    setError(null);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setForm(emptyForm(defaults));
+    setError(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        editingId ? `http://localhost:5001/api/personas/${editingId}` : 'http://localhost:5001/api/personas',
+        {
+          method: editingId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...form,
+            temperature: Number(form.temperature),
+            topP: Number(form.topP),
+            userId: 'default-user'
+          })
+        }
+      );
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save persona');
+      }
+
+      cancelEditing();
+      onChange();
+    } catch (err) {
+      console.error('Error saving persona:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"? Conversations using it go back to the default assistant.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`http://localhost:5001/api/personas/${persona.id}?userId=default-user`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete persona');
+      }
+
+      if (persona.id === editingId) {
+        cancelEditing();
+      }
+      onChange();
+    } catch (err) {
+      console.error('Error deleting persona:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          className="knowledge-base-modal"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="knowledge-base-content persona-manager"
+            initial={{ scale: 0.9, y: 50 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 50 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="kb-header">
+              <h2><FaTheaterMasks /> Personas</h2>
+              <button className="close-button" onClick={onClose}>
+                <FaTimes />
+              </button>
+            </div>
+
+            <div className="persona-body">
+              {personas.length === 0 ? (
+                <p className="no-personas">No personas yet. Answers use the default assistant.</p>
+              ) : (
+                <ul className="persona-list">
+                  {personas.map(persona => (
+                    <li key={persona.id} className={`persona-item ${persona.id === editingId ? 'editing' : ''}`}>
+                      <div className="persona-summary">
+                        <strong>{persona.name}</strong>
+                        <span className="persona-settings">
+                          {persona.answerLength} answers · temperature {persona.temperature} · top_p {persona.topP}
+                        </span>
+                        <span className="persona-prompt">{persona.systemPrompt}</span>
+                      </div>
+                      <button className="collection-action" onClick={() => startEditing(persona)} title="Edit persona">
+                        <FaPen />
+                      </button>
+                      <button className="collection-action" onClick={() => handleDelete(persona)} title="Delete persona">
+                        <FaTrash />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <form className="persona-form" onSubmit={handleSave}>
+                <h3>{editingId ? 'Edit persona' : 'New persona'}</h3>
+
+                <div className="form-group">
+                  <label htmlFor="persona-name">Name</label>
+                  <input
+                    id="persona-name"
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    placeholder="e.g. HR advisor"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="persona-prompt">System prompt</label>
+                  <textarea
+                    id="persona-prompt"
+                    rows={4}
+                    value={form.systemPrompt}
+                    onChange={(e) => updateField('systemPrompt', e.target.value)}
+                    placeholder="You are a friendly HR advisor for our employees."
+                  />
+                </div>
+
+                <div className="persona-options">
+                  <div className="form-group">
+                    <label htmlFor="persona-length">Answer length</label>
+                    <select
+                      id="persona-length"
+                      value={form.answerLength}
+                      onChange={(e) => updateField('answerLength', e.target.value)}
+                    >
+                      {answerLengths.map(length => (
+                        <option key={length} value={length}>{length}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="persona-temperature">Temperature</label>
+                    <input
+                      id="persona-temperature"
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      value={form.temperature}
+                      onChange={(e) => updateField('temperature', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="persona-top-p">Top P</label>
+                    <input
+                      id="persona-top-p"
+                      type="number"
+                      min="0.05"
+                      max="1"
+                      step="0.05"
+                      value={form.topP}
+                      onChange={(e) => updateField('topP', e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                {collections.length > 0 && (
+                  <div className="form-group">
+                    <label>Default collections</label>
+                    <div className="collection-choices">
+                      {collections.map(collection => (
+                        <label key={collection.id} className="collection-choice">
+                          <input
+                            type="checkbox"
+                            checked={form.collectionIds.includes(collection.id)}
+                            onChange={() => toggleCollection(collection.id)}
+                          />
+                          {collection.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {error && <p className="persona-error">{error}</p>}
+
+                <div className="form-actions">
+                  {editingId && (
+                    <button type="button" className="cancel-button" onClick={cancelEditing}>
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    type="submit"
+                    className="upload-button"
+                    disabled={isSaving || !form.name.trim() || !form.systemPrompt.trim()}
+                  >
+                    {editingId ? 'Save Persona' : <><FaPlus /> Add Persona</>}
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            <div className="kb-footer">
+              <button className="close-kb-button" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default PersonaManager;
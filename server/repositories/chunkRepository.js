@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import path from 'path';
+import { chunkIndexPath, replaceFile } from './dataFiles.js';
+
+// On-disk fallback if MongoDB isn't available, so chunks still survive a restart.
+// The index is a log of JSON lines, each { put: chunk } or { remove: [chunkIds] },
+// so a change appends only the chunks it touched; replaying the log gives the
+// current chunks. Once stale lines outnumber live chunks it is rewritten compactly.
+let fileChunks = null;
+let loadingIndex = null;
+// Lines in the index file, live or stale
+let logLength = 0;
+// Last queued change to the index file; changes are written in the order they were made
+let pendingWrite = Promise.resolve();
+
+// Smallest log worth compacting
+const COMPACT_MIN_LINES = 1000;
+
+let DocumentChunk;
+
+try {
+  const documentChunkSchema = new mongoose.Schema({
+    chunkId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    fileId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    pageContent: {
+      type: String,
+      required: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    embedding: [{
+      type: Number,
+    }],
+    // Provider that produced the embedding, e.g. "local:hash-384"
+    embeddingModel: {
+      type: String,
+    },
+    // Hidden from retrieval, e.g. a repeated header or footer
+    excluded: {
+      type: Boolean,
+      default: false,
+    },
+    // Text as extracted, kept once the chunk has been edited by hand
+    originalContent: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  });
+
+  try {
+    DocumentChunk = mongoose.model('DocumentChunk');
+  } catch (e) {
+    DocumentChunk = mongoose.model('DocumentChunk', documentChunkSchema);
+  }
+} catch (error) {
+  console.error('Error setting up document chunk model:', error);
+}
+
+const isMongoAvailable = () => DocumentChunk && mongoose.connection.readyState === 1;
+
+// Strip mongoose fields so callers always get plain chunk objects
+const toChunk = (record) => ({
+  chunkId: record.chunkId,
+  pageContent: record.pageContent,
+  metadata: record.metadata || {},
+  embedding: record.embedding || [],
+  embeddingModel: record.embeddingModel,
+  excluded: Boolean(record.excluded),
+  ...(record.originalContent !== undefined && record.originalContent !== null ? { originalContent: record.originalContent } : {})
+});
+
+class ChunkRepository {
+  // The chunks in the index file by chunkId, read once and kept up to date after that
+  async loadIndexFile() {
+    // Calls made while the file is still being read share that read
+    if (!loadingIndex) {
+      loadingIndex = this.readIndexFile().then(async ({ chunks, lines, damaged }) => {
+        fileChunks = chunks;
+        logLength = lines;
+        // A line cut short by a crash would swallow the next one appended after it
+        if (damaged || this.needsCompaction()) {
+          await this.queueWrite(() => this.compactIndexFile());
+        }
+      });
+    }
+    await loadingIndex;
+    return fileChunks;
+  }
+
+  async readIndexFile() {
+    const chunks = new Map();
+    let raw;
+    try {
+      raw = await fs.readFile(chunkIndexPath(), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading chunk index file:', error);
+      }
+      return { chunks, lines: 0, damaged: false };
+    }
+
+    let damaged = raw.length > 0 && !raw.endsWith('\n');
+    const lines = raw.split('\n').filter(Boolean);
+    lines.forEach(line => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        damaged = true;
+        return;
+      }
+      if (entry.put) {
+        chunks.set(entry.put.chunkId, entry.put);
+      } else if (entry.remove) {
+        entry.remove.forEach(chunkId => chunks.delete(chunkId));
+      }
+    });
+    if (damaged) {
+      console.error('Chunk index file has damaged lines; they were skipped');
+    }
+    return { chunks, lines: lines.length, damaged };
+  }
+
+  needsCompaction() {
+    return logLength > COMPACT_MIN_LINES && logLength > 2 * fileChunks.size;
+  }
+
+  queueWrite(write) {
+    const next = pendingWrite.catch(() => {}).then(write);
+    pendingWrite = next;
+    return next;
+  }
+
+  // Record changes to chunks already applied to fileChunks
+  appendToIndexFile(entries) {
+    if (entries.length === 0) {
+      return pendingWrite;
+    }
+    const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    logLength += entries.length;
+    const compact = this.needsCompaction();
+
+    return this.queueWrite(async () => {
+      await fs.mkdir(path.dirname(chunkIndexPath()), { recursive: true });
+      await fs.appendFile(chunkIndexPath(), lines);
+      if (compact) {
+        await this.compactIndexFile();
+      }
+    });
+  }
+
+  // Rewrite the log as one line per live chunk. Changes queued after this
+  // are appended again on top, which is harmless: a put or remove can repeat
+  async compactIndexFile() {
+    const chunks = [...fileChunks.values()];
+    await replaceFile(chunkIndexPath(), chunks.map(chunk => `${JSON.stringify({ put: chunk })}\n`).join(''));
+    logLength = chunks.length;
+  }
+
+  // Store the given chunks in the index and log them
+  putStoredChunks(stored, chunks) {
+    chunks.forEach(chunk => stored.set(chunk.chunkId, chunk));
+    return this.appendToIndexFile(chunks.map(chunk => ({ put: chunk })));
+  }
+
+  // Drop the given chunks from the index and log it; returns how many were there
+  async removeStoredChunks(stored, chunkIds) {
+    const removed = chunkIds.filter(chunkId => stored.delete(chunkId));
+    await this.appendToIndexFile(removed.length > 0 ? [{ remove: removed }] : []);
+    return removed.length;
+  }
+
+  async addChunks(chunks) {
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    try {
+      if (isMongoAvailable()) {
+        await DocumentChunk.insertMany(chunks.map(chunk => ({
+          chunkId: chunk.chunkId,
+          fileId: chunk.metadata.fileId,
+          pageContent: chunk.pageContent,
+          metadata: chunk.metadata,
+          embedding: chunk.embedding,
+          embeddingModel: chunk.embeddingModel,
+          excluded: Boolean(chunk.excluded),
+          originalContent: chunk.originalContent
+        })));
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        await this.putStoredChunks(stored, chunks.map(toChunk));
+      }
+      return chunks;
+    } catch (error) {
+      console.error('Error saving document chunks:', error);
+      throw error;
+    }
+  }
+
+  async getAllChunks() {
+    try {
+      if (isMongoAvailable()) {
+        const records = await DocumentChunk.find({}).sort({ createdAt: 1 }).lean();
+        return records.map(toChunk);
+      } else {
+        // Fallback to the on-disk index
+        return [...(await this.loadIndexFile()).values()];
+      }
+    } catch (error) {
+      console.error('Error loading document chunks:', error);
+      return [];
+    }
+  }
+
+  async updateEmbeddings(chunks) {
+    try {
+      if (isMongoAvailable()) {
+        await DocumentChunk.bulkWrite(chunks.map(chunk => ({
+          updateOne: {
+            filter: { chunkId: chunk.chunkId },
+            update: { embedding: chunk.embedding, embeddingModel: chunk.embeddingModel }
+          }
+        })));
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        const updated = chunks
+          .filter(chunk => stored.has(chunk.chunkId))
+          .map(chunk => ({ ...stored.get(chunk.chunkId), embedding: chunk.embedding, embeddingModel: chunk.embeddingModel }));
+        await this.putStoredChunks(stored, updated);
+      }
+    } catch (error) {
+      console.error('Error updating chunk embeddings:', error);
+      throw error;
+    }
+  }
+
+  // Save a chunk's edited text, embedding and exclusion flag
+  async updateChunk(chunk) {
+    try {
+      if (isMongoAvailable()) {
+        const update = {
+          $set: {
+            pageContent: chunk.pageContent,
+            embedding: chunk.embedding,
+            embeddingModel: chunk.embeddingModel,
+            excluded: Boolean(chunk.excluded)
+          }
+        };
+        // A reverted chunk no longer has an original to keep
+        if (chunk.originalContent === undefined) {
+          update.$unset = { originalContent: 1 };
+        } else {
+          update.$set.originalContent = chunk.originalContent;
+        }
+        await DocumentChunk.updateOne({ chunkId: chunk.chunkId }, update);
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        if (stored.has(chunk.chunkId)) {
+          await this.putStoredChunks(stored, [toChunk(chunk)]);
+        }
+      }
+    } catch (error) {
+      console.error('Error updating document chunk:', error);
+      throw error;
+    }
+  }
+
+  // Set metadata fields on every chunk of a file
+  async updateFileMetadata(fileId, fields) {
+    try {
+      if (isMongoAvailable()) {
+        const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`metadata.${key}`, value]));
+        await DocumentChunk.updateMany({ fileId }, { $set: update });
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        const updated = [...stored.values()]
+          .filter(chunk => chunk.metadata.fileId === fileId)
+          .map(chunk => ({ ...chunk, metadata: { ...chunk.metadata, ...fields } }));
+        await this.putStoredChunks(stored, updated);
+      }
+    } catch (error) {
+      console.error('Error updating chunk metadata:', error);
+      throw error;
+    }
+  }
+
+  async removeChunksByFileId(fileId) {
+    try {
+      if (isMongoAvailable()) {
+        const result = await DocumentChunk.deleteMany({ fileId });
+        return result.deletedCount;
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        const chunkIds = [...stored.values()]
+          .filter(chunk => chunk.metadata.fileId === fileId)
+          .map(chunk => chunk.chunkId);
+        return await this.removeStoredChunks(stored, chunkIds);
+      }
+    } catch (error) {
+      console.error('Error removing document chunks:', error);
+      throw error;
+    }
+  }
+
+  async removeChunksByIds(chunkIds) {
+    if (chunkIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      if (isMongoAvailable()) {
+        const result = await DocumentChunk.deleteMany({ chunkId: { $in: chunkIds } });
+        return result.deletedCount;
+      } else {
+        // Fallback to the on-disk index
+        const stored = await this.loadIndexFile();
+        return await this.removeStoredChunks(stored, chunkIds);
+      }
+    } catch (error) {
+      console.error('Error removing document chunks:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ChunkRepository();
@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+
+// In-memory fallback if MongoDB isn't available
+const inMemoryConversations = new Map();
+let conversationIdCounter = 1;
+
+let Conversation;
+
+try {
+  const messageSchema = new mongoose.Schema({
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true,
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+    // Sources and computed table results an answer was given
+    citations: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    tableResults: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    usedKnowledgeBase: {
+      type: Boolean,
+    },
+    // Model that wrote an answer
+    model: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }, { _id: false });
+
+  const conversationSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Blank until the first question, which then names the conversation
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    messages: [messageSchema],
+    // Retrieval settings of the latest question, restored when the conversation is reopened
+    collectionIds: [{
+      type: String,
+    }],
+    filter: {
+      type: String,
+      default: '',
+    },
+    // Persona of the latest question, so reopening the conversation keeps its behavior
+    personaId: {
+      type: String,
+      default: null,
+    },
+    // Running summary of the oldest messages, which no longer fit the model's context
+    summary: {
+      type: String,
+      default: '',
+    },
+    // How many messages from the start the summary covers
+    summarizedCount: {
+      type: Number,
+      default: 0,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  });
+
+  try {
+    Conversation = mongoose.model('Conversation');
+  } catch (e) {
+    Conversation = mongoose.model('Conversation', conversationSchema);
+  }
+} catch (error) {
+  console.error('Error setting up conversation model:', error);
+}
+
+const isMongoAvailable = () => Conversation && mongoose.connection.readyState === 1;
+
+class ConversationRepository {
+  async addConversation(conversationData) {
+    try {
+      if (isMongoAvailable()) {
+        const conversation = new Conversation(conversationData);
+        await conversation.save();
+        return conversation;
+      } else {
+        // Fallback to in-memory storage
+        const id = conversationIdCounter++;
+        const now = new Date();
+        const conversation = {
+          _id: id.toString(),
+          title: '',
+          messages: [],
+          collectionIds: [],
+          filter: '',
+          personaId: null,
+          summary: '',
+          summarizedCount: 0,
+          ...conversationData,
+          createdAt: now,
+          updatedAt: now
+        };
+        inMemoryConversations.set(conversation._id, conversation);
+        return conversation;
+      }
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+      throw error;
+    }
+  }
+
+  // A user's conversations, most recently active first
+  async getConversations(userId) {
+    try {
+      if (isMongoAvailable()) {
+        return await Conversation.find({ userId }).sort({ updatedAt: -1 });
+      } else {
+        // Fallback to in-memory storage
+        return Array.from(inMemoryConversations.values())
+          .filter(conversation => conversation.userId === userId)
+          .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+      }
+    } catch (error) {
+      console.error('Error retrieving conversations:', error);
+      return [];
+    }
+  }
+
+  async getConversationById(id) {
+    try {
+      if (isMongoAvailable()) {
+        return await Conversation.findById(id);
+      } else {
+        // Fallback to in-memory storage
+        return inMemoryConversations.get(id);
+      }
+    } catch (error) {
+      console.error('Error retrieving conversation:', error);
+      return inMemoryConversations.get(id); // Fallback
+    }
+  }
+
+  // Change fields without counting as activity; updatedAt only moves with new messages
+  async updateConversation(id, updates) {
+    try {
+      if (isMongoAvailable()) {
+        return await Conversation.findByIdAndUpdate(id, updates, { new: true });
+      } else {
+        // Fallback to in-memory storage
+        const conversation = inMemoryConversations.get(id);
+        if (!conversation) {
+          return null;
+        }
+        Object.assign(conversation, updates);
+        return conversation;
+      }
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      throw error;
+    }
+  }
+
+  // Add messages to the end of a conversation, applying any other updates with them
+  async appendMessages(id, messages, updates = {}) {
+    try {
+      if (isMongoAvailable()) {
+        return await Conversation.findByIdAndUpdate(id, {
+          $push: { messages: { $each: messages } },
+          $set: { ...updates, updatedAt: new Date() }
+        }, { new: true });
+      } else {
+        // Fallback to in-memory storage
+        const conversation = inMemoryConversations.get(id);
+        if (!conversation) {
+          return null;
+        }
+        const now = new Date();
+        conversation.messages.push(...messages.map(message => ({ createdAt: now, ...message })));
+        Object.assign(conversation, updates, { updatedAt: now });
+        return conversation;
+      }
+    } catch (error) {
+      console.error('Error adding messages to conversation:', error);
+      throw error;
+    }
+  }
+
+  async removeConversation(id, userId) {
+    try {
+      let conversation;
+
+      if (isMongoAvailable()) {
+        conversation = await Conversation.findOne({ _id: id, userId });
+
+        if (!conversation) {
+          throw new Error('Conversation not found or unauthorized');
+        }
+
+        await Conversation.deleteOne({ _id: id });
+      } else {
+        // Fallback to in-memory storage
+        conversation = inMemoryConversations.get(id);
+
+        if (!conversation || conversation.userId !== userId) {
+          throw new Error('Conversation not found or unauthorized');
+        }
+
+        inMemoryConversations.delete(id);
+      }
+
+      return { success: true, conversation };
+    } catch (error) {
+      console.error('Error removing conversation:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ConversationRepository();
@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Where the fallback stores live without MongoDB: server/data, whichever
+// directory the server was started from
+const DEFAULT_DATA_DIR = fileURLToPath(new URL('../data', import.meta.url));
+
+// Read on use rather than at import, so a CHUNK_INDEX_PATH from .env applies
+export const chunkIndexPath = () =>
+  process.env.CHUNK_INDEX_PATH || path.join(DEFAULT_DATA_DIR, 'chunk-index.jsonl');
+
+// Other stores sit next to the chunk index, so they move (and are backed up) together
+export const dataFilePath = (name) => path.join(path.dirname(chunkIndexPath()), name);
+
+// Replace a file's contents without ever leaving it half-written: write a
+// temporary file beside it, then rename it over the original
+export const replaceFile = async (filePath, contents) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, contents);
+  await fs.rename(tempPath, filePath);
+};
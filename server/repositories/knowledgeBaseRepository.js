@@ -1,58 +1,188 @@
 import mongoose from 'mongoose';
 import fs from 'fs/promises';
-import path from 'path';
+import { dataFilePath, replaceFile } from './dataFiles.js';
 
-// In-memory fallback if MongoDB isn't available
+// In-memory fallback if MongoDB isn't available. The records are also saved to a
+// file next to the chunk index, so documents and their chunks survive a restart
 const inMemoryDocuments = new Map();
 let documentIdCounter = 1;
+const inMemoryCollections = new Map();
+let collectionIdCounter = 1;
+let loadingRecords = null;
+// Last queued save of the records file; saves share one temporary file, so they run in turn
+let pendingSave = Promise.resolve();
 
-// Create schema only if mongoose is connected
+const recordsFilePath = () => dataFilePath('knowledge-base.json');
+
+// Read the saved records into the in-memory maps once; every fallback path awaits this
+const loadFallbackRecords = () => {
+  if (!loadingRecords) {
+    loadingRecords = fs.readFile(recordsFilePath(), 'utf8')
+      .then(raw => {
+        const saved = JSON.parse(raw);
+        saved.documents.forEach(doc => inMemoryDocuments.set(doc._id, doc));
+        saved.collections.forEach(collection => inMemoryCollections.set(collection._id, collection));
+        documentIdCounter = saved.documentIdCounter;
+        collectionIdCounter = saved.collectionIdCounter;
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading knowledge base records file:', error);
+        }
+      });
+  }
+  return loadingRecords;
+};
+
+// A failed save is logged rather than thrown: the change has been made in memory
+// and the next successful save writes it too
+const saveFallbackRecords = () => {
+  pendingSave = pendingSave
+    .then(() => replaceFile(recordsFilePath(), JSON.stringify({
+      documents: Array.from(inMemoryDocuments.values()),
+      collections: Array.from(inMemoryCollections.values()),
+      documentIdCounter,
+      collectionIdCounter
+    })))
+    .catch(error => console.error('Error saving knowledge base records file:', error));
+  return pendingSave;
+};
+
+// Define the models up front; every call below checks the connection state
+// before using it, so the schemas can exist before mongoose.connect() resolves
 let KnowledgeBase;
+let Collection;
 
 try {
-  if (mongoose.connection.readyState !== 0) {
-    const knowledgeBaseSchema = new mongoose.Schema({
-      title: {
-        type: String,
-        required: true,
-        trim: true,
-      },
-      description: {
-        type: String,
-        trim: true,
-      },
-      filePath: {
-        type: String,
-        required: true,
-      },
-      fileType: {
-        type: String,
-        required: true,
-      },
-      fileSize: {
-        type: Number,
-        required: true,
-      },
-      uploadDate: {
-        type: Date,
-        default: Date.now,
-      },
-      userId: {
-        type: String,
-        required: true,
-      },
-      vectorIds: [{
-        type: String,
-      }],
-    });
+  const knowledgeBaseSchema = new mongoose.Schema({
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    filePath: {
+      type: String,
+      required: true,
+    },
+    // Links the record to its chunks in the document processor
+    fileId: {
+      type: String,
+    },
+    originalName: {
+      type: String,
+    },
+    // Page address for documents ingested from the web
+    sourceUrl: {
+      type: String,
+    },
+    // SHA-256 of the stored file, used to spot repeat uploads
+    contentHash: {
+      type: String,
+      index: true,
+    },
+    // How the file was split into chunks; reused when it is re-indexed
+    chunking: {
+      strategy: String,
+      chunkSize: Number,
+      chunkOverlap: Number,
+    },
+    // Number of the version whose file and chunks are current
+    version: {
+      type: Number,
+      default: 1,
+    },
+    versionDate: {
+      type: Date,
+    },
+    versionNote: {
+      type: String,
+    },
+    // Earlier (or rolled-back) versions; their files are kept for rollback
+    versions: [{
+      version: Number,
+      filePath: String,
+      fileId: String,
+      originalName: String,
+      fileType: String,
+      fileSize: Number,
+      contentHash: String,
+      sourceUrl: String,
+      uploadDate: Date,
+      note: String,
+    }],
+    fileType: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    uploadDate: {
+      type: Date,
+      default: Date.now,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    vectorIds: [{
+      type: String,
+    }],
+    // Other users allowed to retrieve this document's chunks
+    sharedWith: [{
+      type: String,
+    }],
+    // Free-form labels, e.g. "hr" or "draft"
+    tags: [{
+      type: String,
+    }],
+    // Key/value fields such as department, product or effective date
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Ids of the owner's collections this document belongs to
+    collections: [{
+      type: String,
+    }],
+  });
 
-    try {
-      KnowledgeBase = mongoose.model('KnowledgeBase');
-    } catch (e) {
-      KnowledgeBase = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
-    }
-  } else {
-    console.log('MongoDB not connected, using in-memory storage for knowledge base');
+  try {
+    KnowledgeBase = mongoose.model('KnowledgeBase');
+  } catch (e) {
+    KnowledgeBase = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
+  }
+
+  // Named groups of a user's documents, e.g. "HR policies"
+  const collectionSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  });
+
+  try {
+    Collection = mongoose.model('Collection');
+  } catch (e) {
+    Collection = mongoose.model('Collection', collectionSchema);
   }
 } catch (error) {
   console.error('Error setting up knowledge base model:', error);
@@ -67,6 +197,7 @@ class KnowledgeBaseRepository {
         return document;
       } else {
         // Fallback to in-memory storage
+        await loadFallbackRecords();
         const id = documentIdCounter++;
         const doc = {
           _id: id.toString(),
@@ -74,12 +205,14 @@ class KnowledgeBaseRepository {
           uploadDate: new Date()
         };
         inMemoryDocuments.set(doc._id, doc);
+        await saveFallbackRecords();
         return doc;
       }
     } catch (error) {
       console.error('Error saving document to knowledge base:', error);
       
       // Fallback to in-memory storage on error
+      await loadFallbackRecords();
       const id = documentIdCounter++;
       const doc = {
         _id: id.toString(),
@@ -87,6 +220,7 @@ class KnowledgeBaseRepository {
         uploadDate: new Date()
       };
       inMemoryDocuments.set(doc._id, doc);
+      await saveFallbackRecords();
       return doc;
     }
   }
@@ -97,6 +231,7 @@ class KnowledgeBaseRepository {
         return await KnowledgeBase.find({ userId }).sort({ uploadDate: -1 });
       } else {
         // Fallback to in-memory storage
+        await loadFallbackRecords();
         return Array.from(inMemoryDocuments.values())
           .filter(doc => doc.userId === userId)
           .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
@@ -105,18 +240,53 @@ class KnowledgeBaseRepository {
       console.error('Error retrieving documents from knowledge base:', error);
       
       // Fallback to in-memory storage on error
+      await loadFallbackRecords();
       return Array.from(inMemoryDocuments.values())
         .filter(doc => doc.userId === userId)
         .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
     }
   }
 
+  async getDocumentsSharedWith(userId) {
+    try {
+      if (KnowledgeBase && mongoose.connection.readyState === 1) {
+        return await KnowledgeBase.find({ sharedWith: userId }).sort({ uploadDate: -1 });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        return Array.from(inMemoryDocuments.values())
+          .filter(doc => (doc.sharedWith || []).includes(userId))
+          .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+      }
+    } catch (error) {
+      console.error('Error retrieving shared documents from knowledge base:', error);
+      return [];
+    }
+  }
+
+  async findDocumentByHash(userId, contentHash) {
+    try {
+      if (KnowledgeBase && mongoose.connection.readyState === 1) {
+        return await KnowledgeBase.findOne({ userId, contentHash });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        return Array.from(inMemoryDocuments.values())
+          .find(doc => doc.userId === userId && doc.contentHash === contentHash) || null;
+      }
+    } catch (error) {
+      console.error('Error finding document by content hash:', error);
+      return null;
+    }
+  }
+
   async getDocumentById(id) {
     try {
       if (KnowledgeBase && mongoose.connection.readyState === 1) {
         return await KnowledgeBase.findById(id);
       } else {
         // Fallback to in-memory storage
+        await loadFallbackRecords();
         return inMemoryDocuments.get(id);
       }
     } catch (error) {
@@ -125,6 +295,40 @@ class KnowledgeBaseRepository {
     }
   }
 
+  // The subset of the given ids that still have a record. Errors are thrown rather than
+  // read as "missing", since callers drop whatever belongs to a missing record
+  async getExistingDocumentIds(ids) {
+    if (KnowledgeBase && mongoose.connection.readyState === 1) {
+      const documents = await KnowledgeBase.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) } }).select('_id');
+      return documents.map(doc => String(doc._id));
+    } else {
+      // Fallback to in-memory storage
+      await loadFallbackRecords();
+      return ids.filter(id => inMemoryDocuments.has(id));
+    }
+  }
+
+  async updateDocument(id, updates) {
+    try {
+      if (KnowledgeBase && mongoose.connection.readyState === 1) {
+        return await KnowledgeBase.findByIdAndUpdate(id, updates, { new: true });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        const document = inMemoryDocuments.get(id);
+        if (!document) {
+          return null;
+        }
+        Object.assign(document, updates);
+        await saveFallbackRecords();
+        return document;
+      }
+    } catch (error) {
+      console.error('Error updating document in knowledge base:', error);
+      throw error;
+    }
+  }
+
   async removeDocument(id, userId) {
     try {
       let document;
@@ -139,6 +343,7 @@ class KnowledgeBaseRepository {
         await KnowledgeBase.deleteOne({ _id: id });
       } else {
         // Fallback to in-memory storage
+        await loadFallbackRecords();
         document = inMemoryDocuments.get(id);
         
         if (!document || document.userId !== userId) {
@@ -146,24 +351,160 @@ class KnowledgeBaseRepository {
         }
         
         inMemoryDocuments.delete(id);
+        await saveFallbackRecords();
       }
       
-      // Delete the actual file
-      if (document.filePath) {
+      // Delete the actual files, including those kept for earlier versions
+      const filePaths = [document.filePath, ...(document.versions || []).map(version => version.filePath)];
+      for (const filePath of filePaths.filter(Boolean)) {
         try {
-          await fs.unlink(document.filePath);
+          await fs.unlink(filePath);
         } catch (fileError) {
           console.error('Error deleting file:', fileError);
           // Continue with deletion even if file deletion fails
         }
       }
       
-      return { success: true };
+      return { success: true, document };
     } catch (error) {
       console.error('Error removing document from knowledge base:', error);
       throw error;
     }
   }
+
+  // Documents (of any owner) assigned to at least one of the given collections
+  async getDocumentsInCollections(collectionIds) {
+    try {
+      if (KnowledgeBase && mongoose.connection.readyState === 1) {
+        return await KnowledgeBase.find({ collections: { $in: collectionIds } });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        return Array.from(inMemoryDocuments.values())
+          .filter(doc => (doc.collections || []).some(id => collectionIds.includes(id)));
+      }
+    } catch (error) {
+      console.error('Error retrieving documents by collection:', error);
+      return [];
+    }
+  }
+
+  async addCollection(collectionData) {
+    try {
+      if (Collection && mongoose.connection.readyState === 1) {
+        const collection = new Collection(collectionData);
+        await collection.save();
+        return collection;
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        const id = collectionIdCounter++;
+        const collection = {
+          _id: id.toString(),
+          ...collectionData,
+          createdAt: new Date()
+        };
+        inMemoryCollections.set(collection._id, collection);
+        await saveFallbackRecords();
+        return collection;
+      }
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      throw error;
+    }
+  }
+
+  async getCollections(userId) {
+    try {
+      if (Collection && mongoose.connection.readyState === 1) {
+        return await Collection.find({ userId }).sort({ name: 1 });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        return Array.from(inMemoryCollections.values())
+          .filter(collection => collection.userId === userId)
+          .sort((a, b) => a.name.localeCompare(b.name));
+      }
+    } catch (error) {
+      console.error('Error retrieving collections:', error);
+      return [];
+    }
+  }
+
+  async getCollectionById(id) {
+    try {
+      if (Collection && mongoose.connection.readyState === 1) {
+        return await Collection.findById(id);
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        return inMemoryCollections.get(id);
+      }
+    } catch (error) {
+      console.error('Error retrieving collection:', error);
+      return inMemoryCollections.get(id); // Fallback
+    }
+  }
+
+  async updateCollection(id, updates) {
+    try {
+      if (Collection && mongoose.connection.readyState === 1) {
+        return await Collection.findByIdAndUpdate(id, updates, { new: true });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        const collection = inMemoryCollections.get(id);
+        if (!collection) {
+          return null;
+        }
+        Object.assign(collection, updates);
+        await saveFallbackRecords();
+        return collection;
+      }
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      throw error;
+    }
+  }
+
+  // Delete a collection; its documents stay in the knowledge base, unassigned from it
+  async removeCollection(id, userId) {
+    try {
+      let collection;
+
+      if (Collection && mongoose.connection.readyState === 1) {
+        collection = await Collection.findOne({ _id: id, userId });
+
+        if (!collection) {
+          throw new Error('Collection not found or unauthorized');
+        }
+
+        await Collection.deleteOne({ _id: id });
+        await KnowledgeBase.updateMany({ collections: id }, { $pull: { collections: id } });
+      } else {
+        // Fallback to in-memory storage
+        await loadFallbackRecords();
+        collection = inMemoryCollections.get(id);
+
+        if (!collection || collection.userId !== userId) {
+          throw new Error('Collection not found or unauthorized');
+        }
+
+        inMemoryCollections.delete(id);
+        inMemoryDocuments.forEach(doc => {
+          if ((doc.collections || []).includes(id)) {
+            doc.collections = doc.collections.filter(collectionId => collectionId !== id);
+          }
+        });
+        await saveFallbackRecords();
+      }
+
+      return { success: true, collection };
+    } catch (error) {
+      console.error('Error removing collection:', error);
+      throw error;
+    }
+  }
 }
 
 export default new KnowledgeBaseRepository();
\ No newline at end of file
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+
+// In-memory fallback if MongoDB isn't available
+const inMemoryPersonas = new Map();
+let personaIdCounter = 1;
+
+let Persona;
+
+try {
+  const personaSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Opening of the system prompt, in place of "You are a helpful assistant."
+    systemPrompt: {
+      type: String,
+      required: true,
+    },
+    temperature: {
+      type: Number,
+      default: 1,
+    },
+    topP: {
+      type: Number,
+      default: 1,
+    },
+    // Collections a conversation with this persona draws from unless it picks others
+    collectionIds: [{
+      type: String,
+    }],
+    // short, medium or long
+    answerLength: {
+      type: String,
+      default: 'medium',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  });
+
+  try {
+    Persona = mongoose.model('Persona');
+  } catch (e) {
+    Persona = mongoose.model('Persona', personaSchema);
+  }
+} catch (error) {
+  console.error('Error setting up persona model:', error);
+}
+
+const isMongoAvailable = () => Persona && mongoose.connection.readyState === 1;
+
+class PersonaRepository {
+  async addPersona(personaData) {
+    try {
+      if (isMongoAvailable()) {
+        const persona = new Persona(personaData);
+        await persona.save();
+        return persona;
+      } else {
+        // Fallback to in-memory storage
+        const id = personaIdCounter++;
+        const now = new Date();
+        const persona = {
+          _id: id.toString(),
+          temperature: 1,
+          topP: 1,
+          collectionIds: [],
+          answerLength: 'medium',
+          ...personaData,
+          createdAt: now,
+          updatedAt: now
+        };
+        inMemoryPersonas.set(persona._id, persona);
+        return persona;
+      }
+    } catch (error) {
+      console.error('Error saving persona:', error);
+      throw error;
+    }
+  }
+
+  // A user's personas in name order
+  async getPersonas(userId) {
+    try {
+      if (isMongoAvailable()) {
+        return await Persona.find({ userId }).sort({ name: 1 });
+      } else {
+        // Fallback to in-memory storage
+        return Array.from(inMemoryPersonas.values())
+          .filter(persona => persona.userId === userId)
+          .sort((a, b) => a.name.localeCompare(b.name));
+      }
+    } catch (error) {
+      console.error('Error retrieving personas:', error);
+      return [];
+    }
+  }
+
+  async getPersonaById(id) {
+    try {
+      if (isMongoAvailable()) {
+        return await Persona.findById(id);
+      } else {
+        // Fallback to in-memory storage
+        return inMemoryPersonas.get(id);
+      }
+    } catch (error) {
+      console.error('Error retrieving persona:', error);
+      return inMemoryPersonas.get(id); // Fallback
+    }
+  }
+
+  async updatePersona(id, updates) {
+    try {
+      if (isMongoAvailable()) {
+        return await Persona.findByIdAndUpdate(id, { ...updates, updatedAt: new Date() }, { new: true });
+      } else {
+        // Fallback to in-memory storage
+        const persona = inMemoryPersonas.get(id);
+        if (!persona) {
+          return null;
+        }
+        Object.assign(persona, updates, { updatedAt: new Date() });
+        return persona;
+      }
+    } catch (error) {
+      console.error('Error updating persona:', error);
+      throw error;
+    }
+  }
+
+  async removePersona(id, userId) {
+    try {
+      let persona;
+
+      if (isMongoAvailable()) {
+        persona = await Persona.findOne({ _id: id, userId });
+
+        if (!persona) {
+          throw new Error('Persona not found or unauthorized');
+        }
+
+        await Persona.deleteOne({ _id: id });
+      } else {
+        // Fallback to in-memory storage
+        persona = inMemoryPersonas.get(id);
+
+        if (!persona || persona.userId !== userId) {
+          throw new Error('Persona not found or unauthorized');
+        }
+
+        inMemoryPersonas.delete(id);
+      }
+
+      return { success: true, persona };
+    } catch (error) {
+      console.error('Error removing persona:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PersonaRepository();
@@ -1,14 +1,23 @@
 import express from 'express';
 import cors from 'cors';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import mongoose from 'mongoose';
-import documentProcessor from './services/documentProcessor.js';
+import documentProcessor, { DocumentProcessingError } from './services/documentProcessor.js';
+import { buildSnippet } from './services/searchIndex.js';
 import knowledgeBaseRepository from './repositories/knowledgeBaseRepository.js';
+import personaRepository from './repositories/personaRepository.js';
+import answerService, { ANSWER_LENGTHS, DEFAULT_SYSTEM_PROMPT } from './services/answerService.js';
+import apiService, { ModelSelectionError } from './services/apiService.js';
 import conversationService from './services/conversationService.js';
+import ingestionService, { DuplicateDocumentError, describeDocument, documentLabels, hashFile } from './services/ingestionService.js';
+import { parseWebUrl } from './services/webCrawler.js';
+import { resolveChunkingOptions, ChunkingOptionsError } from './services/chunkingStrategies.js';
+import { RESERVED_FIELDS } from './services/filterExpression.js';
+import { getTokenBudget } from './services/contextWindow.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,7 +35,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/qnabot',
 .catch(err => {
   console.error('MongoDB connection error:', err);
   console.log('Starting server without MongoDB. Some features may not work properly.');
-});
+})
+// Rehydrate searchable chunks once we know which store is in use
+.then(() => documentProcessor.loadDocuments())
+.catch(err => console.error('Error loading documents:', err));
 
 // Add this to handle MongoDB connection errors
 mongoose.connection.on('error', (err) => {
@@ -51,25 +63,165 @@ const storage = multer.diskStorage({
   }
 });
 
-const fileFilter = (req, file, cb) => {
+const isAllowedFile = (file) => {
   const allowedTypes = [
     'application/pdf', 
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     'text/plain',
-    'text/csv'
+    'text/csv',
+    'text/markdown',
+    'text/x-markdown',
+    'text/html',
+    'application/json',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
   ];
+  // Browsers often send Markdown and JSON as application/octet-stream, so trust the extension too
+  const allowedExtensions = ['pdf', 'docx', 'txt', 'csv', 'md', 'markdown', 'html', 'htm', 'json', 'xlsx'];
+  const extension = path.extname(file.originalname).toLowerCase().substring(1);
   
-  if (allowedTypes.includes(file.mimetype)) {
+  return allowedTypes.includes(file.mimetype) || allowedExtensions.includes(extension);
+};
+
+const isZipArchive = (file) => path.extname(file.originalname).toLowerCase() === '.zip';
+
+const fileFilter = (req, file, cb) => {
+  if (isAllowedFile(file)) {
     cb(null, true);
   } else {
     cb(new Error('Unsupported file type'), false);
   }
 };
 
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB limit
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;
+const MAX_BATCH_FILES = 50;
+const MAX_CRAWL_DEPTH = 3;
+const MAX_CRAWL_PAGES = 100;
+
+// What to do when an upload matches a document the user already has
+const DUPLICATE_ACTIONS = ['reject', 'replace'];
+
+// Chunking settings from the chunkingStrategy, chunkSize and chunkOverlap fields,
+// with the strategy falling back to `current`; throws ChunkingOptionsError
+const readChunkingOptions = (body, current = {}) => resolveChunkingOptions({
+  strategy: body.chunkingStrategy || current.strategy,
+  chunkSize: body.chunkSize,
+  chunkOverlap: body.chunkOverlap
+});
+
+const hasChunkingOptions = (body) =>
+  ['chunkingStrategy', 'chunkSize', 'chunkOverlap'].some(field => body[field] !== undefined && body[field] !== '');
+
+// Collection ids from a request field; multipart forms send a single value as a string
+const readCollectionIds = (value) => {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  return [...new Set((Array.isArray(value) ? value : String(value).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean))];
+};
+
+// An error message unless every id names one of the user's collections
+const checkCollectionIds = async (collectionIds, userId) => {
+  const owned = new Set((await knowledgeBaseRepository.getCollections(userId)).map(collection => String(collection._id)));
+  const unknown = collectionIds.filter(id => !owned.has(id));
+  return unknown.length > 0 ? `Unknown collection: ${unknown.join(', ')}` : null;
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_METADATA_FIELDS = 20;
+const MAX_METADATA_VALUE_LENGTH = 200;
+
+// Tags from a request field (an array or a comma-separated string), trimmed and
+// without repeats that differ only in case
+const readTags = (value) => {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  const seen = new Set();
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      if (!tag || seen.has(tag.toLowerCase())) return false;
+      seen.add(tag.toLowerCase());
+      return true;
+    });
+};
+
+// Document metadata from a request field; multipart forms send it as a JSON string.
+// Returns null when the field isn't an object.
+const readDocumentMetadata = (value) => {
+  if (value === undefined || value === '') {
+    return {};
+  }
+  let metadata = value;
+  if (typeof value === 'string') {
+    try {
+      metadata = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : null;
+};
+
+// An error message for tags or metadata that can't be stored or filtered on, or null.
+// Metadata values are kept as strings, so numbers are accepted and converted.
+const checkDocumentLabels = (tags, metadata) => {
+  if (tags.length > MAX_TAGS) {
+    return `A document can have at most ${MAX_TAGS} tags`;
+  }
+  const longTag = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (longTag) {
+    return `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+  }
+  
+  if (!metadata) {
+    return 'metadata must be an object of key/value pairs';
+  }
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_METADATA_FIELDS) {
+    return `A document can have at most ${MAX_METADATA_FIELDS} metadata fields`;
+  }
+  for (const [key, value] of entries) {
+    if (!/^[A-Za-z][\w-]{0,39}$/.test(key)) {
+      return `Metadata key "${key}" must start with a letter and use at most 40 letters, digits, "_" or "-"`;
+    }
+    if (RESERVED_FIELDS.includes(key.toLowerCase())) {
+      return `Metadata key "${key}" is reserved for a built-in filter field`;
+    }
+    if ((typeof value !== 'string' && typeof value !== 'number') || !String(value).trim() ||
+      String(value).trim().length > MAX_METADATA_VALUE_LENGTH) {
+      return `Metadata value for "${key}" must be text of 1 to ${MAX_METADATA_VALUE_LENGTH} characters`;
+    }
+  }
+  return null;
+};
+
+const normalizeMetadata = (metadata) =>
+  Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, String(value).trim()]));
+
 const upload = multer({ 
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10 MB limit
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+// Batch uploads also take ZIP archives; unsupported files are skipped and
+// reported instead of failing the whole batch
+const batchUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (isAllowedFile(file) || isZipArchive(file)) {
+      cb(null, true);
+    } else {
+      req.skippedFiles = [...(req.skippedFiles || []), { filename: file.originalname, reason: 'Unsupported file type' }];
+      cb(null, false);
+    }
+  },
+  limits: { fileSize: MAX_ARCHIVE_SIZE, files: MAX_BATCH_FILES }
 });
 
 // Middleware
@@ -77,13 +229,58 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Serve static files from the "public" directory
 
-// OpenAI configuration
-const token = process.env.GITHUB_TOKEN;
-const endpoint = "https://models.github.ai/inference";
-const model = "openai/gpt-4.1";
+// Chat completions all go through apiService: LLM_PROVIDER picks the default
+// provider (github, openai, local or fake) and CHAT_MODELS its models
+apiService.initialize();
+
+// Most models one question can be compared across
+const MAX_COMPARED_MODELS = 4;
 
-// Initialize API client
-const openaiClient = new OpenAI({ baseURL: endpoint, apiKey: token });
+// The { target: { provider, model } } an answer request asks for, defaulting to
+// the configured ones, or { error } when it names one that isn't available
+const readAnswerTarget = (body) => {
+  try {
+    return { target: apiService.resolveModel({ provider: body.provider, model: body.model }) };
+  } catch (error) {
+    if (error instanceof ModelSelectionError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+};
+
+// Look up the conversation and persona an answer request refers to. A request
+// without personaId keeps its conversation's persona (null or "" asks for none),
+// and one without collectionIds draws from the persona's collections.
+// Returns { persona, collectionIds } or { status, error }.
+const resolveAnswerContext = async (body, userId) => {
+  const { conversationId, personaId } = body;
+  
+  const conversation = conversationId ? await conversationService.getConversation(conversationId, userId) : null;
+  if (conversationId && !conversation) {
+    return { status: 404, error: 'Conversation not found or unauthorized' };
+  }
+  
+  let persona = null;
+  if (personaId) {
+    persona = await personaRepository.getPersonaById(String(personaId));
+    if (!persona || persona.userId !== userId) {
+      return { status: 404, error: 'Persona not found or unauthorized' };
+    }
+  } else if (personaId === undefined && conversation?.personaId) {
+    // The conversation's persona may have been deleted since; answer without one then
+    const stored = await personaRepository.getPersonaById(conversation.personaId);
+    persona = stored && stored.userId === userId ? stored : null;
+  }
+  
+  return {
+    persona,
+    collectionIds: body.collectionIds === undefined && persona ? persona.collectionIds : body.collectionIds
+  };
+};
+
+// Chunks are keyed by the stored file name; older records only have the path
+const getDocumentFileId = (doc) => doc.fileId || path.basename(doc.filePath);
 
 // Add a knowledge base document
 app.post('/api/knowledge-base/upload', upload.single('document'), async (req, res) => {
@@ -94,34 +291,351 @@ app.post('/api/knowledge-base/upload', upload.single('document'), async (req, re
     
     // For now using a simple userId
     const userId = req.body.userId || 'default-user';
+    const onDuplicate = req.body.onDuplicate || 'reject';
+    
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
     
-    // Process document
-    const processedChunks = await documentProcessor.processFile(req.file);
+    let chunking;
+    try {
+      chunking = readChunkingOptions(req.body);
+    } catch (error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const collectionIds = readCollectionIds(req.body.collectionIds);
+    const collectionError = await checkCollectionIds(collectionIds, userId);
+    if (collectionError) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: collectionError });
+    }
     
-    console.log(`Processed ${processedChunks.length} chunks from document`);
+    const tags = readTags(req.body.tags);
+    const metadata = readDocumentMetadata(req.body.metadata);
+    const labelError = checkDocumentLabels(tags, metadata);
+    if (labelError) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: labelError });
+    }
     
-    // Save document metadata to database
-    const documentData = {
-      title: req.body.title || req.file.originalname,
-      description: req.body.description || '',
-      filePath: req.file.path,
-      fileType: path.extname(req.file.originalname).toLowerCase().substring(1),
-      fileSize: req.file.size,
-      userId,
-      vectorIds: []
-    };
+    // Point the user at the copy they already have instead of indexing it twice
+    const duplicate = await ingestionService.findDuplicate(await hashFile(req.file.path), userId);
+    if (duplicate && onDuplicate !== 'replace') {
+      fs.unlink(req.file.path, () => {});
+      return res.status(409).json({
+        error: new DuplicateDocumentError(duplicate).message,
+        duplicateOf: describeDocument(duplicate)
+      });
+    }
     
-    const savedDocument = await knowledgeBaseRepository.addDocument(documentData);
+    // Parsing and indexing run in the background; clients follow the job for progress
+    const job = ingestionService.enqueueFile(req.file, {
+      title: req.body.title,
+      description: req.body.description,
+      userId,
+      chunking,
+      collectionIds,
+      tags,
+      metadata: normalizeMetadata(metadata),
+      onDuplicate
+    });
     
-    res.status(201).json({
-      message: 'Document uploaded and processed successfully',
-      document: savedDocument,
-      totalDocuments: documentProcessor.getDocumentCount()
+    res.status(202).json({
+      message: 'Document queued for processing',
+      job
     });
   } catch (error) {
     console.error('Error uploading document:', error);
-    res.status(500).json({ error: error.message || 'Failed to process document' });
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+// Add several documents at once; ZIP archives are unpacked and each file inside is ingested
+app.post('/api/knowledge-base/upload/batch', batchUpload.array('documents', MAX_BATCH_FILES), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  const skipped = [...(req.skippedFiles || [])];
+  
+  if (uploadedFiles.length === 0 && skipped.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+  
+  // For now using a simple userId
+  const userId = req.body.userId || 'default-user';
+  const onDuplicate = req.body.onDuplicate || 'reject';
+  
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    uploadedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+  }
+  
+  // Every file in the batch is chunked the same way
+  let chunking;
+  try {
+    chunking = readChunkingOptions(req.body);
+  } catch (error) {
+    uploadedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const collectionIds = readCollectionIds(req.body.collectionIds);
+  let collectionError;
+  try {
+    collectionError = await checkCollectionIds(collectionIds, userId);
+  } catch (error) {
+    console.error('Error checking upload collections:', error);
+    uploadedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(500).json({ error: 'Failed to upload documents' });
+  }
+  if (collectionError) {
+    uploadedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).json({ error: collectionError });
+  }
+  
+  const tags = readTags(req.body.tags);
+  const metadata = readDocumentMetadata(req.body.metadata);
+  const labelError = checkDocumentLabels(tags, metadata);
+  if (labelError) {
+    uploadedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).json({ error: labelError });
+  }
+  
+  // Archives are unpacked in their own jobs; other files get the per-file size limit the batch multer can't
+  const files = [];
+  const archives = [];
+  uploadedFiles.forEach(file => {
+    if (isZipArchive(file)) {
+      archives.push(file);
+    } else if (file.size > MAX_FILE_SIZE) {
+      skipped.push({ filename: file.originalname, reason: 'File is larger than the upload size limit' });
+      fs.unlink(file.path, () => {});
+    } else {
+      files.push(file);
+    }
+  });
+  
+  // Skip repeats of existing documents, and files repeated within this batch
+  const uniqueFiles = [];
+  const batchHashes = new Map();
+  try {
+    for (const file of files) {
+      const contentHash = await hashFile(file.path);
+      const duplicate = await ingestionService.findDuplicate(contentHash, userId);
+      
+      if (batchHashes.has(contentHash)) {
+        skipped.push({ filename: file.originalname, reason: `Same content as ${batchHashes.get(contentHash)} in this upload` });
+        fs.unlink(file.path, () => {});
+      } else if (duplicate && onDuplicate !== 'replace') {
+        skipped.push({
+          filename: file.originalname,
+          reason: new DuplicateDocumentError(duplicate).message,
+          duplicateOf: describeDocument(duplicate)
+        });
+        fs.unlink(file.path, () => {});
+      } else {
+        batchHashes.set(contentHash, file.originalname);
+        uniqueFiles.push(file);
+      }
+    }
+  } catch (error) {
+    console.error('Error checking uploads for duplicates:', error);
+    [...files, ...archives].forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(500).json({ error: 'Failed to upload documents' });
+  }
+  
+  const batchId = crypto.randomUUID();
+  const details = {
+    description: req.body.description,
+    userId,
+    chunking,
+    collectionIds,
+    tags,
+    metadata: normalizeMetadata(metadata),
+    onDuplicate,
+    batchId
+  };
+  const jobs = [
+    ...uniqueFiles.map(file => ingestionService.enqueueFile(file, details)),
+    ...archives.map(file => ingestionService.enqueueArchive(file, {
+      ...details,
+      allowed: (filename) => isAllowedFile({ originalname: filename }),
+      maxFileSize: MAX_FILE_SIZE,
+      destDir: uploadsDir
+    }))
+  ];
+  
+  res.status(202).json({
+    message: `Queued ${jobs.length} documents for processing`,
+    batchId,
+    jobs,
+    skipped
+  });
+});
+
+// Add a web page by URL, optionally crawling same-site links up to `depth` hops away
+app.post('/api/knowledge-base/url', async (req, res) => {
+  const { title, description } = req.body;
+  const onDuplicate = req.body.onDuplicate || 'reject';
+  const depth = req.body.depth === undefined ? 0 : Number(req.body.depth);
+  const maxPages = req.body.maxPages === undefined ? 20 : Number(req.body.maxPages);
+  
+  // For now using a simple userId
+  const userId = req.body.userId || 'default-user';
+  
+  const url = parseWebUrl(req.body.url);
+  if (!url) {
+    return res.status(400).json({ error: 'url must be an http or https address' });
+  }
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_CRAWL_DEPTH) {
+    return res.status(400).json({ error: `depth must be a whole number from 0 to ${MAX_CRAWL_DEPTH}` });
+  }
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_CRAWL_PAGES) {
+    return res.status(400).json({ error: `maxPages must be a whole number from 1 to ${MAX_CRAWL_PAGES}` });
+  }
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+  }
+  
+  let chunking;
+  try {
+    chunking = readChunkingOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const collectionIds = readCollectionIds(req.body.collectionIds);
+  let collectionError;
+  try {
+    collectionError = await checkCollectionIds(collectionIds, userId);
+  } catch (error) {
+    console.error('Error checking web page collections:', error);
+    return res.status(500).json({ error: 'Failed to add web page' });
+  }
+  if (collectionError) {
+    return res.status(400).json({ error: collectionError });
   }
+  
+  const tags = readTags(req.body.tags);
+  const metadata = readDocumentMetadata(req.body.metadata);
+  const labelError = checkDocumentLabels(tags, metadata);
+  if (labelError) {
+    return res.status(400).json({ error: labelError });
+  }
+  
+  // Fetching and indexing run in the background like file uploads
+  const job = ingestionService.enqueueUrl(url, {
+    depth,
+    maxPages,
+    title,
+    description,
+    userId,
+    chunking,
+    collectionIds,
+    tags,
+    metadata: normalizeMetadata(metadata),
+    onDuplicate,
+    destDir: uploadsDir
+  });
+  
+  res.status(202).json({
+    message: 'Web page queued for processing',
+    job
+  });
+});
+
+// Stream progress for every job in a batch as Server-Sent Events until all finish
+app.get('/api/knowledge-base/batches/:id/events', (req, res) => {
+  // For now using a simple userId
+  const userId = req.query.userId || 'default-user';
+  
+  const jobs = ingestionService.getBatchJobs(req.params.id).filter(job => job.userId === userId);
+  
+  if (jobs.length === 0) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  const pending = new Set(jobs.map(job => job.id));
+  const sendJob = (current) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(current)}\n\n`);
+    if (ingestionService.isFinished(current)) {
+      pending.delete(current.id);
+    }
+    if (pending.size === 0) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  
+  const unsubscribe = ingestionService.subscribeBatch(req.params.id, sendJob);
+  res.on('close', unsubscribe);
+  
+  // Send the current state of every job right away, in case some already finished
+  jobs.forEach(sendJob);
+});
+
+// List the user's recent ingestion jobs
+app.get('/api/knowledge-base/jobs', (req, res) => {
+  // For now using a simple userId
+  const userId = req.query.userId || 'default-user';
+  
+  res.json({ jobs: ingestionService.getJobs(userId) });
+});
+
+// Get the status of an ingestion job
+app.get('/api/knowledge-base/jobs/:id', (req, res) => {
+  // For now using a simple userId
+  const userId = req.query.userId || 'default-user';
+  
+  const job = ingestionService.getJob(req.params.id);
+  
+  if (!job || job.userId !== userId) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({ job });
+});
+
+// Stream an ingestion job's progress as Server-Sent Events until it finishes
+app.get('/api/knowledge-base/jobs/:id/events', (req, res) => {
+  // For now using a simple userId
+  const userId = req.query.userId || 'default-user';
+  
+  const job = ingestionService.getJob(req.params.id);
+  
+  if (!job || job.userId !== userId) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  const sendJob = (current) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(current)}\n\n`);
+    if (ingestionService.isFinished(current)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  
+  const unsubscribe = ingestionService.subscribe(job.id, sendJob);
+  res.on('close', unsubscribe);
+  
+  // Send the current state right away, in case the job already finished
+  sendJob(job);
 });
 
 // Get all knowledge base documents
@@ -131,15 +645,27 @@ app.get('/api/knowledge-base', async (req, res) => {
     const userId = req.query.userId || 'default-user';
     
     const documents = await knowledgeBaseRepository.getAllDocuments(userId);
+    const sharedDocuments = await knowledgeBaseRepository.getDocumentsSharedWith(userId);
     
     res.json({
-      documents: documents.map(doc => ({
+      documents: [...documents, ...sharedDocuments].map(doc => ({
         id: doc._id,
         title: doc.title,
         description: doc.description,
         fileType: doc.fileType,
         fileSize: doc.fileSize,
-        uploadDate: doc.uploadDate
+        sourceUrl: doc.sourceUrl,
+        uploadDate: doc.uploadDate,
+        chunking: resolveChunkingOptions(doc.chunking || {}),
+        version: doc.version || 1,
+        versionCount: (doc.versions || []).length + 1,
+        owner: doc.userId,
+        shared: doc.userId !== userId,
+        sharedWith: doc.userId === userId ? (doc.sharedWith || []) : undefined,
+        // Collections belong to the owner, so shared documents show none
+        collections: doc.userId === userId ? (doc.collections || []) : [],
+        tags: doc.tags || [],
+        metadata: doc.metadata || {}
       })),
       totalDocumentChunks: documentProcessor.getDocumentCount()
     });
@@ -149,176 +675,1231 @@ app.get('/api/knowledge-base', async (req, res) => {
   }
 });
 
+// Search the knowledge base without generating an answer: chunks ranked exactly as
+// /api/answer retrieves them, with highlighted snippets, a page at a time
+app.get('/api/knowledge-base/search', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    const query = (req.query.q || '').trim();
+    const { searchMode, filter } = req.query;
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const collectionIds = readCollectionIds(req.query.collectionIds);
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+    
+    const validationError = answerService.validateRequest({ question: query, searchMode, collectionIds, filter });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { results, total, mode } = await documentProcessor.searchDocuments(query, {
+      mode: searchMode,
+      filter: await answerService.buildRetrievalFilter(userId, collectionIds),
+      where: filter || null,
+      offset,
+      limit
+    });
+    
+    // Show document titles rather than stored file names where we have them
+    const documents = [
+      ...await knowledgeBaseRepository.getAllDocuments(userId),
+      ...await knowledgeBaseRepository.getDocumentsSharedWith(userId)
+    ];
+    const titles = new Map(documents.map(doc => [String(doc._id), doc.title]));
+    
+    res.json({
+      query,
+      mode,
+      results: results.map(({ doc, score }, i) => ({
+        rank: offset + i + 1,
+        chunkId: doc.chunkId,
+        documentId: doc.metadata?.documentId || null,
+        title: titles.get(doc.metadata?.documentId) || doc.metadata?.filename || 'Unknown',
+        filename: doc.metadata?.filename || 'Unknown',
+        chunk: doc.metadata?.chunk || null,
+        page: doc.metadata?.page || null,
+        headingPath: doc.metadata?.headingPath || null,
+        version: doc.metadata?.version || null,
+        url: doc.metadata?.sourceUrl || null,
+        score: Number(score.toFixed(4)),
+        snippet: buildSnippet(doc.pageContent, query)
+      })),
+      total,
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+});
+
 // Delete a knowledge base document
 app.delete('/api/knowledge-base/:id', async (req, res) => {
   try {
     // For now using a simple userId
     const userId = req.query.userId || 'default-user';
     
-    const result = await knowledgeBaseRepository.removeDocument(req.params.id, userId);
+    const { document } = await knowledgeBaseRepository.removeDocument(req.params.id, userId);
     
-    // In a production system, we would remove only the vectors for this document
-    // For simplicity, we're keeping all document chunks in memory
+    // Remove the document's chunks so it no longer answers questions
+    const removedChunks = await documentProcessor.removeDocumentsByFileId(getDocumentFileId(document));
     
     res.json({ 
       success: true, 
       message: 'Document deleted successfully',
+      removedChunks,
       totalDocumentChunks: documentProcessor.getDocumentCount()
     });
   } catch (error) {
     console.error('Error deleting document:', error);
+    if (error.message === 'Document not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to delete document' });
   }
 });
 
-// Modified answer endpoint to incorporate knowledge base
-app.post('/api/answer', async (req, res) => {
+// Set which other users may retrieve a document's chunks (owner only)
+app.put('/api/knowledge-base/:id/sharing', async (req, res) => {
   try {
-    const { question, conversationId, history } = req.body;
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { sharedWith } = req.body;
     
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+    if (!Array.isArray(sharedWith) || !sharedWith.every(id => typeof id === 'string' && id.trim())) {
+      return res.status(400).json({ error: 'sharedWith must be an array of user ids' });
     }
     
-    // Get conversation context
-    let conversationMessages = [];
-    if (conversationId) {
-      conversationMessages = conversationService.getConversation(conversationId);
-    }
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
     
-    // Use provided history if available, otherwise use stored context
-    const messageHistory = history || conversationMessages;
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
     
-    // Search knowledge base for relevant information
-    let contextFromKnowledgeBase = '';
-    let usedKnowledgeBase = false;
-    let relevantDocsFound = 0;
+    const uniqueUserIds = [...new Set(sharedWith.map(id => id.trim()))].filter(id => id !== userId);
+    const updatedDocument = await knowledgeBaseRepository.updateDocument(req.params.id, {
+      sharedWith: uniqueUserIds
+    });
     
-    console.log(`Knowledge base search for: "${question}"`);
-    console.log(`Document count: ${documentProcessor.getDocumentCount()}`);
+    res.json({
+      success: true,
+      sharedWith: updatedDocument.sharedWith
+    });
+  } catch (error) {
+    console.error('Error updating document sharing:', error);
+    res.status(500).json({ error: 'Failed to update document sharing' });
+  }
+});
+
+// Assign a document to a set of its owner's collections
+app.put('/api/knowledge-base/:id/collections', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { collectionIds } = req.body;
     
-    try {
-      // Force search even if no keywords match
-      const relevantDocs = await documentProcessor.searchSimilarDocuments(question, 3);
-      
-      if (relevantDocs && relevantDocs.length > 0) {
-        relevantDocsFound = relevantDocs.length;
-        contextFromKnowledgeBase = relevantDocs
-          .map(doc => `[Document: ${doc.metadata?.filename || 'Unknown'}]\n${doc.pageContent}`)
-          .join('\n\n---\n\n');
-        usedKnowledgeBase = true;
-        
-        console.log(`Using ${relevantDocs.length} document chunks as context`);
-        console.log(`First chunk preview: ${relevantDocs[0].pageContent.substring(0, 100)}...`);
-      } else {
-        console.log('No relevant documents found');
-        
-        // If no relevant docs found but we have documents, use first document anyway
-        if (documentProcessor.getDocumentCount() > 0) {
-          const firstDoc = documentProcessor.documents[0];
-          contextFromKnowledgeBase = `[No exact matches found, using available document]\n${firstDoc.pageContent}`;
-          usedKnowledgeBase = true;
-          relevantDocsFound = 1;
-          console.log('Using first available document as fallback');
-        }
-      }
-    } catch (error) {
-      console.error('Error searching knowledge base:', error);
+    if (!Array.isArray(collectionIds) || !collectionIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'collectionIds must be an array of collection ids' });
     }
     
-    // Ensure system message is at the beginning
-    let messages = [];
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
     
-    // Add enhanced system message with knowledge base context
-    if (contextFromKnowledgeBase) {
-      messages.push({
-        role: "system",
-        content: `You are a helpful assistant. Use the following information from the knowledge base to inform your answer when relevant, but also rely on your general knowledge. The user has uploaded documents, and the information below comes from those documents. The user is asking about the content of these documents.\n\nKnowledge Base Information:\n${contextFromKnowledgeBase}\n\nMaintain conversation context and provide relevant, concise answers.`
-      });
-    } else {
-      messages.push({
-        role: "system",
-        content: "You are a helpful assistant. Maintain conversation context and provide relevant, concise answers."
-      });
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
     }
     
-    // Add message history
-    messages = [
-      ...messages,
-      ...messageHistory.filter(msg => msg.role !== 'system')
-    ];
-    
-    // Add current question if using conversationId without history
-    if (!history && conversationId) {
-      messages.push({ role: "user", content: question });
+    const uniqueIds = readCollectionIds(collectionIds);
+    const collectionError = await checkCollectionIds(uniqueIds, userId);
+    if (collectionError) {
+      return res.status(400).json({ error: collectionError });
     }
     
-    const response = await openaiClient.chat.completions.create({
-      messages: messages,
-      temperature: 1,
-      top_p: 1,
-      model: model
+    const updatedDocument = await knowledgeBaseRepository.updateDocument(req.params.id, {
+      collections: uniqueIds
     });
     
-    const answer = response.choices[0].message.content;
+    res.json({
+      success: true,
+      collections: updatedDocument.collections
+    });
+  } catch (error) {
+    console.error('Error updating document collections:', error);
+    res.status(500).json({ error: 'Failed to update document collections' });
+  }
+});
+
+// Replace a document's tags and key/value metadata (owner only); its chunks are
+// updated in place so filter expressions see the change without re-indexing
+app.put('/api/knowledge-base/:id/metadata', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
     
-    // Update conversation context
-    if (conversationId) {
-      // Add user question
-      conversationService.addMessageToConversation(conversationId, { 
-        role: "user", 
-        content: question 
-      });
-      
-      // Add assistant response
-      conversationService.addMessageToConversation(conversationId, { 
-        role: "assistant", 
-        content: answer 
-      });
+    if (req.body.tags !== undefined && !Array.isArray(req.body.tags)) {
+      return res.status(400).json({ error: 'tags must be an array of strings' });
+    }
+    
+    const tags = readTags(req.body.tags);
+    const metadata = readDocumentMetadata(req.body.metadata);
+    const labelError = checkDocumentLabels(tags, metadata);
+    if (labelError) {
+      return res.status(400).json({ error: labelError });
+    }
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
     }
     
-    // Return the answer with a flag indicating if knowledge base was used
+    const updatedDocument = await knowledgeBaseRepository.updateDocument(req.params.id, {
+      tags,
+      metadata: normalizeMetadata(metadata)
+    });
+    await documentProcessor.updateFileMetadata(getDocumentFileId(document), documentLabels(updatedDocument));
+    
     res.json({
-      answer,
-      usedKnowledgeBase,
-      relevantDocsFound
+      success: true,
+      tags: updatedDocument.tags,
+      metadata: updatedDocument.metadata
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: 'Failed to get answer' });
+    console.error('Error updating document metadata:', error);
+    res.status(500).json({ error: 'Failed to update document metadata' });
   }
 });
 
-// Get document stats
-app.get('/api/knowledge-base/stats', (req, res) => {
-  res.json({
-    documentChunkCount: documentProcessor.getDocumentCount()
-  });
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+const MAX_COLLECTION_NAME_LENGTH = 100;
 
-// Debug endpoint to check document content
-app.get('/api/knowledge-base/debug', (req, res) => {
-  const docCount = documentProcessor.getDocumentCount();
-  let sampleContent = [];
-  
-  // Get samples from the first few documents if available
-  if (docCount > 0) {
-    const sampleSize = Math.min(3, docCount);
-    sampleContent = documentProcessor.documents.slice(0, sampleSize).map(doc => ({
-      preview: doc.pageContent.substring(0, 200) + '...',
-      metadata: doc.metadata
-    }));
+// { status, error } for an unusable collection name, including one the user already has
+const checkCollectionName = async (name, userId, collectionId = null) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { status: 400, error: 'Collection name is required' };
+  }
+  if (name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+    return { status: 400, error: `Collection name must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` };
   }
   
-  res.json({
-    documentCount: docCount,
-    samples: sampleContent
-  });
+  const collections = await knowledgeBaseRepository.getCollections(userId);
+  const taken = collections.some(collection =>
+    String(collection._id) !== collectionId && collection.name.toLowerCase() === name.trim().toLowerCase()
+  );
+  return taken ? { status: 409, error: `You already have a collection named "${name.trim()}"` } : null;
+};
+
+const describeCollection = (collection, documents) => ({
+  id: String(collection._id),
+  name: collection.name,
+  description: collection.description || '',
+  documentCount: documents.filter(doc => (doc.collections || []).includes(String(collection._id))).length,
+  createdAt: collection.createdAt
+});
+
+// List the user's collections with how many of their documents each holds
+app.get('/api/collections', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const collections = await knowledgeBaseRepository.getCollections(userId);
+    const documents = await knowledgeBaseRepository.getAllDocuments(userId);
+    
+    res.json({
+      collections: collections.map(collection => describeCollection(collection, documents))
+    });
+  } catch (error) {
+    console.error('Error retrieving collections:', error);
+    res.status(500).json({ error: 'Failed to retrieve collections' });
+  }
+});
+
+app.post('/api/collections', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { name, description } = req.body;
+    
+    const nameProblem = await checkCollectionName(name, userId);
+    if (nameProblem) {
+      return res.status(nameProblem.status).json({ error: nameProblem.error });
+    }
+    
+    const collection = await knowledgeBaseRepository.addCollection({
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      userId
+    });
+    
+    res.status(201).json({ collection: describeCollection(collection, []) });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+// Rename a collection or change its description
+app.put('/api/collections/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { name, description } = req.body;
+    
+    const collection = await knowledgeBaseRepository.getCollectionById(req.params.id);
+    
+    if (!collection || collection.userId !== userId) {
+      return res.status(404).json({ error: 'Collection not found or unauthorized' });
+    }
+    
+    const updates = {};
+    if (name !== undefined) {
+      const nameProblem = await checkCollectionName(name, userId, req.params.id);
+      if (nameProblem) {
+        return res.status(nameProblem.status).json({ error: nameProblem.error });
+      }
+      updates.name = name.trim();
+    }
+    if (typeof description === 'string') {
+      updates.description = description.trim();
+    }
+    
+    const updatedCollection = await knowledgeBaseRepository.updateCollection(req.params.id, updates);
+    const documents = await knowledgeBaseRepository.getAllDocuments(userId);
+    
+    res.json({ collection: describeCollection(updatedCollection, documents) });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
+
+// Delete a collection; its documents stay in the knowledge base
+app.delete('/api/collections/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    await knowledgeBaseRepository.removeCollection(req.params.id, userId);
+    
+    res.json({ success: true, message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    if (error.message === 'Collection not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+// Re-extract and re-chunk a knowledge base document from its stored file
+app.post('/api/knowledge-base/:id/reindex', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || req.query.userId || 'default-user';
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    if (!fs.existsSync(document.filePath)) {
+      return res.status(404).json({ error: 'Document file is missing from the server' });
+    }
+    
+    // Re-chunk with the stored settings unless the request changes them
+    const currentChunking = resolveChunkingOptions(document.chunking || {});
+    const chunking = hasChunkingOptions(req.body) ? readChunkingOptions(req.body, currentChunking) : currentChunking;
+    
+    const fileId = getDocumentFileId(document);
+    const processedChunks = await documentProcessor.reindexFile({
+      originalname: document.originalName || fileId,
+      path: document.filePath,
+      size: document.fileSize
+    }, {
+      documentId: String(document._id),
+      userId: document.userId,
+      version: document.version || 1,
+      ...(document.sourceUrl ? { sourceUrl: document.sourceUrl } : {}),
+      ...documentLabels(document)
+    }, chunking);
+    
+    const updatedDocument = await knowledgeBaseRepository.updateDocument(req.params.id, {
+      fileId,
+      chunking,
+      vectorIds: processedChunks.map(chunk => chunk.chunkId)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Document re-indexed successfully',
+      document: updatedDocument,
+      documentChunks: processedChunks.length,
+      totalDocumentChunks: documentProcessor.getDocumentCount()
+    });
+  } catch (error) {
+    console.error('Error re-indexing document:', error);
+    if (error instanceof ChunkingOptionsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof DocumentProcessingError) {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to re-index document' });
+  }
+});
+
+// List a document's current version and its history
+app.get('/api/knowledge-base/:id/versions', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    const describeVersion = (entry, current) => ({
+      version: entry.version || 1,
+      originalName: entry.originalName,
+      fileType: entry.fileType,
+      fileSize: entry.fileSize,
+      uploadDate: current ? (entry.versionDate || entry.uploadDate) : entry.uploadDate,
+      note: (current ? entry.versionNote : entry.note) || '',
+      current
+    });
+    
+    res.json({
+      versions: [
+        describeVersion(document, true),
+        ...(document.versions || []).map(entry => describeVersion(entry, false))
+      ].sort((a, b) => b.version - a.version)
+    });
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({ error: 'Failed to fetch document versions' });
+  }
+});
+
+// Upload a new version of a document; its chunks are swapped once the new file is indexed
+app.post('/api/knowledge-base/:id/versions', upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    const job = ingestionService.enqueueVersion(req.params.id, req.file, {
+      userId,
+      note: req.body.note
+    });
+    
+    res.status(202).json({
+      message: 'New version queued for processing',
+      job
+    });
+  } catch (error) {
+    console.error('Error uploading document version:', error);
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    res.status(500).json({ error: 'Failed to upload new version' });
+  }
+});
+
+// Roll a document back to an earlier version
+app.post('/api/knowledge-base/:id/versions/:version/restore', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || req.query.userId || 'default-user';
+    const version = Number(req.params.version);
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    if (!(document.versions || []).some(entry => entry.version === version)) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+    
+    const job = ingestionService.enqueueRestore(req.params.id, version, userId);
+    
+    res.status(202).json({
+      message: `Rollback to version ${version} queued`,
+      job
+    });
+  } catch (error) {
+    console.error('Error restoring document version:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+// Models answers can be requested from, by provider; `model` (and optionally
+// `provider`) on the answer routes picks one
+app.get('/api/models', (req, res) => {
+  const providers = apiService.getProviders();
+  
+  res.json({
+    models: providers.flatMap(provider => provider.models.map(name => ({
+      id: name,
+      provider: provider.name,
+      contextWindow: getTokenBudget(name).contextWindow
+    }))),
+    defaultModel: apiService.getDefaultModel(),
+    providers: providers.map(provider => provider.name),
+    defaultProvider: providers.find(provider => provider.isDefault).name
+  });
+});
+
+// Modified answer endpoint to incorporate knowledge base
+app.post('/api/answer', async (req, res) => {
+  try {
+    const { question, conversationId, searchMode, filter } = req.body;
+    
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    
+    const validationError = answerService.validateRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { target, error: targetError } = readAnswerTarget(req.body);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    const { persona, collectionIds, status, error: contextError } = await resolveAnswerContext(req.body, userId);
+    if (contextError) {
+      return res.status(status).json({ error: contextError });
+    }
+    
+    const { messages, citations, usedKnowledgeBase, relevantDocsFound, tableResults, contextUsage } =
+      await answerService.prepareMessages({ question, conversationId, searchMode, userId, collectionIds, filter, provider: target.provider, model: target.model, persona });
+    
+    const response = await apiService.getCompletion(messages, { ...target, ...answerService.completionOptions(persona) });
+    
+    const answer = response.choices[0].message.content;
+    
+    // Update conversation context
+    await answerService.recordExchange(conversationId, question, answer, {
+      citations,
+      tableResults,
+      usedKnowledgeBase,
+      collectionIds,
+      filter,
+      model: target.model,
+      personaId: persona ? String(persona._id) : null
+    });
+    
+    // Return the answer with the knowledge base sources it was given
+    res.json({
+      answer,
+      model: target.model,
+      provider: target.provider,
+      personaId: persona ? String(persona._id) : null,
+      usedKnowledgeBase,
+      relevantDocsFound,
+      citations,
+      tableResults,
+      contextUsage
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: 'Failed to get answer' });
+  }
+});
+
+// Streaming variant of /api/answer over Server-Sent Events: a "metadata" event with
+// the retrieved sources, then "token" events, then "done" (or "error")
+app.post('/api/answer/stream', async (req, res) => {
+  const { question, conversationId, searchMode, filter } = req.body;
+  
+  // For now using a simple userId
+  const userId = req.body.userId || 'default-user';
+  
+  const validationError = answerService.validateRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const { target, error: targetError } = readAnswerTarget(req.body);
+  if (targetError) {
+    return res.status(400).json({ error: targetError });
+  }
+  
+  // Headers aren't sent yet, so a failed lookup can still answer with plain JSON
+  let context;
+  try {
+    context = await resolveAnswerContext(req.body, userId);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Failed to get answer' });
+  }
+  const { persona, collectionIds, status, error: contextError } = context;
+  if (contextError) {
+    return res.status(status).json({ error: contextError });
+  }
+  const personaId = persona ? String(persona._id) : null;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Abort the upstream completion when the client stops listening
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  
+  let answer = '';
+  // Stored with the exchange once the answer is finished
+  let exchangeDetails = { collectionIds, filter, model: target.model, personaId };
+  
+  try {
+    const { messages, citations, usedKnowledgeBase, relevantDocsFound, tableResults, contextUsage } =
+      await answerService.prepareMessages({ question, conversationId, searchMode, userId, collectionIds, filter, provider: target.provider, model: target.model, persona });
+    exchangeDetails = { ...exchangeDetails, citations, tableResults, usedKnowledgeBase };
+    
+    sendEvent('metadata', { model: target.model, provider: target.provider, personaId, usedKnowledgeBase, relevantDocsFound, citations, tableResults, contextUsage });
+    
+    const stream = await apiService.streamCompletion(messages, {
+      ...target,
+      ...answerService.completionOptions(persona),
+      signal: abortController.signal
+    });
+    
+    for await (const part of stream) {
+      const token = part.choices[0]?.delta?.content;
+      if (token) {
+        answer += token;
+        sendEvent('token', { content: token });
+      }
+    }
+    
+    await answerService.recordExchange(conversationId, question, answer, exchangeDetails);
+    
+    sendEvent('done', { answer });
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Answer stream aborted by client');
+      // Keep whatever was generated so follow-up questions still have context
+      if (answer) {
+        await answerService.recordExchange(conversationId, question, answer, exchangeDetails);
+      }
+      return;
+    }
+    
+    console.error('Error:', error);
+    sendEvent('error', { error: 'Failed to get answer' });
+    res.end();
+  }
+});
+
+// The { targets: [{ provider, model }] } a comparison asks, or { error }; a
+// `provider` given with the request applies to every model
+const readComparedTargets = (body) => {
+  const { models } = body;
+  if (!Array.isArray(models) || !models.every(name => typeof name === 'string')) {
+    return { error: 'models must be an array of model names' };
+  }
+  const names = [...new Set(models)];
+  if (names.length < 2 || names.length > MAX_COMPARED_MODELS) {
+    return { error: `Compare between 2 and ${MAX_COMPARED_MODELS} different models` };
+  }
+  
+  const targets = [];
+  for (const name of names) {
+    const { target, error } = readAnswerTarget({ provider: body.provider, model: name });
+    if (error) {
+      return { error };
+    }
+    targets.push(target);
+  }
+  return { targets };
+};
+
+// Ask several models the same question with the same retrieved context and
+// return their answers side by side, with each one's latency and token usage.
+// Nothing is stored until one answer is chosen with /api/answer/compare/:id/choose.
+app.post('/api/answer/compare', async (req, res) => {
+  try {
+    const { question, conversationId, searchMode, filter } = req.body;
+    
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    
+    const validationError = answerService.validateRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { targets, error: targetError } = readComparedTargets(req.body);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    const { persona, collectionIds, status, error: contextError } = await resolveAnswerContext(req.body, userId);
+    if (contextError) {
+      return res.status(status).json({ error: contextError });
+    }
+    
+    // Build the prompt once, for the model with the smallest budget, so every model sees the same messages
+    const promptTarget = targets.reduce((smallest, target) =>
+      (getTokenBudget(target.model).prompt < getTokenBudget(smallest.model).prompt ? target : smallest));
+    const { messages, citations, usedKnowledgeBase, relevantDocsFound, tableResults, contextUsage } =
+      await answerService.prepareMessages({ question, conversationId, searchMode, userId, collectionIds, filter, ...promptTarget, persona });
+    
+    const answers = await Promise.all(targets.map(async (target) => {
+      const startedAt = Date.now();
+      try {
+        const response = await apiService.getCompletion(messages, { ...target, ...answerService.completionOptions(persona) });
+        
+        return {
+          model: target.model,
+          provider: target.provider,
+          answer: response.choices[0].message.content,
+          latencyMs: Date.now() - startedAt,
+          usage: {
+            promptTokens: response.usage?.prompt_tokens ?? null,
+            completionTokens: response.usage?.completion_tokens ?? null,
+            totalTokens: response.usage?.total_tokens ?? null
+          }
+        };
+      } catch (error) {
+        // One model failing shouldn't hide the others' answers
+        console.error(`Error getting answer from ${target.model}:`, error);
+        return { ...target, error: 'Failed to get answer', latencyMs: Date.now() - startedAt };
+      }
+    }));
+    
+    if (answers.every(answer => answer.error)) {
+      return res.status(500).json({ error: 'Failed to get answer' });
+    }
+    
+    const comparisonId = answerService.saveComparison({
+      userId,
+      conversationId: conversationId || null,
+      question,
+      answers,
+      details: {
+        citations,
+        tableResults,
+        usedKnowledgeBase,
+        collectionIds,
+        filter,
+        personaId: persona ? String(persona._id) : null
+      }
+    });
+    
+    res.json({
+      comparisonId,
+      answers,
+      personaId: persona ? String(persona._id) : null,
+      usedKnowledgeBase,
+      relevantDocsFound,
+      citations,
+      tableResults,
+      contextUsage
+    });
+  } catch (error) {
+    console.error('Error comparing models:', error);
+    res.status(500).json({ error: 'Failed to compare models' });
+  }
+});
+
+// Pick the winning answer of a comparison; it is stored in the conversation
+// as the answer to the question
+app.post('/api/answer/compare/:id/choose', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { model: chosenModel } = req.body;
+    
+    const comparison = answerService.getComparison(req.params.id, userId);
+    
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found or already decided' });
+    }
+    
+    if (!comparison.answers.some(answer => answer.model === chosenModel && !answer.error)) {
+      return res.status(400).json({ error: 'model must be one of the compared models that answered' });
+    }
+    
+    const chosen = await answerService.chooseComparisonAnswer(comparison, chosenModel);
+    
+    res.json({ success: true, ...chosen });
+  } catch (error) {
+    console.error('Error choosing answer:', error);
+    res.status(500).json({ error: 'Failed to choose answer' });
+  }
+});
+
+const MAX_CONVERSATION_TITLE_LENGTH = 100;
+
+const describeConversation = (conversation, includeMessages = false) => ({
+  id: String(conversation._id),
+  title: conversation.title || 'New conversation',
+  messageCount: conversation.messages.length,
+  collectionIds: conversation.collectionIds || [],
+  filter: conversation.filter || '',
+  personaId: conversation.personaId || null,
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt,
+  ...(includeMessages ? {
+    messages: conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      citations: message.citations || [],
+      tableResults: message.tableResults || [],
+      usedKnowledgeBase: Boolean(message.usedKnowledgeBase),
+      model: message.model || null,
+      createdAt: message.createdAt
+    }))
+  } : {})
+});
+
+// List the user's conversations, most recently active first
+app.get('/api/conversations', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const conversations = await conversationService.listConversations(userId);
+    
+    res.json({
+      conversations: conversations.map(conversation => describeConversation(conversation))
+    });
+  } catch (error) {
+    console.error('Error retrieving conversations:', error);
+    res.status(500).json({ error: 'Failed to retrieve conversations' });
+  }
+});
+
+// Start a conversation; questions sent with its id are stored in it
+app.post('/api/conversations', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { title } = req.body;
+    
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length > MAX_CONVERSATION_TITLE_LENGTH)) {
+      return res.status(400).json({ error: `Conversation title must be text of at most ${MAX_CONVERSATION_TITLE_LENGTH} characters` });
+    }
+    
+    const conversation = await conversationService.createConversation(userId, { title: title && title.trim() });
+    
+    res.status(201).json({
+      success: true,
+      conversation: describeConversation(conversation, true)
+    });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+// Fetch a conversation with all of its messages
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const conversation = await conversationService.getConversation(req.params.id, userId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found or unauthorized' });
+    }
+    
+    res.json({ conversation: describeConversation(conversation, true) });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    res.status(500).json({ error: 'Failed to retrieve conversation' });
+  }
+});
+
+// Rename a conversation
+app.put('/api/conversations/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    const { title } = req.body;
+    
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Conversation title is required' });
+    }
+    if (title.trim().length > MAX_CONVERSATION_TITLE_LENGTH) {
+      return res.status(400).json({ error: `Conversation title must be at most ${MAX_CONVERSATION_TITLE_LENGTH} characters` });
+    }
+    
+    const conversation = await conversationService.getConversation(req.params.id, userId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found or unauthorized' });
+    }
+    
+    const updatedConversation = await conversationService.renameConversation(req.params.id, title.trim());
+    
+    res.json({
+      success: true,
+      conversation: describeConversation(updatedConversation)
+    });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    res.status(500).json({ error: 'Failed to rename conversation' });
+  }
+});
+
+// Delete a conversation and its messages
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    await conversationService.deleteConversation(req.params.id, userId);
+    
+    res.json({ success: true, message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    if (error.message === 'Conversation not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+const MAX_PERSONA_NAME_LENGTH = 50;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+// Validate the persona fields in a request into { fields } or { status, error }.
+// Creating requires a name and system prompt; an update checks only the fields it sends.
+const readPersonaFields = async (body, userId, personaId = null) => {
+  const { name, systemPrompt, temperature, topP, collectionIds, answerLength } = body;
+  const isUpdate = personaId !== null;
+  const fields = {};
+  
+  if (name !== undefined || !isUpdate) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { status: 400, error: 'Persona name is required' };
+    }
+    if (name.trim().length > MAX_PERSONA_NAME_LENGTH) {
+      return { status: 400, error: `Persona name must be at most ${MAX_PERSONA_NAME_LENGTH} characters` };
+    }
+    const personas = await personaRepository.getPersonas(userId);
+    const taken = personas.some(persona =>
+      String(persona._id) !== personaId && persona.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (taken) {
+      return { status: 409, error: `You already have a persona named "${name.trim()}"` };
+    }
+    fields.name = name.trim();
+  }
+  
+  if (systemPrompt !== undefined || !isUpdate) {
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+      return { status: 400, error: 'System prompt is required' };
+    }
+    if (systemPrompt.trim().length > MAX_SYSTEM_PROMPT_LENGTH) {
+      return { status: 400, error: `System prompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
+    }
+    fields.systemPrompt = systemPrompt.trim();
+  }
+  
+  if (temperature !== undefined) {
+    if (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= 2)) {
+      return { status: 400, error: 'temperature must be a number from 0 to 2' };
+    }
+    fields.temperature = temperature;
+  }
+  
+  if (topP !== undefined) {
+    if (typeof topP !== 'number' || !(topP > 0 && topP <= 1)) {
+      return { status: 400, error: 'topP must be a number above 0 and at most 1' };
+    }
+    fields.topP = topP;
+  }
+  
+  if (collectionIds !== undefined) {
+    if (!Array.isArray(collectionIds) || !collectionIds.every(id => typeof id === 'string')) {
+      return { status: 400, error: 'collectionIds must be an array of collection ids' };
+    }
+    const ids = readCollectionIds(collectionIds);
+    const collectionProblem = await checkCollectionIds(ids, userId);
+    if (collectionProblem) {
+      return { status: 400, error: collectionProblem };
+    }
+    fields.collectionIds = ids;
+  }
+  
+  if (answerLength !== undefined) {
+    if (!ANSWER_LENGTHS[answerLength]) {
+      return { status: 400, error: `answerLength must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')}` };
+    }
+    fields.answerLength = answerLength;
+  }
+  
+  return { fields };
+};
+
+const describePersona = (persona) => ({
+  id: String(persona._id),
+  name: persona.name,
+  systemPrompt: persona.systemPrompt,
+  temperature: persona.temperature,
+  topP: persona.topP,
+  collectionIds: persona.collectionIds || [],
+  answerLength: persona.answerLength,
+  createdAt: persona.createdAt,
+  updatedAt: persona.updatedAt
+});
+
+// List the user's personas, with the defaults answers use without one
+app.get('/api/personas', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const personas = await personaRepository.getPersonas(userId);
+    
+    res.json({
+      personas: personas.map(describePersona),
+      defaults: {
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        temperature: 1,
+        topP: 1,
+        answerLength: 'medium'
+      },
+      answerLengths: Object.keys(ANSWER_LENGTHS)
+    });
+  } catch (error) {
+    console.error('Error retrieving personas:', error);
+    res.status(500).json({ error: 'Failed to retrieve personas' });
+  }
+});
+
+// Create a persona: a named system prompt with its own sampling settings,
+// default collections and answer length
+app.post('/api/personas', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    
+    const { fields, status, error } = await readPersonaFields(req.body, userId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const persona = await personaRepository.addPersona({ ...fields, userId });
+    
+    res.status(201).json({ persona: describePersona(persona) });
+  } catch (error) {
+    console.error('Error creating persona:', error);
+    res.status(500).json({ error: 'Failed to create persona' });
+  }
+});
+
+// Change any of a persona's settings; conversations using it pick up the change
+app.put('/api/personas/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.body.userId || 'default-user';
+    
+    const persona = await personaRepository.getPersonaById(req.params.id);
+    
+    if (!persona || persona.userId !== userId) {
+      return res.status(404).json({ error: 'Persona not found or unauthorized' });
+    }
+    
+    const { fields, status, error } = await readPersonaFields(req.body, userId, req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const updatedPersona = await personaRepository.updatePersona(req.params.id, fields);
+    
+    res.json({ persona: describePersona(updatedPersona) });
+  } catch (error) {
+    console.error('Error updating persona:', error);
+    res.status(500).json({ error: 'Failed to update persona' });
+  }
+});
+
+// Delete a persona; conversations that used it go back to the default assistant
+app.delete('/api/personas/:id', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    await personaRepository.removePersona(req.params.id, userId);
+    
+    res.json({ success: true, message: 'Persona deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting persona:', error);
+    if (error.message === 'Persona not found or unauthorized') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete persona' });
+  }
+});
+
+// Get document stats
+app.get('/api/knowledge-base/stats', (req, res) => {
+  res.json({
+    documentChunkCount: documentProcessor.getDocumentCount()
+  });
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// How the chunk inspector sees a chunk
+const describeChunk = (doc) => ({
+  chunkId: doc.chunkId,
+  chunk: doc.metadata?.chunk || null,
+  pageContent: doc.pageContent,
+  length: doc.pageContent.length,
+  metadata: doc.metadata,
+  excluded: Boolean(doc.excluded),
+  edited: doc.originalContent !== undefined,
+  originalContent: doc.originalContent
+});
+
+// Page through a document's chunks, optionally only those containing `q`
+app.get('/api/knowledge-base/:id/chunks', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = (req.query.q || '').trim().toLowerCase();
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    const chunks = documentProcessor.getFileDocuments(getDocumentFileId(document))
+      .filter(doc => !query || doc.pageContent.toLowerCase().includes(query));
+    
+    res.json({
+      chunks: chunks.slice(offset, offset + limit).map(describeChunk),
+      total: chunks.length,
+      excludedCount: chunks.filter(doc => doc.excluded).length,
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching document chunks:', error);
+    res.status(500).json({ error: 'Failed to fetch document chunks' });
+  }
+});
+
+// View one chunk of a document
+app.get('/api/knowledge-base/:id/chunks/:chunkId', async (req, res) => {
+  try {
+    // For now using a simple userId
+    const userId = req.query.userId || 'default-user';
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    const chunk = documentProcessor.getFileDocuments(getDocumentFileId(document))
+      .find(doc => doc.chunkId === req.params.chunkId);
+    
+    if (!chunk) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+    
+    res.json({ chunk: describeChunk(chunk) });
+  } catch (error) {
+    console.error('Error fetching document chunk:', error);
+    res.status(500).json({ error: 'Failed to fetch document chunk' });
+  }
+});
+
+// Edit a chunk's text, exclude it from retrieval, or revert it to the extracted text
+app.patch('/api/knowledge-base/:id/chunks/:chunkId', async (req, res) => {
+  try {
+    const { pageContent, excluded, revert } = req.body;
+    
+    // For now using a simple userId
+    const userId = req.body.userId || req.query.userId || 'default-user';
+    
+    if (pageContent !== undefined && (typeof pageContent !== 'string' || !pageContent.trim())) {
+      return res.status(400).json({ error: 'pageContent must be non-empty text' });
+    }
+    if (excluded !== undefined && typeof excluded !== 'boolean') {
+      return res.status(400).json({ error: 'excluded must be true or false' });
+    }
+    
+    const document = await knowledgeBaseRepository.getDocumentById(req.params.id);
+    
+    if (!document || document.userId !== userId) {
+      return res.status(404).json({ error: 'Document not found or unauthorized' });
+    }
+    
+    const belongsToDocument = documentProcessor.getFileDocuments(getDocumentFileId(document))
+      .some(doc => doc.chunkId === req.params.chunkId);
+    
+    if (!belongsToDocument) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+    
+    const chunk = await documentProcessor.updateDocumentChunk(req.params.chunkId, {
+      pageContent,
+      excluded,
+      revert: Boolean(revert)
+    });
+    
+    if (!chunk) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+    
+    res.json({ chunk: describeChunk(chunk) });
+  } catch (error) {
+    console.error('Error updating document chunk:', error);
+    res.status(500).json({ error: 'Failed to update document chunk' });
+  }
+});
+
+// Report rejected uploads (size or count limits, unsupported types) as JSON
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.message === 'Unsupported file type') {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
 });
 
 // Start the server
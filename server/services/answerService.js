@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import documentProcessor, { SEARCH_MODES } from './documentProcessor.js';
+import conversationService from './conversationService.js';
+import knowledgeBaseRepository from '../repositories/knowledgeBaseRepository.js';
+import { answerTableQuestion } from './tableQuery.js';
+import { parseFilterExpression, withFilterExpression } from './filterExpression.js';
+import { estimateTokens } from './chunkingStrategies.js';
+import {
+  getTokenBudget,
+  allocateBudget,
+  fitSources,
+  splitHistory,
+  countMessageTokens,
+  summarizeMessages
+} from './contextWindow.js';
+
+// Chunks a user may retrieve: their own plus documents explicitly shared with them.
+// Chunks indexed before owners were recorded belong to the default user.
+const buildAccessFilter = async (userId) => {
+  const sharedDocuments = await knowledgeBaseRepository.getDocumentsSharedWith(userId);
+  const sharedIds = new Set(sharedDocuments.map(doc => String(doc._id)));
+
+  return (chunk) => (chunk.metadata?.userId || 'default-user') === userId ||
+    sharedIds.has(chunk.metadata?.documentId);
+};
+
+// Narrow a filter to chunks of documents in the given collections; no
+// collections means the whole knowledge base
+const restrictToCollections = async (filter, collectionIds) => {
+  if (!collectionIds || collectionIds.length === 0) {
+    return filter;
+  }
+
+  const documents = await knowledgeBaseRepository.getDocumentsInCollections(collectionIds);
+  const documentIds = new Set(documents.map(doc => String(doc._id)));
+
+  return (chunk) => documentIds.has(chunk.metadata?.documentId) && filter(chunk);
+};
+
+export const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant.";
+
+// How long a persona's answers should be: an instruction for the model and, for
+// short answers, a cap on reply tokens
+export const ANSWER_LENGTHS = {
+  short: { instruction: 'Keep answers to one to three sentences.', maxTokens: 300 },
+  medium: { instruction: 'Provide relevant, concise answers.', maxTokens: null },
+  long: { instruction: 'Give thorough, detailed answers that cover every relevant point.', maxTokens: null }
+};
+
+// The persona's system prompt opens the instructions and its answer length closes
+// them; without a persona the defaults apply
+const personaOpening = (persona) => persona?.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT;
+const personaClosing = (persona) =>
+  `Maintain conversation context. ${(ANSWER_LENGTHS[persona?.answerLength] || ANSWER_LENGTHS.medium).instruction}`;
+
+const baseInstructions = (persona) => `${personaOpening(persona)} ${personaClosing(persona)}`;
+
+// System prompt for answers grounded in numbered knowledge base sources
+const knowledgeBasePrompt = (context, persona) =>
+  `${personaOpening(persona)} Use the following information from the knowledge base to inform your answer when relevant, but also rely on your general knowledge. The user has uploaded documents, and the information below comes from those documents. The user is asking about the content of these documents.\n\nKnowledge Base Information:\n${context}\n\nWhen you use information from a numbered source, cite it inline with its number in square brackets, e.g. [1] or [2][3]. Only cite sources listed above.\n\n${personaClosing(persona)}`;
+
+// Tokens spent on the "[n] [Document: ...]" line above each source
+const SOURCE_HEADER_TOKENS = 20;
+
+const describeSource = (doc, i) => {
+  const page = doc.metadata?.page ? `, page ${doc.metadata.page}` : '';
+  const version = doc.metadata?.version ? `, version ${doc.metadata.version}` : '';
+  const url = doc.metadata?.sourceUrl ? `, ${doc.metadata.sourceUrl}` : '';
+  return `[${i + 1}] [Document: ${doc.metadata?.filename || 'Unknown'}${page}${version}${url}]\n${doc.pageContent}`;
+};
+
+const describeTableResults = (tableResults) =>
+  '\n\nComputed Results (exact values computed over the full tables; use these numbers rather than calculating from the rows above):\n' +
+  tableResults.map(result => `- ${result.description}`).join('\n');
+
+// Describe a retrieved chunk as a numbered source for the client
+const toCitation = (doc, i) => ({
+  index: i + 1,
+  documentId: doc.metadata?.documentId || null,
+  filename: doc.metadata?.filename || 'Unknown',
+  chunk: doc.metadata?.chunk || null,
+  page: doc.metadata?.page || null,
+  version: doc.metadata?.version || null,
+  url: doc.metadata?.sourceUrl || null,
+  score: typeof doc.score === 'number' ? Number(doc.score.toFixed(4)) : null,
+  snippet: doc.pageContent.replace(/\s+/g, ' ').trim().substring(0, 200),
+  content: doc.pageContent
+});
+
+// Undecided model comparisons are forgotten after this long
+const COMPARISON_RETENTION_MS = 60 * 60 * 1000;
+
+// Builds the model prompt for a question (knowledge base retrieval plus history)
+// and records finished exchanges, shared by the plain, streaming and comparison
+// answer routes
+class AnswerService {
+  constructor() {
+    // Comparison answers waiting for the user to pick one, by comparison id
+    this.comparisons = new Map();
+  }
+
+  // Return an error message for an invalid answer request, or null
+  validateRequest({ question, searchMode, collectionIds, filter }) {
+    if (!question) {
+      return 'Question is required';
+    }
+
+    if (searchMode && !SEARCH_MODES.includes(searchMode)) {
+      return `searchMode must be one of: ${SEARCH_MODES.join(', ')}`;
+    }
+
+    if (collectionIds !== undefined &&
+      (!Array.isArray(collectionIds) || !collectionIds.every(id => typeof id === 'string'))) {
+      return 'collectionIds must be an array of collection ids';
+    }
+
+    if (filter !== undefined && filter !== null && filter !== '') {
+      if (typeof filter !== 'string') {
+        return 'filter must be a filter expression string';
+      }
+      try {
+        parseFilterExpression(filter);
+      } catch (error) {
+        return `Invalid filter: ${error.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  // The filter(chunk) retrieval applies for a user: their own and shared documents,
+  // limited to the given collections when there are any
+  async buildRetrievalFilter(userId, collectionIds) {
+    return restrictToCollections(await buildAccessFilter(userId), collectionIds);
+  }
+
+  // Sampling settings for a completion in the persona's style
+  completionOptions(persona) {
+    const maxTokens = (ANSWER_LENGTHS[persona?.answerLength] || ANSWER_LENGTHS.medium).maxTokens;
+    return {
+      temperature: persona?.temperature ?? 1,
+      top_p: persona?.topP ?? 1,
+      ...(maxTokens ? { max_tokens: maxTokens } : {})
+    };
+  }
+
+  // collectionIds limits retrieval to those collections' documents, and filter
+  // to chunks matching a filter expression such as "product=alpha AND date>=2025".
+  // A persona replaces the default system prompt and sets the answer length.
+  // The prompt is kept within `model`'s token budget: retrieved sources and history
+  // share what the instructions and question leave, and history that doesn't fit
+  // is folded into a running summary by the same `provider` and model.
+  async prepareMessages({ question, conversationId, searchMode, userId, collectionIds, filter, provider, model, persona = null }) {
+    // History always comes from the stored conversation, so it matches the stored summary
+    const priorMessages = (conversationId ? await conversationService.getContextMessages(conversationId) : [])
+      .filter(msg => msg.role !== 'system');
+
+    // Search knowledge base for relevant information
+    let sourceDocs = [];
+    let tableResults = [];
+
+    console.log(`Knowledge base search for: "${question}"`);
+    console.log(`Document count: ${documentProcessor.getDocumentCount()}`);
+
+    try {
+      // Only search documents this user owns or that were shared with them,
+      // within the collections the conversation draws from
+      const accessFilter = await this.buildRetrievalFilter(userId, collectionIds);
+
+      // Force search even if no keywords match
+      const relevantDocs = await documentProcessor.searchSimilarDocuments(question, 3, {
+        mode: searchMode,
+        filter: accessFilter,
+        where: filter || null
+      });
+      const matchingFilter = withFilterExpression(accessFilter, filter || null);
+
+      if (relevantDocs && relevantDocs.length > 0) {
+        sourceDocs = relevantDocs;
+        console.log(`Using ${relevantDocs.length} document chunks as context`);
+        console.log(`First chunk preview: ${relevantDocs[0].pageContent.substring(0, 100)}...`);
+
+        // Compute aggregates over any retrieved CSV tables instead of leaving arithmetic to the model
+        const tableFileIds = [...new Set(relevantDocs
+          .filter(doc => doc.metadata?.fileType === 'csv')
+          .map(doc => doc.metadata.fileId))];
+        tableResults = documentProcessor.getTables(tableFileIds, matchingFilter)
+          .map(table => answerTableQuestion(question, table))
+          .filter(Boolean);
+        tableResults.forEach(result => console.log(`Computed ${result.description}`));
+      } else {
+        console.log('No relevant documents found');
+
+        // If no relevant docs found but we have documents, use first document anyway
+        const accessibleDocs = documentProcessor.getFirstDocuments(1, matchingFilter);
+        if (accessibleDocs.length > 0) {
+          sourceDocs = accessibleDocs;
+          console.log('Using first available document as fallback');
+        }
+      }
+    } catch (error) {
+      console.error('Error searching knowledge base:', error);
+    }
+
+    // Instructions, computed table results and the question are always sent
+    const budget = getTokenBudget(model);
+    const tableText = tableResults.length > 0 ? describeTableResults(tableResults) : '';
+    const questionMessage = { role: "user", content: question };
+    const fixedTokens = estimateTokens(sourceDocs.length > 0 ? knowledgeBasePrompt(tableText, persona) : baseInstructions(persona)) +
+      countMessageTokens(questionMessage) + countMessageTokens({ content: '' });
+    const allowance = allocateBudget(budget, fixedTokens);
+
+    // Keep the best-ranked sources that fit, then number them so the model can cite them as [1], [2], ...
+    const fitted = fitSources(sourceDocs.map(doc => doc.pageContent), allowance.knowledge, SOURCE_HEADER_TOKENS);
+    const contextDocs = fitted.included.map(({ index, text }) =>
+      (text === sourceDocs[index].pageContent ? sourceDocs[index] : { ...sourceDocs[index], pageContent: text })
+    );
+    if (fitted.dropped > 0) {
+      console.log(`Left out ${fitted.dropped} source(s) that didn't fit the ${budget.model || 'default'} context budget`);
+    }
+
+    let contextFromKnowledgeBase = contextDocs.map(describeSource).join('\n\n---\n\n');
+    if (tableResults.length > 0) {
+      contextFromKnowledgeBase += tableText;
+    }
+    const usedKnowledgeBase = contextDocs.length > 0;
+    const relevantDocsFound = contextDocs.length;
+    const citations = contextDocs.map(toCitation);
+
+    // History gets its own share plus whatever the sources left unused
+    const knowledgeTokens = fitted.tokens + fitted.included.length * SOURCE_HEADER_TOKENS;
+    const historyTokens = allowance.history + Math.max(allowance.knowledge - knowledgeTokens, 0);
+    const { recentMessages, summary, summarizedCount } =
+      await this.compressHistory(conversationId, priorMessages, historyTokens, { provider, model });
+
+    // Ensure system message is at the beginning
+    const messages = [{
+      role: "system",
+      content: contextFromKnowledgeBase ? knowledgeBasePrompt(contextFromKnowledgeBase, persona) : baseInstructions(persona)
+    }];
+
+    if (summary) {
+      messages.push({ role: "system", content: `Summary of the earlier conversation:\n${summary}` });
+    } else if (summarizedCount > 0) {
+      messages.push({ role: "system", content: `${summarizedCount} earlier messages of this conversation were left out to fit the context window.` });
+    }
+
+    messages.push(...recentMessages, questionMessage);
+
+    const contextUsage = {
+      model: budget.model || null,
+      budget: budget.prompt,
+      used: messages.reduce((sum, message) => sum + countMessageTokens(message), 0),
+      knowledge: knowledgeTokens,
+      history: recentMessages.reduce((sum, message) => sum + countMessageTokens(message), 0),
+      summary: summary ? estimateTokens(summary) : 0,
+      summarizedMessages: summarizedCount,
+      droppedSources: fitted.dropped
+    };
+    console.log(`Prompt uses ~${contextUsage.used} of ${budget.prompt} tokens (${summarizedCount} messages summarized)`);
+
+    return { messages, citations, usedKnowledgeBase, relevantDocsFound, tableResults, contextUsage };
+  }
+
+  // Fit prior messages into `tokens`, folding older ones into a summary. Summaries of
+  // stored conversations are saved and extended as the conversation grows, so each
+  // message is summarized once. `target` is the { provider, model } that writes the
+  // summary. Returns { recentMessages, summary, summarizedCount }
+  async compressHistory(conversationId, priorMessages, tokens, target = {}) {
+    const { older, recent, summaryTokens } = splitHistory(priorMessages, tokens);
+    if (older.length === 0) {
+      return { recentMessages: recent, summary: null, summarizedCount: 0 };
+    }
+
+    const stored = conversationId ? await conversationService.getSummary(conversationId) : { summary: '', summarizedCount: 0 };
+
+    try {
+      // A stored summary may already cover some of the messages that still fit
+      if (stored.summary && stored.summarizedCount >= older.length) {
+        const covered = Math.min(stored.summarizedCount, priorMessages.length);
+        return { recentMessages: priorMessages.slice(covered), summary: stored.summary, summarizedCount: covered };
+      }
+
+      const summary = await summarizeMessages(older.slice(stored.summarizedCount), stored.summary, summaryTokens, target);
+      if (conversationId) {
+        await conversationService.saveSummary(conversationId, summary, older.length);
+      }
+      console.log(`Summarized ${older.length} earlier messages`);
+      return { recentMessages: recent, summary, summarizedCount: older.length };
+    } catch (error) {
+      // Without a summary the older messages are left out rather than overflowing the model
+      console.error('Error summarizing conversation history:', error);
+      return { recentMessages: recent, summary: null, summarizedCount: older.length };
+    }
+  }
+
+  // Store a finished question and answer in the conversation, along with the
+  // answer's sources and the retrieval settings used; `details` is optional
+  async recordExchange(conversationId, question, answer, details = {}) {
+    if (!conversationId) {
+      return;
+    }
+
+    try {
+      await conversationService.addExchange(conversationId, question, answer, details);
+    } catch (error) {
+      // Losing the history shouldn't fail an answer that was already generated
+      console.error('Error saving conversation messages:', error);
+    }
+  }
+
+  // Hold a comparison's answers until one is chosen. `comparison` has the userId,
+  // conversationId, question, answers ([{ model, answer }]) and the exchange
+  // details shared by all answers. Returns the comparison id.
+  saveComparison(comparison) {
+    const id = crypto.randomUUID();
+    this.comparisons.set(id, { id, createdAt: new Date().toISOString(), ...comparison });
+    setTimeout(() => this.comparisons.delete(id), COMPARISON_RETENTION_MS).unref();
+    return id;
+  }
+
+  // The undecided comparison if it exists and belongs to the user, otherwise null
+  getComparison(comparisonId, userId) {
+    const comparison = this.comparisons.get(comparisonId);
+    return comparison && comparison.userId === userId ? comparison : null;
+  }
+
+  // Store the chosen model's answer as the reply to the compared question and
+  // close the comparison; returns { model, answer }
+  async chooseComparisonAnswer(comparison, model) {
+    const chosen = comparison.answers.find(answer => answer.model === model);
+    this.comparisons.delete(comparison.id);
+
+    await this.recordExchange(comparison.conversationId, comparison.question, chosen.answer, {
+      ...comparison.details,
+      model
+    });
+    console.log(`Chose the ${model} answer out of ${comparison.answers.length} compared models`);
+
+    return { model, answer: chosen.answer };
+  }
+}
+
+export default new AnswerService();
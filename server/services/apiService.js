@@ -1,40 +1,254 @@
 import OpenAI from 'openai';
+import crypto from 'crypto';
+import { estimateTokens } from './chunkingStrategies.js';
 
+// Providers chat completions can come from. Each reads its settings from the
+// environment; `models` lists the models it offers, the first being its default.
+const PROVIDER_SETTINGS = {
+  // GitHub Models
+  github: () => ({
+    endpoint: process.env.GITHUB_MODELS_ENDPOINT || 'https://models.github.ai/inference',
+    apiKey: process.env.GITHUB_TOKEN,
+    models: process.env.GITHUB_MODELS || 'openai/gpt-4.1,openai/gpt-4.1-mini,openai/gpt-4o',
+    requires: 'GITHUB_TOKEN'
+  }),
+  // OpenAI, or any other endpoint speaking the same API
+  openai: () => ({
+    endpoint: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    models: process.env.OPENAI_MODELS || 'gpt-4.1,gpt-4.1-mini,gpt-4o',
+    requires: 'OPENAI_API_KEY'
+  }),
+  // A local Ollama or llama.cpp server through its OpenAI-compatible /v1 API
+  local: () => ({
+    endpoint: process.env.LOCAL_LLM_ENDPOINT || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    models: process.env.LOCAL_LLM_MODELS || 'llama3.1',
+    requires: 'LOCAL_LLM_ENDPOINT'
+  }),
+  // In-process stand-in for offline runs and testing
+  fake: () => ({
+    models: process.env.FAKE_LLM_MODELS || 'fake-model'
+  })
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_SETTINGS);
+
+// Pause between streamed words of the fake provider, so streaming looks like streaming
+const FAKE_TOKEN_DELAY_MS = 15;
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Raised for a provider or model a request can't use; the message says what is available
+export class ModelSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelSelectionError';
+  }
+}
+
+// Calls any OpenAI-compatible /chat/completions endpoint
+class OpenAICompatibleProvider {
+  constructor({ endpoint, apiKey }) {
+    // An empty key keeps the SDK from falling back to OPENAI_API_KEY for other providers
+    this.client = new OpenAI({ baseURL: endpoint, apiKey: apiKey || '' });
+  }
+
+  async complete(params, { signal } = {}) {
+    return this.client.chat.completions.create(params, { signal });
+  }
+
+  async stream(params, { signal } = {}) {
+    return this.client.chat.completions.create({ ...params, stream: true }, { signal });
+  }
+}
+
+// Answers without any external service. Replies are deterministic: they name the
+// model, restate the question and quote the first knowledge base source, citing it
+class FakeProvider {
+  reply(messages, model) {
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+    // Conversation summaries get a shortened transcript back
+    if (system.startsWith('Summarize')) {
+      return question.replace(/\s+/g, ' ').substring(0, 300);
+    }
+
+    const source = system.match(/\[1\] \[Document: ([^\]]*)\]\n([^\n]*)/);
+    const answer = `(${model}) You asked: "${question}".`;
+    return source
+      ? `${answer} According to ${source[1]}: ${source[2].substring(0, 160)} [1]`
+      : `${answer} There is no knowledge base information about this.`;
+  }
+
+  usage(messages, content) {
+    const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content || ''), 0);
+    const completionTokens = estimateTokens(content);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  async complete({ messages, model }) {
+    const content = this.reply(messages, model);
+    return {
+      id: `fake-${crypto.randomUUID()}`,
+      object: 'chat.completion',
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: this.usage(messages, content)
+    };
+  }
+
+  async stream({ messages, model }, { signal } = {}) {
+    const words = this.reply(messages, model).split(/(?<= )/);
+
+    return (async function* () {
+      for (const word of words) {
+        await new Promise(resolve => setTimeout(resolve, FAKE_TOKEN_DELAY_MS));
+        if (signal?.aborted) {
+          const error = new Error('Request was aborted.');
+          error.name = 'AbortError';
+          throw error;
+        }
+        yield { choices: [{ index: 0, delta: { content: word } }] };
+      }
+    })();
+  }
+}
+
+// The one gateway for chat completions. Requests go to the default provider
+// (LLM_PROVIDER) unless they name another enabled provider or one of its models.
 class ApiService {
   constructor() {
-    this.openaiClient = null;
+    this.providers = null;
   }
 
-  initialize(token, endpoint, model) {
-    this.token = token;
-    this.endpoint = endpoint;
-    this.model = model;
-    
-    this.openaiClient = new OpenAI({
-      baseURL: this.endpoint,
-      apiKey: this.token
+  // Enable the providers in LLM_PROVIDERS, or else the default provider plus every
+  // provider whose settings are given. CHAT_MODELS replaces the default provider's models.
+  initialize(config = {}) {
+    this.defaultProvider = config.provider || process.env.LLM_PROVIDER || 'github';
+    if (!PROVIDER_SETTINGS[this.defaultProvider]) {
+      throw new Error(`Unknown LLM provider: ${this.defaultProvider}`);
+    }
+
+    const enabled = process.env.LLM_PROVIDERS
+      ? splitList(process.env.LLM_PROVIDERS)
+      : PROVIDER_NAMES.filter(name => {
+        const requires = PROVIDER_SETTINGS[name]().requires;
+        return requires && process.env[requires];
+      });
+
+    this.providers = new Map();
+    [this.defaultProvider, ...enabled].forEach(name => {
+      if (!PROVIDER_SETTINGS[name]) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      if (this.providers.has(name)) {
+        return;
+      }
+
+      const settings = PROVIDER_SETTINGS[name]();
+      const models = name === this.defaultProvider && (config.models || process.env.CHAT_MODELS)
+        ? splitList(config.models || process.env.CHAT_MODELS)
+        : splitList(settings.models);
+
+      if (settings.requires && !settings.apiKey) {
+        console.warn(`LLM provider ${name} has no ${settings.requires} set; its requests will fail`);
+      }
+
+      this.providers.set(name, {
+        name,
+        models,
+        adapter: name === 'fake' ? new FakeProvider() : new OpenAICompatibleProvider(settings)
+      });
     });
+
+    console.log(`LLM providers: ${[...this.providers.keys()].join(', ')} (default ${this.defaultProvider})`);
   }
 
-  async getCompletion(messages, options = {}) {
-    if (!this.openaiClient) {
-      throw new Error('API client not initialized');
+  ensureInitialized() {
+    if (!this.providers) {
+      this.initialize();
     }
+  }
 
-    const defaultOptions = {
-      temperature: 1,
-      top_p: 1,
-      model: this.model
+  // [{ name, models, isDefault }] for every enabled provider, default first
+  getProviders() {
+    this.ensureInitialized();
+    return [...this.providers.values()].map(({ name, models }) => ({
+      name,
+      models,
+      isDefault: name === this.defaultProvider
+    }));
+  }
+
+  // Model used when a request doesn't name one
+  getDefaultModel() {
+    this.ensureInitialized();
+    return this.providers.get(this.defaultProvider).models[0];
+  }
+
+  // Work out which provider and model serve a request. Either may be left out:
+  // a model alone goes to the default provider if it offers it, otherwise to
+  // the first provider that does. Returns { provider, model }; throws ModelSelectionError.
+  resolveModel({ provider, model } = {}) {
+    this.ensureInitialized();
+
+    if (provider !== undefined && provider !== null && provider !== '') {
+      const entry = this.providers.get(provider);
+      if (!entry) {
+        throw new ModelSelectionError(`provider must be one of: ${[...this.providers.keys()].join(', ')}`);
+      }
+      if (!model) {
+        return { provider, model: entry.models[0] };
+      }
+      if (!entry.models.includes(model)) {
+        throw new ModelSelectionError(`Model "${model}" is not available from ${provider}; available models: ${entry.models.join(', ')}`);
+      }
+      return { provider, model };
+    }
+
+    if (!model) {
+      return { provider: this.defaultProvider, model: this.getDefaultModel() };
+    }
+
+    const providers = [...this.providers.values()];
+    const entry = providers.find(candidate => candidate.name === this.defaultProvider && candidate.models.includes(model)) ||
+      providers.find(candidate => candidate.models.includes(model));
+    if (!entry) {
+      const available = providers.flatMap(candidate => candidate.models);
+      throw new ModelSelectionError(`model must be one of: ${available.join(', ')}`);
+    }
+    return { provider: entry.name, model };
+  }
+
+  // Resolve `options.provider`/`options.model` and split off the request options
+  prepareRequest(messages, options) {
+    const { provider, model, signal, ...params } = options;
+    const target = this.resolveModel({ provider, model });
+    return {
+      adapter: this.providers.get(target.provider).adapter,
+      params: { messages, temperature: 1, top_p: 1, ...params, model: target.model },
+      signal
     };
+  }
 
-    const response = await this.openaiClient.chat.completions.create({
-      messages,
-      ...defaultOptions,
-      ...options
-    });
+  // A chat completion in the OpenAI response format. `options` may name the
+  // provider and model, carry an abort signal and override sampling settings.
+  async getCompletion(messages, options = {}) {
+    const { adapter, params, signal } = this.prepareRequest(messages, options);
+    return adapter.complete(params, { signal });
+  }
 
-    return response;
+  // Like getCompletion, but resolves to an async iterable of OpenAI-format chunks
+  async streamCompletion(messages, options = {}) {
+    const { adapter, params, signal } = this.prepareRequest(messages, options);
+    return adapter.stream(params, { signal });
   }
 }
 
-export default new ApiService();
\ No newline at end of file
+export default new ApiService();
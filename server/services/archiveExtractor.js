@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import AdmZip from 'adm-zip';
+
+// Stop unpacking once an archive expands past this, so a small ZIP can't fill the disk
+const MAX_ARCHIVE_EXPANDED_SIZE = 200 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 500;
+
+// ZIP compression methods we can unpack
+const STORED = 0;
+const DEFLATED = 8;
+
+// Raised when an entry unpacks to more bytes than it is allowed
+class EntrySizeError extends Error {
+  constructor(limit) {
+    super(`Entry unpacks past ${limit} bytes`);
+    this.name = 'EntrySizeError';
+  }
+}
+
+// OS metadata that archivers add next to real files
+const isJunkEntry = (entryName) =>
+  entryName.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+
+// Inflate one entry into filePath a piece at a time, failing with EntrySizeError
+// as soon as it passes `limit` bytes. Headers can lie about sizes, so only the
+// bytes actually unpacked are trusted. Resolves to the unpacked size.
+const unpackEntry = async (entry, filePath, limit) => {
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > limit ? new EntrySizeError(limit) : null, chunk);
+    }
+  });
+  const inflate = entry.header.method === DEFLATED ? [zlib.createInflateRaw()] : [];
+
+  try {
+    await pipeline(Readable.from([entry.getCompressedData()]), ...inflate, counter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+  return size;
+};
+
+// Unpack a ZIP archive into destDir, file by file. Entries that are not
+// allowed(name), exceed maxFileSize or would take the archive past
+// MAX_ARCHIVE_EXPANDED_SIZE are skipped with a reason.
+// Resolves to { files: [multer-like file], skipped: [{ filename, reason }] }
+export async function extractArchive(archivePath, destDir, { allowed, maxFileSize }) {
+  const files = [];
+  const skipped = [];
+  let expandedSize = 0;
+
+  let entries;
+  try {
+    entries = new AdmZip(await fs.promises.readFile(archivePath)).getEntries()
+      .filter(entry => !entry.isDirectory && !isJunkEntry(entry.entryName));
+  } catch (e) {
+    throw new Error(`Could not read ZIP archive: ${e.message}`);
+  }
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`Archive has more than ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  for (const entry of entries) {
+    const filename = entry.entryName;
+    const room = MAX_ARCHIVE_EXPANDED_SIZE - expandedSize;
+
+    if (!allowed(filename)) {
+      skipped.push({ filename, reason: 'Unsupported file type' });
+      continue;
+    }
+    if (entry.header.encrypted || ![STORED, DEFLATED].includes(entry.header.method)) {
+      skipped.push({ filename, reason: 'Encrypted or unsupported compression' });
+      continue;
+    }
+    if (entry.header.size > maxFileSize) {
+      skipped.push({ filename, reason: 'File is larger than the upload size limit' });
+      continue;
+    }
+    if (entry.header.size > room) {
+      skipped.push({ filename, reason: 'Archive expands past the size limit' });
+      continue;
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filePath = path.join(destDir, `document-${uniqueSuffix}${path.extname(filename)}`);
+    let size;
+    try {
+      size = await unpackEntry(entry, filePath, Math.min(maxFileSize, room));
+    } catch (error) {
+      if (!(error instanceof EntrySizeError)) {
+        skipped.push({ filename, reason: `Could not unpack: ${error.message}` });
+      } else if (maxFileSize <= room) {
+        skipped.push({ filename, reason: 'File is larger than the upload size limit' });
+      } else {
+        skipped.push({ filename, reason: 'Archive expands past the size limit' });
+      }
+      continue;
+    }
+    expandedSize += size;
+
+    files.push({
+      originalname: path.basename(filename),
+      path: filePath,
+      size,
+      mimetype: 'application/octet-stream'
+    });
+  }
+
+  return { files, skipped };
+}
@@ -0,0 +1,207 @@
+// Ways a section of document text can be split into chunks. Sizes and overlaps
+// count characters, except for the token strategy, which counts tokens.
+export const CHUNKING_STRATEGIES = ['fixed', 'sentence', 'token', 'section'];
+
+const STRATEGY_DEFAULTS = {
+  fixed: { chunkSize: 1000, chunkOverlap: 100 },
+  sentence: { chunkSize: 1000, chunkOverlap: 150 },
+  token: { chunkSize: 256, chunkOverlap: 32 },
+  section: { chunkSize: 1500, chunkOverlap: 0 }
+};
+
+const SIZE_LIMITS = {
+  characters: { min: 100, max: 8000 },
+  tokens: { min: 32, max: 2000 }
+};
+
+// Used for documents stored before chunking was configurable
+export const DEFAULT_CHUNKING = { strategy: 'fixed', ...STRATEGY_DEFAULTS.fixed };
+
+// Rough average for English text with OpenAI-style tokenizers
+export const CHARS_PER_TOKEN = 4;
+
+// Raised for a strategy, size or overlap the chunker can't use
+export class ChunkingOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChunkingOptionsError';
+  }
+}
+
+const sizeUnit = (strategy) => (strategy === 'token' ? 'tokens' : 'characters');
+
+// Approximate token count of a piece of text: each word costs one token per
+// CHARS_PER_TOKEN characters, and at least one
+export const estimateTokens = (text) =>
+  (text.match(/\S+/g) || []).reduce((sum, word) => sum + Math.max(1, Math.round(word.length / CHARS_PER_TOKEN)), 0);
+
+// Fill in defaults and validate { strategy, chunkSize, chunkOverlap }; values may
+// be strings (e.g. multipart form fields). Throws ChunkingOptionsError.
+export function resolveChunkingOptions({ strategy, chunkSize, chunkOverlap } = {}) {
+  const name = strategy || DEFAULT_CHUNKING.strategy;
+  if (!CHUNKING_STRATEGIES.includes(name)) {
+    throw new ChunkingOptionsError(`Chunking strategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+
+  const defaults = STRATEGY_DEFAULTS[name];
+  const unit = sizeUnit(name);
+  const { min, max } = SIZE_LIMITS[unit];
+  const size = chunkSize === undefined || chunkSize === '' ? defaults.chunkSize : Number(chunkSize);
+  const overlap = chunkOverlap === undefined || chunkOverlap === '' ? Math.min(defaults.chunkOverlap, Math.floor(size / 2)) : Number(chunkOverlap);
+
+  if (!Number.isInteger(size) || size < min || size > max) {
+    throw new ChunkingOptionsError(`Chunk size must be a whole number of ${unit} from ${min} to ${max}`);
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap > size / 2) {
+    throw new ChunkingOptionsError(`Chunk overlap must be a whole number of ${unit} from 0 to half the chunk size`);
+  }
+
+  return { strategy: name, chunkSize: size, chunkOverlap: overlap };
+}
+
+// Largest chunk in characters, for splitters that always measure characters (row groups, JSON)
+export const characterBudget = ({ strategy, chunkSize }) =>
+  (strategy === 'token' ? chunkSize * CHARS_PER_TOKEN : chunkSize);
+
+// Pack units (sentences or words) into chunks of at most `size`, as measured by
+// measure(text); each new chunk starts with the trailing units of the previous one
+// that fit in `overlap`. A single unit larger than `size` becomes its own chunk.
+export function packUnits(units, size, overlap, measure, separator) {
+  const chunks = [];
+  let current = [];
+
+  const length = (parts) => measure(parts.join(separator));
+
+  for (const unit of units) {
+    if (current.length > 0 && length([...current, unit]) > size) {
+      chunks.push(current.join(separator));
+
+      const carried = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (length([current[i], ...carried]) > overlap) break;
+        carried.unshift(current[i]);
+      }
+      current = carried;
+      // Drop the overlap when it leaves no room for the next unit
+      if (current.length > 0 && length([...current, unit]) > size) {
+        current = [];
+      }
+    }
+    current.push(unit);
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join(separator));
+  }
+  return chunks;
+}
+
+const characterLength = (text) => text.length;
+
+// Pack paragraphs up to chunkSize characters, falling back to words for long
+// paragraphs, and start each chunk with the last chunkOverlap characters of the previous one
+function splitFixed(text, { chunkSize, chunkOverlap }) {
+  // Split by paragraphs first
+  const paragraphs = text.split(/\n\s*\n/);
+  const chunks = [];
+  let currentChunk = "";
+
+  for (const paragraph of paragraphs) {
+    // If adding this paragraph would exceed chunk size, save current chunk and start a new one
+    if (currentChunk.length + paragraph.length > chunkSize) {
+      if (currentChunk.length > 0) {
+        chunks.push(currentChunk);
+
+        // Create overlap by keeping the end of the previous chunk
+        if (currentChunk.length > chunkOverlap) {
+          currentChunk = chunkOverlap > 0 ? currentChunk.slice(-chunkOverlap) : "";
+        }
+      }
+
+      // If paragraph itself is longer than chunk size, split it further
+      if (paragraph.length > chunkSize) {
+        const words = paragraph.split(/\s+/);
+        let wordChunk = currentChunk;
+
+        for (const word of words) {
+          if (wordChunk.length + word.length + 1 > chunkSize) {
+            chunks.push(wordChunk);
+            wordChunk = "";
+          }
+          wordChunk += (wordChunk ? " " : "") + word;
+        }
+
+        currentChunk = wordChunk;
+      } else {
+        currentChunk += (currentChunk ? "\n\n" : "") + paragraph;
+      }
+    } else {
+      currentChunk += (currentChunk ? "\n\n" : "") + paragraph;
+    }
+  }
+
+  // Don't forget to add the last chunk
+  if (currentChunk.length > 0) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+}
+
+// Sentences (and paragraph ends) as units; a sentence longer than the chunk
+// size is broken into words
+const splitSentences = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+function splitBySentence(text, { chunkSize, chunkOverlap }) {
+  const units = splitSentences(text).flatMap(sentence =>
+    sentence.length > chunkSize ? packUnits(sentence.split(' '), chunkSize, 0, characterLength, ' ') : [sentence]
+  );
+  return packUnits(units, chunkSize, chunkOverlap, characterLength, ' ');
+}
+
+// Words packed up to chunkSize estimated tokens, overlapping by chunkOverlap tokens
+function splitByTokens(text, { chunkSize, chunkOverlap }) {
+  return packUnits(text.split(/\s+/).filter(Boolean), chunkSize, chunkOverlap, estimateTokens, ' ');
+}
+
+// Keep a heading section whole when it fits; otherwise split its body by
+// paragraphs and repeat the heading at the top of every chunk
+function splitSection(text, options, heading) {
+  if (text.length <= options.chunkSize) {
+    return [text];
+  }
+
+  const prefix = heading ? `${heading}\n\n` : '';
+  const body = prefix && text.startsWith(prefix) ? text.slice(prefix.length) : text;
+  const budget = Math.max(options.chunkSize - prefix.length, SIZE_LIMITS.characters.min);
+
+  return splitFixed(body, { chunkSize: budget, chunkOverlap: Math.min(options.chunkOverlap, Math.floor(budget / 2)) })
+    .map(chunk => prefix + chunk);
+}
+
+// Split one section's text with the given resolved options; `heading` is the
+// section's heading path, used by the section strategy
+export function splitText(text, options = DEFAULT_CHUNKING, heading = '') {
+  if (!text || text.trim().length === 0) {
+    return ["[Empty document]"];
+  }
+
+  let chunks;
+  if (options.strategy === 'sentence') {
+    chunks = splitBySentence(text, options);
+  } else if (options.strategy === 'token') {
+    chunks = splitByTokens(text, options);
+  } else if (options.strategy === 'section') {
+    chunks = splitSection(text, options, heading);
+  } else {
+    chunks = splitFixed(text, options);
+  }
+
+  chunks = chunks.filter(chunk => chunk.trim().length > 0);
+  return chunks.length > 0 ? chunks : ["[Empty document]"];
+}
@@ -0,0 +1,159 @@
+import apiService from './apiService.js';
+import { estimateTokens, CHARS_PER_TOKEN } from './chunkingStrategies.js';
+
+// Context window of each model in tokens. The MODEL_CONTEXT_WINDOWS setting adds
+// or overrides entries (e.g. "llama3.1=131072"); models listed in neither get DEFAULT_CONTEXT_WINDOW
+export const MODEL_CONTEXT_WINDOWS = {
+  'openai/gpt-4.1': 1047576,
+  'openai/gpt-4.1-mini': 1047576,
+  'openai/gpt-4o': 128000,
+  'openai/gpt-4o-mini': 128000
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Tokens kept free for the model's reply
+const REPLY_TOKENS = 1024;
+
+// Ceiling on prompt size whatever the window, since large prompts are slow and costly;
+// MAX_PROMPT_TOKENS overrides it
+const DEFAULT_MAX_PROMPT_TOKENS = 16000;
+
+// Share of the room left after the system prompt and question that retrieved
+// context may use; history gets the rest, plus whatever the context leaves unused
+const KNOWLEDGE_SHARE = 0.6;
+
+// Share of the history budget a running summary of older turns may take
+const SUMMARY_SHARE = 0.25;
+const MAX_SUMMARY_TOKENS = 500;
+
+// Role and formatting tokens each chat message costs on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export const countMessageTokens = (message) => estimateTokens(message.content || '') + MESSAGE_OVERHEAD_TOKENS;
+
+// Malformed MODEL_CONTEXT_WINDOWS entries already warned about
+const reportedEntries = new Set();
+
+// Context windows from the MODEL_CONTEXT_WINDOWS setting, a comma-separated list
+// of model=tokens pairs; malformed entries are skipped
+const configuredContextWindows = () => {
+  const windows = {};
+  (process.env.MODEL_CONTEXT_WINDOWS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf('=');
+    const tokens = Number(entry.substring(separator + 1));
+    if (separator > 0 && Number.isInteger(tokens) && tokens > REPLY_TOKENS) {
+      windows[entry.substring(0, separator).trim()] = tokens;
+    } else if (!reportedEntries.has(entry)) {
+      reportedEntries.add(entry);
+      console.warn(`Ignoring MODEL_CONTEXT_WINDOWS entry "${entry}"; expected model=tokens`);
+    }
+  });
+  return windows;
+};
+
+// Prompt budget for a model: { model, contextWindow, prompt, reply }. OpenAI's own
+// API names models without the "openai/" prefix GitHub Models uses. Settings are
+// read on every call, as .env is only loaded after this module is imported.
+export function getTokenBudget(model) {
+  const windows = { ...MODEL_CONTEXT_WINDOWS, ...configuredContextWindows() };
+  const contextWindow = windows[model] || windows[`openai/${model}`] || DEFAULT_CONTEXT_WINDOW;
+  const maxPromptTokens = Number(process.env.MAX_PROMPT_TOKENS) || DEFAULT_MAX_PROMPT_TOKENS;
+  return {
+    model,
+    contextWindow,
+    reply: REPLY_TOKENS,
+    prompt: Math.min(contextWindow - REPLY_TOKENS, maxPromptTokens)
+  };
+}
+
+// Split what is left of the prompt budget once `fixedTokens` (instructions and
+// the question) are spent into { knowledge, history } allowances
+export function allocateBudget(budget, fixedTokens) {
+  const available = Math.max(budget.prompt - fixedTokens, 0);
+  const knowledge = Math.floor(available * KNOWLEDGE_SHARE);
+  return { knowledge, history: available - knowledge };
+}
+
+// Cut text to roughly `tokens` tokens, ending on a word
+const truncateToTokens = (text, tokens) => {
+  const limit = tokens * CHARS_PER_TOKEN;
+  if (text.length <= limit) {
+    return text;
+  }
+  const cut = text.lastIndexOf(' ', limit);
+  return `${text.substring(0, cut > 0 ? cut : limit)}…`;
+};
+
+// Take source texts in rank order while they fit in `tokens`, counting `overhead`
+// extra tokens for each. The top source is shortened rather than dropped; any later
+// one that doesn't fit is left out. Returns { included: [{ index, text }], tokens, dropped }
+// where tokens counts the texts alone.
+export function fitSources(texts, tokens, overhead = 0) {
+  const included = [];
+  let used = 0;
+
+  texts.forEach((text, index) => {
+    const cost = estimateTokens(text);
+    if (used + (included.length + 1) * overhead + cost <= tokens) {
+      included.push({ index, text });
+      used += cost;
+    } else if (index === 0 && tokens > overhead) {
+      const shortened = truncateToTokens(text, tokens - overhead);
+      included.push({ index, text: shortened });
+      used += estimateTokens(shortened);
+    }
+  });
+
+  return { included, tokens: used, dropped: texts.length - included.length };
+}
+
+// Split history into the older messages that no longer fit in `tokens` and the
+// recent ones that do. When some must go, room is first set aside for a summary
+// of them. Returns { older, recent, summaryTokens }
+export function splitHistory(messages, tokens) {
+  const total = messages.reduce((sum, message) => sum + countMessageTokens(message), 0);
+  if (total <= tokens) {
+    return { older: [], recent: messages, summaryTokens: 0 };
+  }
+
+  const summaryTokens = Math.min(Math.floor(tokens * SUMMARY_SHARE), MAX_SUMMARY_TOKENS);
+  let used = 0;
+  let start = messages.length;
+  while (start > 0 && used + countMessageTokens(messages[start - 1]) <= tokens - summaryTokens) {
+    used += countMessageTokens(messages[start - 1]);
+    start--;
+  }
+  // Begin the kept messages on a question rather than half way through an exchange,
+  // unless the latest answer is all that fits
+  const firstQuestion = messages.findIndex((message, i) => i >= start && message.role === 'user');
+  if (firstQuestion !== -1) {
+    start = firstQuestion;
+  }
+
+  return { older: messages.slice(0, start), recent: messages.slice(start), summaryTokens };
+}
+
+// Fold older messages into a running summary with the model, building on the
+// previous summary when there is one. `target` is the { provider, model } the
+// answer is for, so the summary comes from the same model; both default.
+export async function summarizeMessages(messages, previousSummary, maxTokens, target = {}) {
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n\n');
+
+  const response = await apiService.getCompletion([
+    {
+      role: 'system',
+      content: `Summarize the conversation below for an assistant that will continue it. Keep facts, names, numbers, decisions and open questions; leave out pleasantries. Use at most ${Math.floor(maxTokens * 0.75)} words.`
+    },
+    {
+      role: 'user',
+      content: previousSummary
+        ? `Summary so far:\n${previousSummary}\n\nLater messages:\n${transcript}`
+        : transcript
+    }
+  ], { ...target, temperature: 0.2, max_tokens: maxTokens });
+
+  return response.choices[0].message.content.trim();
+}
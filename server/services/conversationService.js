@@ -1,34 +1,80 @@
+import conversationRepository from '../repositories/conversationRepository.js';
+
+// Conversations are named after their first question, cut to this length
+const MAX_GENERATED_TITLE_LENGTH = 50;
+
+const titleFromQuestion = (question) => {
+  const text = question.replace(/\s+/g, ' ').trim();
+  return text.length > MAX_GENERATED_TITLE_LENGTH ? `${text.substring(0, MAX_GENERATED_TITLE_LENGTH)}...` : text;
+};
+
+// Stored conversations and their messages, kept per user so history survives
+// restarts and follows the user between browsers
 class ConversationService {
-  constructor() {
-    this.conversations = new Map();
+  async createConversation(userId, { title } = {}) {
+    return conversationRepository.addConversation({ userId, title: title || '' });
+  }
+
+  async listConversations(userId) {
+    return conversationRepository.getConversations(userId);
+  }
+
+  // The conversation if it exists and belongs to the user, otherwise null
+  async getConversation(conversationId, userId) {
+    const conversation = await conversationRepository.getConversationById(conversationId);
+    return conversation && conversation.userId === userId ? conversation : null;
   }
 
-  getConversation(conversationId) {
-    if (!this.conversations.has(conversationId)) {
-      this.conversations.set(conversationId, []);
+  // A conversation's messages as model context; the answer service decides how many fit
+  async getContextMessages(conversationId) {
+    const conversation = await conversationRepository.getConversationById(conversationId);
+    if (!conversation) {
+      return [];
     }
-    return this.conversations.get(conversationId);
+    return conversation.messages.map(message => ({ role: message.role, content: message.content }));
   }
 
-  updateConversation(conversationId, messages) {
-    // Keep only the last 20 messages to prevent context from getting too large
-    const limitedMessages = messages.slice(-20);
-    this.conversations.set(conversationId, limitedMessages);
+  // Running summary of the conversation's oldest messages and how many it covers
+  async getSummary(conversationId) {
+    const conversation = await conversationRepository.getConversationById(conversationId);
+    return {
+      summary: conversation?.summary || '',
+      summarizedCount: conversation?.summarizedCount || 0
+    };
   }
 
-  addMessageToConversation(conversationId, message) {
-    const conversation = this.getConversation(conversationId);
-    conversation.push(message);
-    this.updateConversation(conversationId, conversation);
+  async saveSummary(conversationId, summary, summarizedCount) {
+    return conversationRepository.updateConversation(conversationId, { summary, summarizedCount });
   }
 
-  clearConversation(conversationId) {
-    this.conversations.delete(conversationId);
+  async renameConversation(conversationId, title) {
+    return conversationRepository.updateConversation(conversationId, { title });
+  }
+
+  // Store a question and its answer; `details` holds the answer's citations and
+  // table results, the model that wrote it and the persona and retrieval settings
+  // it was asked with
+  async addExchange(conversationId, question, answer, details = {}) {
+    const conversation = await conversationRepository.getConversationById(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const { citations = [], tableResults = [], usedKnowledgeBase = false, collectionIds = [], filter = '', model = null, personaId = null } = details;
+    const updates = { collectionIds, filter: filter || '', personaId };
+    if (!conversation.title) {
+      updates.title = titleFromQuestion(question);
+    }
+
+    return conversationRepository.appendMessages(conversationId, [
+      { role: 'user', content: question },
+      { role: 'assistant', content: answer, citations, tableResults, usedKnowledgeBase, model }
+    ], updates);
   }
 
-  getAllConversationIds() {
-    return Array.from(this.conversations.keys());
+  async deleteConversation(conversationId, userId) {
+    return conversationRepository.removeConversation(conversationId, userId);
   }
 }
 
-export default new ConversationService();
\ No newline at end of file
+export default new ConversationService();
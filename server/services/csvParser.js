@@ -0,0 +1,97 @@
+// Parse CSV text into { headers, rows } following RFC 4180 (quoted fields,
+// escaped quotes, commas and newlines inside quotes)
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim().length > 0));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].map((header, i) => header.trim() || `Column ${i + 1}`);
+  const rows = nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, i) => [header, (values[i] ?? '').trim()]))
+  );
+
+  return { headers, rows };
+}
+
+// Parse "1,234.50", "$12" or "45%" as a number; null when the value isn't numeric
+export function parseNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const cleaned = String(value).trim().replace(/^[$€£]/, '').replace(/%$/, '').replace(/,/g, '');
+  if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) {
+    return null;
+  }
+  return Number(cleaned);
+}
+
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no']);
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}([ T].*)?$|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/;
+
+// Infer "number", "date", "boolean" or "string" for each column from its non-empty values
+export function inferColumnTypes(headers, rows) {
+  const types = {};
+
+  headers.forEach(header => {
+    const values = rows.map(row => row[header]).filter(value => value !== '');
+
+    if (values.length === 0) {
+      types[header] = 'string';
+    } else if (values.every(value => parseNumber(value) !== null)) {
+      types[header] = 'number';
+    } else if (values.every(value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+      types[header] = 'date';
+    } else if (values.every(value => BOOLEAN_VALUES.has(value.toLowerCase()))) {
+      types[header] = 'boolean';
+    } else {
+      types[header] = 'string';
+    }
+  });
+
+  return types;
+}
@@ -1,269 +1,757 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import mammoth from 'mammoth';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import chunkRepository from '../repositories/chunkRepository.js';
+import knowledgeBaseRepository from '../repositories/knowledgeBaseRepository.js';
+import embeddingService from './embeddingService.js';
+import { SearchIndex, tokenize } from './searchIndex.js';
+import { VectorIndex } from './vectorIndex.js';
+import { parseCsv, inferColumnTypes } from './csvParser.js';
+import {
+  extractMarkdownSections,
+  extractHtmlSections,
+  extractJsonSections,
+  readWorkbookSheets
+} from './formatExtractors.js';
+import { resolveChunkingOptions, characterBudget, splitText } from './chunkingStrategies.js';
+import { withFilterExpression } from './filterExpression.js';
+
+// Ways searchSimilarDocuments can rank chunks
+export const SEARCH_MODES = ['lexical', 'semantic', 'hybrid'];
+
+// Raised when a file cannot be turned into text, e.g. an encrypted or scanned PDF
+export class DocumentProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentProcessingError';
+  }
+}
+
+// Chunks embedded per request while ingesting a file
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Ranked candidates fetched per requested result, leaving room to drop near-duplicates
+const DUPLICATE_OVERFETCH = 3;
+
+// Most results searchDocuments ranks for paging through
+export const MAX_SEARCH_RESULTS = 200;
+
+// Overlapping three-word sequences of a chunk's normalized terms
+const toShingles = (text) => {
+  const terms = tokenize(text);
+  const shingles = new Set();
+  if (terms.length < 3) {
+    shingles.add(terms.join(' '));
+  }
+  for (let i = 0; i + 3 <= terms.length; i++) {
+    shingles.add(terms.slice(i, i + 3).join(' '));
+  }
+  return shingles;
+};
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+};
 
 class DocumentProcessor {
   constructor() {
     this.documents = [];
-    this.chunkSize = 1000;
+    this.searchIndex = new SearchIndex();
+    this.vectorIndex = new VectorIndex();
+    // fileId -> parsed CSV table, used to compute aggregates exactly
+    this.tables = new Map();
+    // Share of the hybrid score that comes from embedding similarity
+    this.semanticWeight = 0.5;
+    // Shingle overlap at which two retrieved chunks count as the same passage
+    this.duplicateThreshold = 0.85;
     console.log('Document processor initialized');
   }
 
-  async processFile(file) {
-    try {
-      console.log(`Processing file: ${file.originalname} (${file.mimetype})`);
-      const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
-      let content = '';
-      
-      // Read file directly as text first, as a fallback
+  // Rehydrate the in-memory index from the chunk store
+  async loadDocuments() {
+    const chunks = await chunkRepository.getAllChunks();
+    
+    // Drop chunks whose knowledge base record is gone, e.g. one kept in memory
+    // before a restart; nothing could list or delete them any more
+    const documentIds = [...new Set(chunks.map(doc => doc.metadata.documentId).filter(Boolean))];
+    const existing = new Set(await knowledgeBaseRepository.getExistingDocumentIds(documentIds));
+    this.documents = chunks.filter(doc => existing.has(doc.metadata.documentId));
+    const orphaned = chunks.filter(doc => !existing.has(doc.metadata.documentId));
+    if (orphaned.length > 0) {
+      console.log(`Removing ${orphaned.length} chunks without a knowledge base record`);
+      await chunkRepository.removeChunksByIds(orphaned.map(doc => doc.chunkId));
+    }
+    
+    // Chunks embedded by a different provider live in another vector space
+    const providerId = embeddingService.getProviderId();
+    const stale = this.documents.filter(doc => doc.embeddingModel !== providerId);
+    if (stale.length > 0) {
+      console.log(`Re-embedding ${stale.length} chunks with ${providerId}`);
       try {
-        content = fs.readFileSync(file.path, 'utf8');
-        console.log(`Read ${content.length} characters directly from file`);
-      } catch (readError) {
-        console.error('Error reading file directly:', readError);
-        content = '';
+        await this.embedDocuments(stale);
+        await chunkRepository.updateEmbeddings(stale);
+      } catch (error) {
+        console.error('Error re-embedding chunks, semantic search will skip them:', error);
       }
-      
-      // Try specialized parsers based on file type
-      if (fileExtension === 'pdf') {
-        try {
-          // We'll use a direct approach to avoid pdf-parse issues
-          console.log('PDF file detected, attempting to extract text');
-          
-          // If we already have content from direct read, use it
-          if (!content) {
-            content = "PDF content extraction failed. Using file name as context.";
-          }
-        } catch (e) {
-          console.error('Error parsing PDF:', e);
-        }
-      } else if (fileExtension === 'docx') {
-        try {
-          // If mammoth is available, use it
-          const mammoth = await import('mammoth').catch(() => null);
-          if (mammoth) {
-            const result = await mammoth.extractRawText({path: file.path});
-            if (result && result.value) {
-              content = result.value;
-              console.log(`Extracted ${content.length} characters from DOCX`);
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing DOCX:', e);
-        }
+    }
+    
+    this.searchIndex.clear();
+    this.vectorIndex.clear();
+    this.tables.clear();
+    this.documents.forEach(doc => this.indexDocument(doc));
+    console.log(`Loaded ${this.documents.length} chunks from the chunk store`);
+    return this.documents.length;
+  }
+  
+  // Attach an embedding to each document object
+  async embedDocuments(documents, onProgress = () => {}) {
+    const providerId = embeddingService.getProviderId();
+    
+    // Embed in batches so long files can report progress as they go
+    for (let start = 0; start < documents.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = documents.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const vectors = await embeddingService.embedTexts(batch.map(doc => doc.pageContent));
+      batch.forEach((doc, i) => {
+        doc.embedding = vectors[i];
+        doc.embeddingModel = providerId;
+      });
+      onProgress(start + batch.length, documents.length);
+    }
+  }
+  
+  indexDocument(doc) {
+    this.registerTable(doc);
+    // Excluded chunks stay stored (and inspectable) but are never retrieved
+    if (doc.excluded) {
+      return;
+    }
+    this.searchIndex.add(doc.chunkId, doc);
+    if (doc.embeddingModel === embeddingService.getProviderId()) {
+      this.vectorIndex.add(doc.chunkId, doc, doc.embedding);
+    }
+  }
+  
+  unindexDocument(doc) {
+    this.searchIndex.remove(doc.chunkId);
+    this.vectorIndex.remove(doc.chunkId);
+  }
+
+  async processFile(file, extraMetadata = {}, chunking = {}) {
+    const documents = await this.buildDocuments(file, extraMetadata, () => {}, chunking);
+    await this.addDocuments(documents);
+    return documents;
+  }
+  
+  // Re-extract and re-chunk a file, swapping its chunks only once parsing succeeded
+  async reindexFile(file, extraMetadata = {}, chunking = {}) {
+    const documents = await this.buildDocuments(file, extraMetadata, () => {}, chunking);
+    return this.replaceDocuments(documents[0].metadata.fileId, documents);
+  }
+  
+  // Extract and chunk a file into document objects without indexing them;
+  // extraMetadata (e.g. the knowledge base documentId) is copied onto every chunk
+  // onProgress(stage, fraction, message) is called as the file moves through
+  // the parsing, chunking and indexing stages; chunking is { strategy, chunkSize, chunkOverlap }
+  // with defaults filled in by resolveChunkingOptions
+  async buildDocuments(file, extraMetadata = {}, onProgress = () => {}, chunking = {}) {
+    console.log(`Processing file: ${file.originalname} (${file.mimetype})`);
+    const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
+    const chunkingOptions = resolveChunkingOptions(chunking);
+    
+    // Extract text as a list of sections (PDF pages, CSV/XLSX row groups, Markdown/HTML/DOCX headings, JSON paths)
+    onProgress('parsing', 0, `Extracting text from ${file.originalname}`);
+    const sections = await this.extractSections(file, fileExtension, chunkingOptions);
+    
+    const totalLength = sections.reduce((sum, section) => sum + section.text.length, 0);
+    console.log(`Total content length: ${totalLength} characters`);
+    onProgress('chunking', 0, `Splitting ${totalLength} characters into chunks (${chunkingOptions.strategy})`);
+    
+    // Split each section into chunks with overlap, keeping track of its page;
+    // sections marked as chunked (e.g. CSV row groups) are used as they are
+    const chunks = [];
+    sections.forEach(section => {
+      const texts = section.chunked
+        ? [section.text]
+        : splitText(section.text, chunkingOptions, section.metadata && section.metadata.headingPath);
+      texts.forEach(text => {
+        chunks.push({ text, page: section.page, metadata: section.metadata });
+      });
+    });
+    console.log(`Split into ${chunks.length} chunks`);
+    
+    // Create document objects with metadata
+    const fileId = path.basename(file.path);
+    const documents = chunks.map((chunk, i) => {
+      const metadata = {
+        source: file.originalname,
+        chunk: i + 1,
+        filename: file.originalname,
+        fileType: fileExtension,
+        chunkCount: chunks.length,
+        // File identifier to allow selective removal
+        fileId,
+        ...chunk.metadata,
+        ...extraMetadata
+      };
+      if (chunk.page) {
+        metadata.page = chunk.page;
       }
-      
-      // If content is still empty, use fallback
-      if (!content || content.trim().length === 0) {
-        content = `Document: ${file.originalname}\nType: ${fileExtension}\nSize: ${file.size} bytes`;
-        console.log('Using fallback content for empty document');
+      return { chunkId: crypto.randomUUID(), pageContent: chunk.text, metadata };
+    });
+    
+    onProgress('indexing', 0, `Embedding ${documents.length} chunks`);
+    await this.embedDocuments(documents, (done, total) => {
+      onProgress('indexing', done / total, `Embedded ${done} of ${total} chunks`);
+    });
+    console.log(`Embedded ${documents.length} chunks`);
+    
+    return documents;
+  }
+  
+  // Store document objects and make them searchable
+  async addDocuments(documents) {
+    // Persist before indexing in memory so a restart never loses searchable chunks
+    await chunkRepository.addChunks(documents);
+    documents.forEach(doc => {
+      this.documents.push(doc);
+      this.indexDocument(doc);
+    });
+    
+    console.log(`Added ${documents.length} chunks to knowledge base`);
+    console.log(`Current document count: ${this.getDocumentCount()}`);
+    
+    // Debug: print first chunk
+    if (documents.length > 0) {
+      console.log('First chunk preview:');
+      console.log(documents[0].pageContent.substring(0, 100) + '...');
+    }
+    
+    return documents;
+  }
+  
+  // Extract the text of a file as [{ text, page }] sections
+  async extractSections(file, fileExtension, chunkingOptions) {
+    const chunkSize = characterBudget(chunkingOptions);
+    let sections;
+    
+    if (fileExtension === 'pdf') {
+      sections = await this.extractPdfPages(file);
+    } else if (fileExtension === 'docx' && chunkingOptions.strategy === 'section') {
+      sections = await this.extractDocxSections(file);
+    } else if (fileExtension === 'docx') {
+      let result;
+      try {
+        result = await mammoth.extractRawText({ path: file.path });
+      } catch (e) {
+        console.error('Error parsing DOCX:', e);
+        throw new DocumentProcessingError(`Could not read DOCX file ${file.originalname}: ${e.message}`);
       }
-      
-      console.log(`Total content length: ${content.length} characters`);
-      
-      // Split content into chunks with overlap
-      const chunks = this.splitIntoChunks(content);
-      console.log(`Split into ${chunks.length} chunks`);
-      
-      // Create document objects with metadata
-      const documents = chunks.map((chunk, i) => ({
-        pageContent: chunk,
-        metadata: {
-          source: file.originalname,
-          chunk: i + 1,
-          filename: file.originalname,
-          fileType: fileExtension,
-          chunkCount: chunks.length
-        }
-      }));
-      
-      // Store in memory with file identifier to allow selective removal
-      const fileId = path.basename(file.path);
-      documents.forEach(doc => {
-        doc.metadata.fileId = fileId;
-        this.documents.push(doc);
+      console.log(`Extracted ${result.value.length} characters from DOCX`);
+      sections = [{ text: result.value }];
+    } else if (fileExtension === 'csv') {
+      sections = this.extractCsvRowGroups(file, chunkSize);
+    } else if (fileExtension === 'xlsx') {
+      sections = await this.extractSpreadsheetRowGroups(file, chunkSize);
+    } else if (['md', 'markdown'].includes(fileExtension)) {
+      sections = extractMarkdownSections(fs.readFileSync(file.path, 'utf8'));
+    } else if (['html', 'htm'].includes(fileExtension)) {
+      sections = extractHtmlSections(fs.readFileSync(file.path, 'utf8'));
+    } else if (fileExtension === 'json') {
+      try {
+        sections = extractJsonSections(fs.readFileSync(file.path, 'utf8'), chunkSize);
+      } catch (e) {
+        console.error('Error parsing JSON:', e);
+        throw new DocumentProcessingError(`Could not parse JSON file ${file.originalname}: ${e.message}`);
+      }
+    } else {
+      const content = fs.readFileSync(file.path, 'utf8');
+      console.log(`Read ${content.length} characters directly from file`);
+      sections = [{ text: content }];
+    }
+    
+    sections = sections.filter(section => section.text && section.text.trim().length > 0);
+    if (sections.length === 0) {
+      throw new DocumentProcessingError(`No text could be extracted from ${file.originalname}`);
+    }
+    
+    return sections;
+  }
+  
+  // DOCX headings (Heading 1-6 styles) survive mammoth's HTML conversion, so
+  // split the HTML into heading sections the same way as web pages
+  async extractDocxSections(file) {
+    let result;
+    try {
+      result = await mammoth.convertToHtml({ path: file.path });
+    } catch (e) {
+      console.error('Error parsing DOCX:', e);
+      throw new DocumentProcessingError(`Could not read DOCX file ${file.originalname}: ${e.message}`);
+    }
+    const sections = extractHtmlSections(result.value);
+    console.log(`Extracted ${sections.length} heading sections from DOCX`);
+    return sections;
+  }
+  
+  // Read and parse a CSV file into { headers, types, rows }
+  readCsvTable(filePath) {
+    const { headers, rows } = parseCsv(fs.readFileSync(filePath, 'utf8'));
+    return { headers, types: inferColumnTypes(headers, rows), rows };
+  }
+  
+  // Group CSV rows into chunks that each repeat the header, so no row loses its columns
+  extractCsvRowGroups(file, chunkSize) {
+    const { headers, types, rows } = this.readCsvTable(file.path);
+    
+    if (headers.length === 0 || rows.length === 0) {
+      throw new DocumentProcessingError(`${file.originalname} has no header row or no data rows`);
+    }
+    console.log(`Parsed ${rows.length} CSV rows with columns: ${headers.join(', ')}`);
+    
+    return this.buildRowGroups(headers, types, rows, chunkSize, { sourcePath: file.path });
+  }
+  
+  // One set of row-group sections per non-empty spreadsheet sheet, labelled with the sheet name
+  async extractSpreadsheetRowGroups(file, chunkSize) {
+    let sheets;
+    try {
+      sheets = await readWorkbookSheets(file.path);
+    } catch (e) {
+      console.error('Error parsing XLSX:', e);
+      throw new DocumentProcessingError(`Could not read spreadsheet ${file.originalname}: ${e.message}`);
+    }
+    
+    const sections = [];
+    sheets
+      .filter(sheet => sheet.headers.length > 0 && sheet.rows.length > 0)
+      .forEach(({ sheet, headers, rows }) => {
+        console.log(`Parsed ${rows.length} rows from sheet "${sheet}"`);
+        const types = inferColumnTypes(headers, rows);
+        sections.push(...this.buildRowGroups(headers, types, rows, chunkSize, { sheet }, `Sheet: ${sheet}\n`));
       });
-      
-      console.log(`Added ${documents.length} chunks to knowledge base`);
-      console.log(`Current document count: ${this.getDocumentCount()}`);
-      
-      // Debug: print first chunk
-      if (documents.length > 0) {
-        console.log('First chunk preview:');
-        console.log(documents[0].pageContent.substring(0, 100) + '...');
+    return sections;
+  }
+  
+  // Pack rows into chunked sections of at most chunkSize characters, each starting with the header
+  buildRowGroups(headers, types, rows, chunkSize, metadata = {}, label = '') {
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const headerText = `${label}Columns: ${headers.map(header => `${header} (${types[header]})`).join(', ')}\n` +
+      headers.map(quote).join(',');
+    
+    const sections = [];
+    let lines = [];
+    let length = headerText.length;
+    let rowStart = 1;
+    
+    const flush = (rowEnd) => {
+      sections.push({
+        text: `${headerText}\n${lines.join('\n')}`,
+        chunked: true,
+        metadata: { rowStart, rowEnd, columns: headers, columnTypes: types, ...metadata }
+      });
+    };
+    
+    rows.forEach((row, i) => {
+      const line = headers.map(header => quote(row[header])).join(',');
+      if (lines.length > 0 && length + line.length + 1 > chunkSize) {
+        flush(i);
+        lines = [];
+        length = headerText.length;
+        rowStart = i + 1;
       }
-      
-      return documents;
+      lines.push(line);
+      length += line.length + 1;
+    });
+    flush(rows.length);
+    
+    return sections;
+  }
+  
+  // Parsed table for a CSV-backed chunk's file, loading it on first use
+  registerTable(doc) {
+    const { fileId, fileType, sourcePath } = doc.metadata || {};
+    if (fileType !== 'csv' || !sourcePath || this.tables.has(fileId)) {
+      return;
+    }
+    
+    try {
+      this.tables.set(fileId, {
+        fileId,
+        filename: doc.metadata.filename,
+        // A chunk of the file, so access filters can be applied to the table
+        sampleChunk: doc,
+        ...this.readCsvTable(sourcePath)
+      });
     } catch (error) {
-      console.error('Error processing document:', error);
-      // Return at least one chunk to avoid breaking the flow
-      const errorDoc = [{
-        pageContent: `Error processing ${file.originalname}: ${error.message}`,
-        metadata: {
-          source: file.originalname,
-          chunk: 1,
-          error: true
-        }
-      }];
-      this.documents.push(errorDoc[0]);
-      return errorDoc;
+      console.error(`Error loading CSV table for ${fileId}:`, error);
     }
   }
   
-  // Split text into chunks with overlap
-  splitIntoChunks(text) {
-    if (!text || text.length === 0) {
-      return ["[Empty document]"];
-    }
+  // Get parsed CSV tables for the given fileIds that pass an optional filter(chunk) predicate
+  getTables(fileIds, filter = null) {
+    return fileIds
+      .map(fileId => this.tables.get(fileId))
+      .filter(table => table && (!filter || filter(table.sampleChunk)));
+  }
+  
+  // Extract text from a PDF page by page
+  async extractPdfPages(file) {
+    console.log('PDF file detected, extracting text per page');
+    const pages = [];
     
-    // Split by paragraphs first
-    const paragraphs = text.split(/\n\s*\n/);
-    const chunks = [];
-    let currentChunk = "";
-    const overlap = 100; // Characters of overlap between chunks
-    
-    for (const paragraph of paragraphs) {
-      // If adding this paragraph would exceed chunk size, save current chunk and start a new one
-      if (currentChunk.length + paragraph.length > this.chunkSize) {
-        if (currentChunk.length > 0) {
-          chunks.push(currentChunk);
-          
-          // Create overlap by keeping the end of the previous chunk
-          if (currentChunk.length > overlap) {
-            currentChunk = currentChunk.slice(-overlap);
-          }
-        }
-        
-        // If paragraph itself is longer than chunk size, split it further
-        if (paragraph.length > this.chunkSize) {
-          const words = paragraph.split(/\s+/);
-          let wordChunk = currentChunk;
-          
-          for (const word of words) {
-            if (wordChunk.length + word.length + 1 > this.chunkSize) {
-              chunks.push(wordChunk);
-              wordChunk = "";
-            }
-            wordChunk += (wordChunk ? " " : "") + word;
-          }
-          
-          if (wordChunk.length > 0) {
-            currentChunk = wordChunk;
-          } else {
-            currentChunk = "";
-          }
+    const renderPage = async (pageData) => {
+      const textContent = await pageData.getTextContent();
+      let lastY;
+      let text = '';
+      
+      // Start a new line whenever the vertical position changes
+      for (const item of textContent.items) {
+        if (lastY === undefined || lastY === item.transform[5]) {
+          text += item.str;
         } else {
-          currentChunk += (currentChunk ? "\n\n" : "") + paragraph;
+          text += '\n' + item.str;
         }
-      } else {
-        currentChunk += (currentChunk ? "\n\n" : "") + paragraph;
+        lastY = item.transform[5];
+      }
+      
+      pages.push({ text, page: pageData.pageIndex + 1 });
+      return text;
+    };
+    
+    let result;
+    try {
+      result = await pdfParse(fs.readFileSync(file.path), { pagerender: renderPage });
+    } catch (e) {
+      console.error('Error parsing PDF:', e);
+      if (e.name === 'PasswordException') {
+        throw new DocumentProcessingError(`${file.originalname} is encrypted or password protected`);
       }
+      throw new DocumentProcessingError(`Could not read PDF file ${file.originalname}: ${e.message}`);
     }
     
-    // Don't forget to add the last chunk
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk);
+    const textPages = pages.filter(page => page.text.trim().length > 0);
+    console.log(`Extracted text from ${textPages.length} of ${result.numpages} PDF pages`);
+    
+    if (textPages.length === 0) {
+      throw new DocumentProcessingError(
+        `${file.originalname} contains no extractable text (it may be a scanned or image-only PDF)`
+      );
     }
     
-    return chunks.length > 0 ? chunks : ["[Empty document]"];
+    return textPages.sort((a, b) => a.page - b.page);
   }
-
-  // Enhanced keyword-based search function
-  async searchSimilarDocuments(query, k = 5) {
-    if (this.documents.length === 0) {
+  
+  // Rank chunks for a query as [{ doc, score }] using the given search mode
+  async rankDocuments(query, k, mode, filter = null) {
+    if (mode === 'lexical') {
+      return this.searchIndex.search(query, k, filter);
+    }
+    
+    let queryVector;
+    try {
+      queryVector = await embeddingService.embedQuery(query);
+    } catch (error) {
+      console.error('Error embedding query, falling back to lexical search:', error);
+      return this.searchIndex.search(query, k, filter);
+    }
+    
+    if (mode === 'semantic') {
+      return this.vectorIndex.search(queryVector, k, filter).filter(item => item.score > 0);
+    }
+    
+    // Hybrid: blend max-normalized BM25 with cosine similarity over both candidate sets
+    const candidateCount = k * 4;
+    const lexical = this.searchIndex.search(query, candidateCount, filter);
+    const semantic = this.vectorIndex.search(queryVector, candidateCount, filter);
+    const maxLexical = lexical.length > 0 ? lexical[0].score : 0;
+    
+    const combined = new Map();
+    lexical.forEach(({ doc, score }) => {
+      combined.set(doc.chunkId, { doc, lexical: maxLexical > 0 ? score / maxLexical : 0, semantic: 0 });
+    });
+    semantic.forEach(({ doc, score }) => {
+      const entry = combined.get(doc.chunkId) || { doc, lexical: 0, semantic: 0 };
+      entry.semantic = Math.max(score, 0);
+      combined.set(doc.chunkId, entry);
+    });
+    
+    return Array.from(combined.values())
+      .map(entry => ({
+        doc: entry.doc,
+        score: this.semanticWeight * entry.semantic + (1 - this.semanticWeight) * entry.lexical
+      }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+  
+  // Search chunks with BM25 ("lexical"), embeddings ("semantic") or a blend of both ("hybrid");
+  // options.filter(doc) restricts which chunks may be returned, e.g. to one user's documents,
+  // and options.where narrows them further with a filter expression like "product=alpha AND date>=2025"
+  async searchSimilarDocuments(query, k = 5, options = {}) {
+    const filter = withFilterExpression(options.filter || null, options.where) || null;
+    
+    // The index holds every retrievable chunk; the filter is applied to ranked candidates only
+    if (this.searchIndex.size === 0) {
       console.log('No documents in the knowledge base');
       return [];
     }
 
     try {
-      // Log current document count
-      console.log(`Searching through ${this.documents.length} document chunks`);
+      const mode = options.mode || process.env.SEARCH_MODE || 'hybrid';
       
-      // Split the query into keywords
-      const keywords = query.toLowerCase().split(/\s+/)
-        .filter(word => word.length > 2)  // Filter out very short words
-        .map(word => word.replace(/[^\w]/g, '')); // Remove punctuation
+      // Log current document count
+      console.log(`Searching through ${this.searchIndex.size} document chunks (${mode})`);
       
+      const keywords = tokenize(query);
       console.log(`Search keywords: ${keywords.join(', ')}`);
       
       if (keywords.length === 0) {
         console.log('No meaningful keywords found, returning first documents');
-        return this.documents.slice(0, k); // Return first k documents if no keywords
+        return this.getFirstDocuments(k, filter); // Return first k documents if no keywords
       }
 
-      // Score each document based on keyword frequency and other factors
-      const scoredDocs = this.documents.map(doc => {
-        const text = doc.pageContent.toLowerCase();
-        let score = 0;
-        
-        // Count occurrences of each keyword
-        keywords.forEach(keyword => {
-          // Exact matches get higher score
-          const exactRegex = new RegExp(`\\b${keyword}\\b`, 'g');
-          const exactMatches = text.match(exactRegex);
-          if (exactMatches) {
-            score += exactMatches.length * 10;
-          }
-          
-          // Partial matches get lower score
-          const partialRegex = new RegExp(keyword, 'g');
-          const partialMatches = text.match(partialRegex);
-          if (partialMatches) {
-            score += partialMatches.length * 2;
-          }
-        });
-        
-        // Bonus for title matches (if keyword appears in the file name)
-        if (doc.metadata && doc.metadata.filename) {
-          const filename = doc.metadata.filename.toLowerCase();
-          keywords.forEach(keyword => {
-            if (filename.includes(keyword)) {
-              score += 50;
-            }
-          });
-        }
-        
-        return { doc, score };
-      });
-
-      // Sort by score (descending) and return top k documents
-      const results = scoredDocs
-        .sort((a, b) => b.score - a.score)
-        .slice(0, k)
-        .filter(item => item.score > 0)
-        .map(item => item.doc);
+      // Rank extra candidates so near-duplicates can be dropped without coming up short;
+      // shallow copies so the relevance score travels with each chunk
+      const ranked = await this.rankDocuments(query, k * DUPLICATE_OVERFETCH, mode, filter);
+      const results = this.suppressNearDuplicates(ranked, k)
+        .map(item => ({ ...item.doc, score: item.score }));
       
       console.log(`Found ${results.length} relevant document chunks`);
       
       // If no results with score, return a few documents anyway
       if (results.length === 0) {
         console.log('No scored results, returning sample documents');
-        return this.documents.slice(0, Math.min(3, this.documents.length));
+        return this.getFirstDocuments(3, filter);
       }
       
       return results;
     } catch (error) {
       console.error('Error searching documents:', error);
-      return this.documents.slice(0, Math.min(2, this.documents.length));
+      return this.getFirstDocuments(2, filter);
     }
   }
   
+  // Rank chunks the same way searchSimilarDocuments does, but without its fallbacks,
+  // for browsing results a page at a time; returns { results: [{ doc, score }], total, mode }
+  async searchDocuments(query, { mode, filter, where, offset = 0, limit = 10 } = {}) {
+    const searchMode = mode || process.env.SEARCH_MODE || 'hybrid';
+    
+    if (tokenize(query).length === 0) {
+      return { results: [], total: 0, mode: searchMode };
+    }
+    
+    const ranked = await this.rankDocuments(
+      query,
+      MAX_SEARCH_RESULTS * DUPLICATE_OVERFETCH,
+      searchMode,
+      withFilterExpression(filter || null, where) || null
+    );
+    const matches = this.suppressNearDuplicates(ranked, MAX_SEARCH_RESULTS);
+    
+    return {
+      results: matches.slice(offset, offset + limit),
+      total: matches.length,
+      mode: searchMode
+    };
+  }
+  
+  // Keep the best-scoring of any chunks whose word shingles overlap by at least
+  // duplicateThreshold (Jaccard), e.g. the same passage from two copies of a file
+  suppressNearDuplicates(ranked, k) {
+    const kept = [];
+    
+    for (const item of ranked) {
+      if (kept.length >= k) {
+        break;
+      }
+      const shingles = toShingles(item.doc.pageContent);
+      const isDuplicate = kept.some(other => jaccard(shingles, other.shingles) >= this.duplicateThreshold);
+      if (isDuplicate) {
+        console.log(`Dropping near-duplicate chunk from ${item.doc.metadata?.filename}`);
+        continue;
+      }
+      kept.push({ ...item, shingles });
+    }
+    
+    return kept.map(({ doc, score }) => ({ doc, score }));
+  }
+  
   // Clear all documents
   clearDocuments() {
     this.documents = [];
+    this.searchIndex.clear();
+    this.vectorIndex.clear();
+    this.tables.clear();
     console.log('All documents cleared from memory');
   }
   
-  // Remove documents by file ID
-  removeDocumentsByFileId(fileId) {
+  // Copy manual edits and exclusions from a file's current chunks onto freshly
+  // built ones. Chunks are matched on their extracted text, so an edit survives
+  // as long as re-chunking produces the same passage; the rest are dropped with
+  // a warning. Resolves to the number of edits dropped.
+  async carryOverChunkEdits(oldFileId, documents) {
+    const edits = new Map();
+    this.documents
+      .filter(doc => doc.metadata?.fileId === oldFileId && (doc.originalContent !== undefined || doc.excluded))
+      .forEach(doc => edits.set(doc.originalContent ?? doc.pageContent, doc));
+    if (edits.size === 0) {
+      return 0;
+    }
+    
+    const edited = [];
+    documents.forEach(doc => {
+      const edit = edits.get(doc.pageContent);
+      if (!edit) {
+        return;
+      }
+      edits.delete(doc.pageContent);
+      if (edit.originalContent !== undefined) {
+        doc.originalContent = doc.pageContent;
+        doc.pageContent = edit.pageContent;
+        edited.push(doc);
+      }
+      if (edit.excluded) {
+        doc.excluded = true;
+      }
+    });
+    await this.embedDocuments(edited);
+    
+    if (edits.size > 0) {
+      console.warn(`Dropped ${edits.size} chunk edits of ${oldFileId} whose text is no longer a chunk`);
+    }
+    return edits.size;
+  }
+  
+  // Swap one file's chunks for a new set, keeping the old chunks' edits and
+  // exclusions where they still apply. Both stores are updated before the
+  // in-memory index, which then changes in one step, so a search sees either
+  // the old chunks or the new ones and never a mix. The old chunks are removed
+  // by id, as a re-indexed file keeps its fileId.
+  async replaceDocuments(oldFileId, documents) {
+    const oldChunkIds = new Set(this.documents
+      .filter(doc => doc.metadata && doc.metadata.fileId === oldFileId)
+      .map(doc => doc.chunkId));
+    
+    await this.carryOverChunkEdits(oldFileId, documents);
+    await chunkRepository.addChunks(documents);
+    await chunkRepository.removeChunksByIds([...oldChunkIds]);
+    
+    this.documents = this.documents.filter(doc => {
+      if (oldChunkIds.has(doc.chunkId)) {
+        this.unindexDocument(doc);
+        return false;
+      }
+      return true;
+    });
+    this.tables.delete(oldFileId);
+    documents.forEach(doc => {
+      this.documents.push(doc);
+      this.indexDocument(doc);
+    });
+    
+    console.log(`Replaced chunks of ${oldFileId} with ${documents.length} new chunks`);
+    return documents;
+  }
+  
+  async removeDocumentsByFileId(fileId) {
+    await chunkRepository.removeChunksByFileId(fileId);
+    
     const countBefore = this.documents.length;
-    this.documents = this.documents.filter(doc => 
-      !doc.metadata || doc.metadata.fileId !== fileId
-    );
+    this.documents = this.documents.filter(doc => {
+      if (doc.metadata && doc.metadata.fileId === fileId) {
+        this.unindexDocument(doc);
+        return false;
+      }
+      return true;
+    });
+    this.tables.delete(fileId);
     const removed = countBefore - this.documents.length;
     console.log(`Removed ${removed} chunks with fileId: ${fileId}`);
     return removed;
   }
   
+  // Chunks available for retrieval, optionally narrowed by a filter(doc) predicate;
+  // excluded chunks never are
+  getDocuments(filter = null) {
+    return this.documents.filter(doc => !doc.excluded && (!filter || filter(doc)));
+  }
+  
+  // The first `count` chunks getDocuments(filter) would return, for when a query can't be
+  // ranked; stops looking as soon as it has them
+  getFirstDocuments(count, filter = null) {
+    const found = [];
+    for (const doc of this.documents) {
+      if (found.length >= count) {
+        break;
+      }
+      if (!doc.excluded && (!filter || filter(doc))) {
+        found.push(doc);
+      }
+    }
+    return found;
+  }
+  
+  // Set document-level fields (e.g. tags) on every chunk of a file, in the store and in memory
+  async updateFileMetadata(fileId, fields) {
+    await chunkRepository.updateFileMetadata(fileId, fields);
+    this.documents
+      .filter(doc => doc.metadata?.fileId === fileId)
+      .forEach(doc => Object.assign(doc.metadata, fields));
+  }
+  
+  // Every chunk of one file in reading order, excluded ones included
+  getFileDocuments(fileId) {
+    return this.documents
+      .filter(doc => doc.metadata?.fileId === fileId)
+      .sort((a, b) => (a.metadata.chunk || 0) - (b.metadata.chunk || 0));
+  }
+  
+  // Edit a chunk's text (re-embedding it), exclude it from retrieval or revert
+  // it to the extracted text; updates are { pageContent?, excluded?, revert? }
+  async updateDocumentChunk(chunkId, updates) {
+    const doc = this.documents.find(entry => entry.chunkId === chunkId);
+    if (!doc) {
+      return null;
+    }
+    
+    const updated = { ...doc };
+    if (updates.revert && doc.originalContent !== undefined) {
+      updated.pageContent = doc.originalContent;
+      delete updated.originalContent;
+    } else if (typeof updates.pageContent === 'string' && updates.pageContent !== doc.pageContent) {
+      updated.originalContent = doc.originalContent ?? doc.pageContent;
+      updated.pageContent = updates.pageContent;
+    }
+    if (typeof updates.excluded === 'boolean') {
+      updated.excluded = updates.excluded;
+    }
+    
+    // Embed before touching the index so the chunk is never missing from search
+    if (updated.pageContent !== doc.pageContent) {
+      await this.embedDocuments([updated]);
+    }
+    await chunkRepository.updateChunk(updated);
+    
+    // Look the chunk up again, since the list may have changed while embedding
+    const index = this.documents.findIndex(entry => entry.chunkId === chunkId);
+    if (index === -1) {
+      return null;
+    }
+    this.unindexDocument(doc);
+    this.documents[index] = updated;
+    this.indexDocument(updated);
+    
+    console.log(`Updated chunk ${chunkId}${updated.excluded ? ' (excluded)' : ''}`);
+    return updated;
+  }
+  
   // Get document count
   getDocumentCount() {
     return this.documents.length;
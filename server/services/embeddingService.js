@@ -0,0 +1,129 @@
+import OpenAI from 'openai';
+import crypto from 'crypto';
+import { tokenize } from './searchIndex.js';
+
+// Number of texts sent per /embeddings request
+const BATCH_SIZE = 64;
+
+// Scale a vector to unit length so a dot product equals cosine similarity
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+};
+
+// Calls any OpenAI-compatible /embeddings endpoint
+class OpenAIEmbeddingProvider {
+  constructor({ endpoint, apiKey, model }) {
+    this.model = model;
+    this.id = `openai:${model}`;
+    this.client = new OpenAI({ baseURL: endpoint, apiKey });
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: texts.slice(i, i + BATCH_SIZE)
+      });
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(normalize(item.embedding)));
+    }
+
+    return vectors;
+  }
+}
+
+// Deterministic offline stand-in: hashes stemmed terms and character trigrams
+// into a fixed number of buckets, so related wordings still land close together
+class LocalEmbeddingProvider {
+  constructor({ dimensions = 384 } = {}) {
+    this.dimensions = dimensions;
+    this.id = `local:hash-${dimensions}`;
+  }
+
+  hashFeature(feature) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    return {
+      bucket: digest.readUInt32LE(0) % this.dimensions,
+      sign: digest[4] & 1 ? 1 : -1
+    };
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    tokenize(text).forEach(term => {
+      const features = [term];
+      const padded = `#${term}#`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        features.push(`3:${padded.slice(i, i + 3)}`);
+      }
+
+      features.forEach((feature, i) => {
+        const { bucket, sign } = this.hashFeature(feature);
+        // Whole terms weigh more than their trigrams
+        vector[bucket] += sign * (i === 0 ? 1 : 0.5);
+      });
+    });
+
+    return normalize(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+class EmbeddingService {
+  constructor() {
+    this.provider = null;
+  }
+
+  // Pick the provider from EMBEDDING_PROVIDER ("local" or "openai")
+  initialize(config = {}) {
+    const providerName = config.provider || process.env.EMBEDDING_PROVIDER || 'local';
+
+    if (providerName === 'openai') {
+      this.provider = new OpenAIEmbeddingProvider({
+        endpoint: config.endpoint || process.env.EMBEDDING_ENDPOINT || 'https://models.github.ai/inference',
+        apiKey: config.apiKey || process.env.EMBEDDING_API_KEY || process.env.GITHUB_TOKEN,
+        model: config.model || process.env.EMBEDDING_MODEL || 'openai/text-embedding-3-small'
+      });
+    } else if (providerName === 'local') {
+      this.provider = new LocalEmbeddingProvider({ dimensions: config.dimensions });
+    } else {
+      throw new Error(`Unknown embedding provider: ${providerName}`);
+    }
+
+    console.log(`Embedding provider: ${this.provider.id}`);
+    return this.provider;
+  }
+
+  // Identifies the vector space, so chunks embedded by another provider can be redone
+  getProviderId() {
+    if (!this.provider) {
+      this.initialize();
+    }
+    return this.provider.id;
+  }
+
+  async embedTexts(texts) {
+    if (!this.provider) {
+      this.initialize();
+    }
+    if (texts.length === 0) {
+      return [];
+    }
+    return this.provider.embed(texts);
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedTexts([text]);
+    return vector;
+  }
+}
+
+export default new EmbeddingService();
@@ -0,0 +1,208 @@
+// Filter expressions restrict retrieval by document fields, e.g.
+//   product=alpha AND date>=2025
+//   (tag=hr OR tag="people ops") AND NOT type=csv
+// Fields are a document's metadata keys plus the built-in fields below; `tag`
+// matches any of the document's tags. Operators: = != > >= < <= and ~ (contains).
+// Comparisons ignore case; numbers compare numerically, and dates compare at the
+// precision written, so date>=2025 includes 2025-03-01 but date>2025 does not.
+
+// Chunk metadata exposed under fixed names; document metadata keys can't reuse them
+export const BUILT_IN_FIELDS = {
+  filename: 'filename',
+  type: 'fileType',
+  version: 'version',
+  page: 'page',
+  sheet: 'sheet',
+  heading: 'headingPath',
+  url: 'sourceUrl'
+};
+
+export const RESERVED_FIELDS = [...Object.keys(BUILT_IN_FIELDS), 'tag', 'tags'];
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+
+// Raised for an expression that can't be parsed; the message points at the problem
+export class FilterExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterExpressionError';
+  }
+}
+
+// Split an expression into words, operators, parentheses and quoted strings
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new FilterExpressionError(`Unclosed quote at position ${i + 1}`);
+      }
+      tokens.push({ type: 'value', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else {
+      const operator = OPERATORS.find(op => expression.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position: i });
+        i += operator.length;
+      } else {
+        const word = expression.slice(i).match(/^[^\s()"'=!<>~]+/)[0];
+        tokens.push({ type: 'word', value: word, position: i });
+        i += word.length;
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Parse an expression into a tree of { and }, { or }, { not } and
+// { field, operator, value } nodes. Throws FilterExpressionError.
+export function parseFilterExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new FilterExpressionError('Filter expression is empty');
+  }
+
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toUpperCase() === keyword;
+  const describe = (token) => (token ? `"${token.value || token.type}" at position ${token.position + 1}` : 'end of expression');
+
+  const parseComparison = () => {
+    const field = tokens[pos++];
+    if (!field || field.type !== 'word' || !/^[A-Za-z_][\w.-]*$/.test(field.value)) {
+      throw new FilterExpressionError(`Expected a field name but found ${describe(field)}`);
+    }
+    const operator = tokens[pos++];
+    if (!operator || operator.type !== 'operator') {
+      throw new FilterExpressionError(`Expected an operator after "${field.value}" but found ${describe(operator)}`);
+    }
+    const value = tokens[pos++];
+    if (!value || (value.type !== 'word' && value.type !== 'value')) {
+      throw new FilterExpressionError(`Expected a value after "${field.value}${operator.value}" but found ${describe(value)}`);
+    }
+    return { field: field.value.toLowerCase(), operator: operator.value, value: value.value };
+  };
+
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'NOT')) {
+      pos++;
+      return { not: parseUnary() };
+    }
+    if (peek() && peek().type === '(') {
+      pos++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new FilterExpressionError(`Expected ")" but found ${describe(peek())}`);
+      }
+      pos++;
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const nodes = [parseUnary()];
+    while (isKeyword(peek(), 'AND')) {
+      pos++;
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  };
+
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      pos++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new FilterExpressionError(`Unexpected ${describe(peek())}`);
+  }
+  return tree;
+}
+
+const isNumber = (value) => /^-?\d+(\.\d+)?$/.test(value);
+const isDate = (value) => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value);
+
+// -1, 0 or 1 comparing a field value with a literal
+function compareValues(actual, expected) {
+  if (isDate(actual) && isDate(expected)) {
+    const truncated = actual.substring(0, expected.length);
+    return truncated === expected ? 0 : (truncated < expected ? -1 : 1);
+  }
+  if (isNumber(actual) && isNumber(expected)) {
+    return Math.sign(Number(actual) - Number(expected));
+  }
+  return actual.localeCompare(expected, undefined, { sensitivity: 'base' });
+}
+
+function compare(actual, operator, expected) {
+  const value = String(actual).trim();
+  if (operator === '~') {
+    return value.toLowerCase().includes(expected.toLowerCase());
+  }
+
+  const order = compareValues(value, expected);
+  switch (operator) {
+    case '=': return order === 0;
+    case '!=': return order !== 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '<': return order < 0;
+    default: return order <= 0;
+  }
+}
+
+// The values a chunk has for a field (several for tags; none when it is missing)
+function fieldValues(chunk, field) {
+  const metadata = chunk.metadata || {};
+  if (field === 'tag' || field === 'tags') {
+    return metadata.tags || [];
+  }
+  if (BUILT_IN_FIELDS[field]) {
+    const value = metadata[BUILT_IN_FIELDS[field]];
+    return value === undefined || value === null ? [] : [value];
+  }
+  const key = Object.keys(metadata.attributes || {}).find(name => name.toLowerCase() === field);
+  return key ? [metadata.attributes[key]] : [];
+}
+
+function evaluate(node, chunk) {
+  if (node.and) return node.and.every(child => evaluate(child, chunk));
+  if (node.or) return node.or.some(child => evaluate(child, chunk));
+  if (node.not) return !evaluate(node.not, chunk);
+
+  const values = fieldValues(chunk, node.field);
+  // A field the document doesn't have only satisfies "not equal"
+  if (node.operator === '!=') {
+    return values.every(value => compare(value, '!=', node.value));
+  }
+  return values.some(value => compare(value, node.operator, node.value));
+}
+
+// Combine an optional filter(chunk) predicate with an optional expression
+// (a string or a parsed tree); returns the filter unchanged when there is no expression
+export function withFilterExpression(filter, expression) {
+  if (!expression) {
+    return filter;
+  }
+
+  const tree = typeof expression === 'string' ? parseFilterExpression(expression) : expression;
+  return (chunk) => (!filter || filter(chunk)) && evaluate(tree, chunk);
+}
@@ -0,0 +1,248 @@
+import * as cheerio from 'cheerio';
+import ExcelJS from 'exceljs';
+
+// Each extractor returns [{ text, metadata, chunked? }] sections for DocumentProcessor.
+// Sections carry the structure they came from (heading path, JSON path, sheet name)
+// so every chunk split from them keeps it in its metadata.
+
+// Join nested headings into a breadcrumb, e.g. "Setup > Install"
+const headingPath = (stack) => stack.filter(Boolean).join(' > ');
+
+// Markdown: one section per heading, with inline syntax removed but tables kept as rows
+export function extractMarkdownSections(text) {
+  const sections = [];
+  const stack = [];
+  let lines = [];
+  let inCodeBlock = false;
+
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) {
+      const path = headingPath(stack);
+      sections.push({
+        text: path ? `${path}\n\n${body}` : body,
+        metadata: path ? { heading: stack.filter(Boolean).slice(-1)[0], headingPath: path } : {}
+      });
+    }
+    lines = [];
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+
+    const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      stack.length = level - 1;
+      stack[level - 1] = heading[2];
+      return;
+    }
+
+    if (inCodeBlock) {
+      lines.push(line);
+      return;
+    }
+
+    // Table separator rows like |---|:---:| carry no content
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) {
+      return;
+    }
+
+    lines.push(line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__)(.*?)\1/g, '$2')
+      .replace(/(^|\W)(\*|_)(\S(?:.*?\S)?)\2(?=\W|$)/g, '$1$3')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^\s*\|(.*)\|\s*$/, (match, cells) => cells.split('|').map(cell => cell.trim()).join(' | ')));
+  });
+  flush();
+
+  return sections;
+}
+
+// Elements that never hold document content
+const HTML_BOILERPLATE = 'script, style, noscript, template, svg, iframe, nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+
+// HTML: strip navigation and boilerplate, then one section per heading with tables as rows
+export function extractHtmlSections(html) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim();
+
+  $(HTML_BOILERPLATE).remove();
+
+  // Prefer the main content region when the page marks one
+  const root = $('main, article, [role="main"]').first();
+  const container = root.length > 0 ? root : $('body');
+
+  const sections = [];
+  const stack = [];
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) {
+      const path = headingPath(stack);
+      const metadata = {};
+      if (title) metadata.title = title;
+      if (path) {
+        metadata.heading = stack.filter(Boolean).slice(-1)[0];
+        metadata.headingPath = path;
+      }
+      sections.push({ text: path ? `${path}\n\n${body}` : body, metadata });
+    }
+    lines = [];
+  };
+
+  const walk = (element) => {
+    $(element).contents().each((i, node) => {
+      if (node.type === 'text') {
+        const text = $(node).text().replace(/\s+/g, ' ').trim();
+        if (text) lines.push(text);
+        return;
+      }
+      if (node.type !== 'tag') {
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const heading = tag.match(/^h([1-6])$/);
+
+      if (heading) {
+        flush();
+        const level = Number(heading[1]);
+        stack.length = level - 1;
+        stack[level - 1] = $(node).text().replace(/\s+/g, ' ').trim();
+      } else if (tag === 'table') {
+        $(node).find('tr').each((j, row) => {
+          const cells = $(row).find('th, td').map((k, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+          if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        });
+      } else if (tag === 'li') {
+        lines.push(`- ${$(node).text().replace(/\s+/g, ' ').trim()}`);
+      } else if (tag === 'br') {
+        lines.push('');
+      } else {
+        walk(node);
+        if (['p', 'div', 'section', 'pre', 'blockquote'].includes(tag)) {
+          lines.push('');
+        }
+      }
+    });
+  };
+
+  walk(container);
+  flush();
+
+  return sections;
+}
+
+// Describe a JSON value's location, e.g. paths["/users"].get.summary
+const jsonPath = (parent, key) => {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return parent ? `${parent}.${key}` : key;
+  return `${parent}[${JSON.stringify(key)}]`;
+};
+
+// JSON: flatten to "path: value" lines, grouped by their two outermost keys
+export function extractJsonSections(text, chunkSize) {
+  const data = JSON.parse(text);
+  const groups = new Map();
+
+  // Containers up to two levels deep start their own group; scalars join their parent's
+  const visit = (value, path, depth, group) => {
+    if (value !== null && typeof value === 'object') {
+      const currentGroup = depth <= 2 ? path : group;
+      const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+      if (entries.length === 0) {
+        addLine(currentGroup, path, Array.isArray(value) ? '[]' : '{}');
+      }
+      entries.forEach(([key, child]) => visit(child, jsonPath(path, key), depth + 1, currentGroup));
+      return;
+    }
+    addLine(group, path, JSON.stringify(value));
+  };
+
+  const addLine = (group, path, value) => {
+    const key = group || '$';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(`${path || '$'}: ${value}`);
+  };
+
+  visit(data, '', 0, '');
+
+  // Chunk each group by whole lines so no path/value pair is split
+  const sections = [];
+  groups.forEach((lines, group) => {
+    let current = [];
+    let length = 0;
+    const flush = () => {
+      if (current.length > 0) {
+        sections.push({ text: current.join('\n'), chunked: true, metadata: { jsonPath: group } });
+      }
+      current = [];
+      length = 0;
+    };
+    lines.forEach(line => {
+      if (length + line.length + 1 > chunkSize) flush();
+      current.push(line.length > chunkSize ? line.substring(0, chunkSize) : line);
+      length += line.length + 1;
+    });
+    flush();
+  });
+
+  return sections;
+}
+
+// The text a spreadsheet cell holds: formulas give their result, rich text and
+// links their text, and dates read as YYYY-MM-DD (plus the time when there is one)
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso.substring(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result);
+    if (value.richText) return value.richText.map(run => run.text).join('');
+    if ('text' in value) return cellText(value.text);
+    return value.error || '';
+  }
+  return String(value);
+};
+
+// XLSX: one table per sheet as { sheet, headers, rows } using the first non-empty row as headers
+export async function readWorkbookSheets(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  return workbook.worksheets.map(worksheet => {
+    const sheet = worksheet.name;
+    const records = [];
+    worksheet.eachRow(row => {
+      // Row values start at index 1, with holes for empty cells
+      const values = Array.from(row.values.slice(1), value => cellText(value).trim());
+      if (values.some(value => value.length > 0)) {
+        records.push(values);
+      }
+    });
+
+    if (records.length === 0) {
+      return { sheet, headers: [], rows: [] };
+    }
+
+    const width = records.reduce((widest, values) => Math.max(widest, values.length), 0);
+    const headers = Array.from({ length: width }, (_, i) => records[0][i] || `Column ${i + 1}`);
+    const rows = records.slice(1).map(values =>
+      Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']))
+    );
+    return { sheet, headers, rows };
+  });
+}
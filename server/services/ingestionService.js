@@ -0,0 +1,605 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import documentProcessor from './documentProcessor.js';
+import knowledgeBaseRepository from '../repositories/knowledgeBaseRepository.js';
+import { crawl } from './webCrawler.js';
+import { extractArchive } from './archiveExtractor.js';
+import { resolveChunkingOptions } from './chunkingStrategies.js';
+
+// Overall progress (percent) at which each job state starts; a stage reports
+// its own fraction, which fills the range up to the next stage
+const STAGE_PROGRESS = {
+  queued: 0,
+  parsing: 5,
+  chunking: 40,
+  indexing: 50,
+  done: 100,
+  failed: 100
+};
+
+export const JOB_STATES = Object.keys(STAGE_PROGRESS);
+
+const STAGE_ORDER = ['queued', 'parsing', 'chunking', 'indexing', 'done'];
+
+// Finished jobs stay queryable this long before they are forgotten
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Raised when a user uploads content they already have in the knowledge base
+export class DuplicateDocumentError extends Error {
+  constructor(document) {
+    super(`Already in the knowledge base as "${document.title}"`);
+    this.name = 'DuplicateDocumentError';
+    this.document = document;
+  }
+}
+
+// Chunks are keyed by the stored file name; older records only have the path
+const getFileId = (document) => document.fileId || path.basename(document.filePath);
+
+const getOwnedDocument = async (documentId, userId) => {
+  const document = await knowledgeBaseRepository.getDocumentById(documentId);
+  if (!document || document.userId !== userId) {
+    throw new Error('Document not found or unauthorized');
+  }
+  return document;
+};
+
+// A document's tags and key/value metadata as copied onto each of its chunks,
+// so retrieval can filter on them
+export const documentLabels = (document) => ({
+  tags: [...(document.tags || [])],
+  attributes: { ...(document.metadata || {}) }
+});
+
+// Chunking settings a document was indexed with; older records get the defaults
+const getChunking = (document) => resolveChunkingOptions(document.chunking || {});
+
+// Plain copies of a document's earlier versions (Mongo returns subdocuments)
+const getVersionHistory = (document) =>
+  (document.versions || []).map(entry => (entry.toObject ? entry.toObject() : { ...entry }));
+
+// The current version's file details, as kept in the history once it is superseded
+const versionSnapshot = (document) => ({
+  version: document.version || 1,
+  filePath: document.filePath,
+  fileId: getFileId(document),
+  originalName: document.originalName,
+  fileType: document.fileType,
+  fileSize: document.fileSize,
+  contentHash: document.contentHash,
+  sourceUrl: document.sourceUrl,
+  uploadDate: document.versionDate || document.uploadDate,
+  note: document.versionNote || ''
+});
+
+// The fields clients need to point a user at an existing document
+export const describeDocument = (document) => ({
+  id: String(document._id),
+  title: document.title,
+  uploadDate: document.uploadDate
+});
+
+// SHA-256 of a file's bytes
+export const hashFile = async (filePath) =>
+  crypto.createHash('sha256').update(await fs.promises.readFile(filePath)).digest('hex');
+
+// Store a fetched page as an .html file so it can be re-indexed like an upload
+const savePage = (page, destDir) => {
+  const name = (page.title || `${new URL(page.url).hostname}${new URL(page.url).pathname}`)
+    .replace(/[\\/:*?"<>|\s]+/g, ' ')
+    .trim()
+    .substring(0, 100) || 'page';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filePath = path.join(destDir, `webpage-${uniqueSuffix}.html`);
+  fs.writeFileSync(filePath, page.html);
+
+  return {
+    originalname: `${name}.html`,
+    path: filePath,
+    size: Buffer.byteLength(page.html),
+    mimetype: 'text/html'
+  };
+};
+
+// Runs document ingestion (parse, chunk, embed, index) as background jobs so
+// uploads return immediately and clients follow progress by job id
+class IngestionService {
+  constructor() {
+    // jobId -> job
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    // Jobs run one at a time so large files don't compete for CPU and the embedding API
+    this.queue = Promise.resolve();
+  }
+
+  createJob(fields) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting to start',
+      error: null,
+      batchId: null,
+      documentId: null,
+      documentIds: [],
+      chunkCount: 0,
+      skipped: [],
+      duplicateOf: null,
+      ...fields,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  // Queue an uploaded file; details are { title, description, userId, chunking?, collectionIds?,
+  // tags?, metadata?, onDuplicate?, batchId? }
+  enqueueFile(file, details) {
+    const job = this.createJob({
+      filename: file.originalname,
+      fileSize: file.size,
+      userId: details.userId,
+      batchId: details.batchId || null
+    });
+    console.log(`Queued ingestion job ${job.id} for ${file.originalname}`);
+
+    this.queue = this.queue.then(() => this.runJob(job, async (onProgress) => {
+      try {
+        const savedDocument = await this.ingestFile(file, details, onProgress);
+        return { documents: [savedDocument], chunkCount: savedDocument.vectorIds.length };
+      } catch (error) {
+        // Don't keep files we could not ingest
+        fs.unlink(file.path, () => {});
+        throw error;
+      }
+    }));
+    return { ...job };
+  }
+
+  // Queue a web page (and same-site pages up to `depth` links away) for ingestion;
+  // details are { depth, maxPages, title, description, userId, chunking?, collectionIds?, tags?,
+  // metadata?, onDuplicate?, destDir }
+  enqueueUrl(url, details) {
+    const job = this.createJob({
+      filename: url,
+      sourceUrl: url,
+      userId: details.userId
+    });
+    console.log(`Queued ingestion job ${job.id} for ${url}`);
+
+    this.queue = this.queue.then(() => this.runJob(job, (onProgress) => this.ingestUrl(url, details, onProgress)));
+    return { ...job };
+  }
+
+  // Queue a ZIP archive: it is unpacked in the job and each file inside ingested as its
+  // own document; details are those of enqueueFile plus { allowed, maxFileSize, destDir }
+  enqueueArchive(file, details) {
+    const job = this.createJob({
+      filename: file.originalname,
+      fileSize: file.size,
+      userId: details.userId,
+      batchId: details.batchId || null
+    });
+    console.log(`Queued archive job ${job.id} for ${file.originalname}`);
+
+    this.queue = this.queue.then(() => this.runJob(job, (onProgress) => this.ingestArchive(file, details, onProgress)));
+    return { ...job };
+  }
+
+  // Queue a new version of an existing document; details are { userId, note? }
+  enqueueVersion(documentId, file, details) {
+    const job = this.createJob({
+      filename: file.originalname,
+      fileSize: file.size,
+      userId: details.userId
+    });
+    console.log(`Queued version job ${job.id} for document ${documentId}`);
+
+    this.queue = this.queue.then(() => this.runJob(job, async (onProgress) => {
+      try {
+        return await this.ingestVersion(documentId, file, details, onProgress);
+      } catch (error) {
+        // Don't keep files we could not ingest
+        fs.unlink(file.path, () => {});
+        throw error;
+      }
+    }));
+    return { ...job };
+  }
+
+  // Queue making an earlier version of a document current again
+  enqueueRestore(documentId, version, userId) {
+    const job = this.createJob({
+      filename: `Version ${version}`,
+      userId
+    });
+    console.log(`Queued restore job ${job.id} for document ${documentId} version ${version}`);
+
+    this.queue = this.queue.then(() => this.runJob(job, (onProgress) => this.restoreVersion(documentId, version, userId, onProgress)));
+    return { ...job };
+  }
+
+  // Run a job's task(onProgress), which resolves to { documents, chunkCount, skipped? }
+  async runJob(job, task) {
+    const onProgress = (stage, fraction = 0, message = '') => {
+      const start = STAGE_PROGRESS[stage];
+      const end = STAGE_PROGRESS[STAGE_ORDER[STAGE_ORDER.indexOf(stage) + 1]];
+      this.updateJob(job, {
+        status: stage,
+        progress: Math.round(start + (end - start) * Math.min(Math.max(fraction, 0), 1)),
+        message
+      });
+    };
+
+    try {
+      const { documents, chunkCount, skipped = [] } = await task(onProgress);
+      const documentIds = documents.map(doc => String(doc._id));
+      this.updateJob(job, {
+        status: 'done',
+        progress: 100,
+        message: documents.length > 1 ? `${documents.length} documents processed successfully` : 'Document processed successfully',
+        documentId: documentIds[0],
+        documentIds,
+        chunkCount,
+        skipped
+      });
+    } catch (error) {
+      console.error(`Ingestion job ${job.id} failed:`, error);
+
+      this.updateJob(job, {
+        status: 'failed',
+        progress: 100,
+        message: 'Processing failed',
+        error: error.message || 'Failed to process document',
+        duplicateOf: error instanceof DuplicateDocumentError ? describeDocument(error.document) : null
+      });
+    }
+
+    setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  }
+
+  // Find the user's document with the same content. Records saved before hashes
+  // were kept get theirs computed here, once.
+  async findDuplicate(contentHash, userId) {
+    const existing = await knowledgeBaseRepository.findDocumentByHash(userId, contentHash);
+    if (existing) {
+      return existing;
+    }
+
+    const unhashed = (await knowledgeBaseRepository.getAllDocuments(userId))
+      .filter(doc => !doc.contentHash && doc.filePath && fs.existsSync(doc.filePath));
+    for (const doc of unhashed) {
+      const hash = await hashFile(doc.filePath);
+      await knowledgeBaseRepository.updateDocument(String(doc._id), { contentHash: hash });
+      if (hash === contentHash) {
+        return doc;
+      }
+    }
+    return null;
+  }
+
+  // Extract and chunk first, so unreadable files never get a repository record.
+  // A repeat of an existing document fails unless onDuplicate is 'replace',
+  // in which case the old copy is removed once the new one is indexed.
+  // The chunking settings are kept on the record so re-indexing can reuse them.
+  async ingestFile(file, { title, description, userId, sourceUrl, chunking, collectionIds, tags = [], metadata = {}, onDuplicate }, onProgress) {
+    // Checked again here since an identical file may have been queued in the meantime
+    const contentHash = await hashFile(file.path);
+    const duplicate = await this.findDuplicate(contentHash, userId);
+    if (duplicate && onDuplicate !== 'replace') {
+      throw new DuplicateDocumentError(duplicate);
+    }
+
+    const chunkingOptions = resolveChunkingOptions(chunking);
+    const extraMetadata = {
+      userId,
+      version: 1,
+      ...(sourceUrl ? { sourceUrl } : {}),
+      ...documentLabels({ tags, metadata })
+    };
+    const processedChunks = await documentProcessor.buildDocuments(file, extraMetadata, onProgress, chunkingOptions);
+
+    console.log(`Processed ${processedChunks.length} chunks from document`);
+
+    // Save document metadata to database
+    const savedDocument = await knowledgeBaseRepository.addDocument({
+      title: title || file.originalname,
+      description: description || '',
+      filePath: file.path,
+      fileId: processedChunks[0].metadata.fileId,
+      originalName: file.originalname,
+      fileType: path.extname(file.originalname).toLowerCase().substring(1),
+      fileSize: file.size,
+      sourceUrl,
+      contentHash,
+      chunking: chunkingOptions,
+      version: 1,
+      versionDate: new Date(),
+      userId,
+      vectorIds: processedChunks.map(chunk => chunk.chunkId),
+      sharedWith: [],
+      collections: collectionIds || [],
+      tags,
+      metadata
+    });
+
+    // Link every chunk back to its record so answers can cite it
+    processedChunks.forEach(chunk => {
+      chunk.metadata.documentId = String(savedDocument._id);
+    });
+    onProgress('indexing', 1, `Indexing ${processedChunks.length} chunks`);
+    await documentProcessor.addDocuments(processedChunks);
+
+    if (duplicate) {
+      console.log(`Replacing duplicate document ${duplicate._id}`);
+      const { document } = await knowledgeBaseRepository.removeDocument(String(duplicate._id), userId);
+      await documentProcessor.removeDocumentsByFileId(getFileId(document));
+    }
+
+    return savedDocument;
+  }
+
+  // Index a new file as the document's next version, keeping the old version in its history
+  async ingestVersion(documentId, file, { userId, note }, onProgress) {
+    const document = await getOwnedDocument(documentId, userId);
+
+    const contentHash = await hashFile(file.path);
+    if (contentHash === document.contentHash) {
+      throw new Error('This file is identical to the current version');
+    }
+
+    const version = Math.max(document.version || 1, ...(document.versions || []).map(entry => entry.version)) + 1;
+    const processedChunks = await documentProcessor.buildDocuments(file, {
+      documentId,
+      userId,
+      version,
+      ...(document.sourceUrl ? { sourceUrl: document.sourceUrl } : {}),
+      ...documentLabels(document)
+    }, onProgress, getChunking(document));
+
+    onProgress('indexing', 1, `Swapping in version ${version}`);
+    const updatedDocument = await this.switchVersion(document, processedChunks, {
+      filePath: file.path,
+      fileId: processedChunks[0].metadata.fileId,
+      originalName: file.originalname,
+      fileType: path.extname(file.originalname).toLowerCase().substring(1),
+      fileSize: file.size,
+      contentHash,
+      version,
+      versionDate: new Date(),
+      versionNote: note || '',
+      vectorIds: processedChunks.map(chunk => chunk.chunkId),
+      versions: [...getVersionHistory(document), versionSnapshot(document)]
+    });
+    console.log(`Document ${documentId} is now at version ${version}`);
+
+    return { documents: [updatedDocument], chunkCount: processedChunks.length };
+  }
+
+  // Re-index an earlier version's stored file and make it current; the version
+  // it replaces moves into the history so the rollback can itself be undone
+  async restoreVersion(documentId, version, userId, onProgress) {
+    const document = await getOwnedDocument(documentId, userId);
+    const history = getVersionHistory(document);
+    const target = history.find(entry => entry.version === version);
+
+    if (!target) {
+      throw new Error(`Version ${version} not found`);
+    }
+    if (!fs.existsSync(target.filePath)) {
+      throw new Error(`The file for version ${version} is missing from the server`);
+    }
+
+    const processedChunks = await documentProcessor.buildDocuments({
+      originalname: target.originalName,
+      path: target.filePath,
+      size: target.fileSize
+    }, {
+      documentId,
+      userId,
+      version,
+      ...(target.sourceUrl ? { sourceUrl: target.sourceUrl } : {}),
+      ...documentLabels(document)
+    }, onProgress, getChunking(document));
+
+    onProgress('indexing', 1, `Swapping in version ${version}`);
+    const updatedDocument = await this.switchVersion(document, processedChunks, {
+      filePath: target.filePath,
+      fileId: processedChunks[0].metadata.fileId,
+      originalName: target.originalName,
+      fileType: target.fileType,
+      fileSize: target.fileSize,
+      contentHash: target.contentHash,
+      version,
+      versionDate: target.uploadDate,
+      versionNote: target.note || '',
+      vectorIds: processedChunks.map(chunk => chunk.chunkId),
+      versions: [...history.filter(entry => entry.version !== version), versionSnapshot(document)]
+    });
+    console.log(`Document ${documentId} rolled back to version ${version}`);
+
+    return { documents: [updatedDocument], chunkCount: processedChunks.length };
+  }
+
+  // Point the document's record at a new version, then swap its chunks in. The
+  // record goes first so a failed update leaves the old chunks serving answers;
+  // if the swap fails instead, the record is put back.
+  async switchVersion(document, processedChunks, updates) {
+    const documentId = String(document._id);
+    const oldFileId = getFileId(document);
+    // Copied before updating, since the fallback store updates this same object
+    const previous = Object.fromEntries(Object.keys(updates).map(key => [key, document[key]]));
+    previous.versions = getVersionHistory(document);
+
+    const updatedDocument = await knowledgeBaseRepository.updateDocument(documentId, updates);
+    if (!updatedDocument) {
+      throw new Error('Document not found or unauthorized');
+    }
+
+    try {
+      await documentProcessor.replaceDocuments(oldFileId, processedChunks);
+    } catch (error) {
+      console.error(`Could not swap in version ${updates.version} of ${documentId}, restoring the record:`, error);
+      await knowledgeBaseRepository.updateDocument(documentId, previous);
+      // Drop any new chunks that were stored before the swap failed
+      if (updates.fileId !== oldFileId) {
+        await documentProcessor.removeDocumentsByFileId(updates.fileId);
+      }
+      throw error;
+    }
+    return updatedDocument;
+  }
+
+  // Crawl a URL and ingest every fetched page as its own HTML document
+  async ingestUrl(url, { depth, maxPages, title, description, userId, chunking, collectionIds, tags, metadata, onDuplicate, destDir }, onProgress) {
+    onProgress('parsing', 0, `Fetching ${url}`);
+    const { pages, failed } = await crawl(url, {
+      depth,
+      maxPages,
+      onPage: (count, pageUrl) => onProgress('parsing', count / maxPages, `Fetched ${count} pages, latest ${pageUrl}`)
+    });
+
+    const documents = [];
+    let chunkCount = 0;
+    const skipped = [...failed];
+
+    for (const [i, page] of pages.entries()) {
+      const file = savePage(page, destDir);
+      const onPageProgress = (stage, fraction, message) => {
+        const done = i + (stage === 'indexing' ? fraction : 0);
+        onProgress('indexing', done / pages.length, `Page ${i + 1} of ${pages.length}: ${message}`);
+      };
+
+      try {
+        const savedDocument = await this.ingestFile(file, {
+          title: (pages.length === 1 && title) || page.title || page.url,
+          description,
+          userId,
+          sourceUrl: page.url,
+          chunking,
+          collectionIds,
+          tags,
+          metadata,
+          onDuplicate
+        }, onPageProgress);
+        documents.push(savedDocument);
+        chunkCount += savedDocument.vectorIds.length;
+      } catch (error) {
+        console.error(`Error ingesting ${page.url}:`, error);
+        fs.unlink(file.path, () => {});
+        skipped.push({
+          url: page.url,
+          reason: error.message,
+          duplicateOf: error instanceof DuplicateDocumentError ? describeDocument(error.document) : null
+        });
+      }
+    }
+
+    if (documents.length === 0) {
+      throw new Error(skipped.map(entry => entry.reason).join('; ') || `No pages could be fetched from ${url}`);
+    }
+
+    return { documents, chunkCount, skipped };
+  }
+
+  // Unpack an archive and ingest every file in it; files repeated within the archive
+  // and ones that fail are reported as skipped
+  async ingestArchive(archive, { allowed, maxFileSize, destDir, ...details }, onProgress) {
+    onProgress('parsing', 0, `Unpacking ${archive.originalname}`);
+    let extracted;
+    try {
+      extracted = await extractArchive(archive.path, destDir, { allowed, maxFileSize });
+    } finally {
+      fs.unlink(archive.path, () => {});
+    }
+    console.log(`Unpacked ${extracted.files.length} files from ${archive.originalname}`);
+
+    const documents = [];
+    let chunkCount = 0;
+    const skipped = extracted.skipped.map(entry => ({
+      filename: `${archive.originalname}/${entry.filename}`,
+      reason: entry.reason
+    }));
+    const archiveHashes = new Map();
+
+    for (const [i, file] of extracted.files.entries()) {
+      const filename = `${archive.originalname}/${file.originalname}`;
+      const onFileProgress = (stage, fraction, message) => {
+        const done = i + (stage === 'indexing' ? fraction : 0);
+        onProgress('indexing', done / extracted.files.length, `File ${i + 1} of ${extracted.files.length}: ${message}`);
+      };
+
+      try {
+        const contentHash = await hashFile(file.path);
+        if (archiveHashes.has(contentHash)) {
+          throw new Error(`Same content as ${archiveHashes.get(contentHash)} in this archive`);
+        }
+        archiveHashes.set(contentHash, file.originalname);
+
+        const savedDocument = await this.ingestFile(file, details, onFileProgress);
+        documents.push(savedDocument);
+        chunkCount += savedDocument.vectorIds.length;
+      } catch (error) {
+        console.error(`Error ingesting ${filename}:`, error);
+        fs.unlink(file.path, () => {});
+        skipped.push({
+          filename,
+          reason: error.message,
+          duplicateOf: error instanceof DuplicateDocumentError ? describeDocument(error.document) : null
+        });
+      }
+    }
+
+    if (documents.length === 0) {
+      throw new Error(skipped.map(entry => entry.reason).join('; ') || `${archive.originalname} has no files to add`);
+    }
+
+    return { documents, chunkCount, skipped };
+  }
+
+  updateJob(job, updates) {
+    Object.assign(job, updates, { updatedAt: new Date() });
+    this.events.emit(job.id, { ...job });
+    if (job.batchId) {
+      this.events.emit(`batch:${job.batchId}`, { ...job });
+    }
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  getJobs(userId) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.userId === userId)
+      .map(job => ({ ...job }));
+  }
+
+  getBatchJobs(batchId) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.batchId === batchId)
+      .map(job => ({ ...job }));
+  }
+
+  // Call listener(job) on every update of a job; returns an unsubscribe function
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  // Call listener(job) on every update of any job in a batch
+  subscribeBatch(batchId, listener) {
+    return this.subscribe(`batch:${batchId}`, listener);
+  }
+
+  isFinished(job) {
+    return job.status === 'done' || job.status === 'failed';
+  }
+}
+
+export default new IngestionService();
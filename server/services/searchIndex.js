@@ -0,0 +1,246 @@
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  'tell', 'please', 'know', 'document', 'documents', 'file'
+]);
+
+// Derivational and inflectional suffixes, longest first so "ization" wins over "ion"
+const SUFFIXES = [
+  'ational', 'fulness', 'iveness', 'ization', 'ation', 'ingly', 'ness', 'ment', 'able', 'ible', 'ally',
+  'ing', 'ion', 'ity', 'ive', 'est', 'ful', 'ous', 'ize', 'ise', 'ism', 'ist', 'ed', 'er'
+];
+
+const MIN_STEM_LENGTH = 3;
+
+// Light Porter-style stemmer so "policies", "policy" and "policy's" share a term
+export function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH) {
+    return word;
+  }
+
+  let result = word;
+
+  // Plurals
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies')) {
+    result = result.slice(0, -3) + 'y';
+  } else if (/(?:[sxz]|ch|sh)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(?:ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // At most one further suffix
+  for (const suffix of SUFFIXES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= MIN_STEM_LENGTH) {
+      result = result.slice(0, -suffix.length);
+
+      // "running" -> "run", but keep "called" -> "call"
+      const last = result[result.length - 1];
+      if (['ing', 'ed', 'er', 'est'].includes(suffix) && last === result[result.length - 2] && !/[aeiouls]/.test(last)) {
+        result = result.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  // "policy" and "policies" both end up as "polici"
+  if (result.length > MIN_STEM_LENGTH && result.endsWith('y')) {
+    result = result.slice(0, -1) + 'i';
+  }
+
+  return result;
+}
+
+// Split text into normalized, stemmed terms with stop words removed
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  return text.toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// [start, end) offsets of the words in text that tokenize to one of the query's terms
+export function findTermMatches(text, query) {
+  const queryTerms = new Set(tokenize(query));
+  const matches = [];
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    if (word.length > 1 && !STOP_WORDS.has(word) && queryTerms.has(stem(word))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return matches;
+}
+
+// The stretch of text (about `length` characters) holding the most query term
+// matches, as { text, highlights } with highlight offsets relative to the snippet
+export function buildSnippet(text, query, length = 240) {
+  const matches = findTermMatches(text, query);
+
+  // Start a little before the match that opens the densest window
+  let start = 0;
+  let best = 0;
+  matches.forEach(([matchStart], i) => {
+    const count = matches.slice(i).filter(([, end]) => end <= matchStart + length).length;
+    if (count > best) {
+      best = count;
+      start = matchStart;
+    }
+  });
+  start = Math.max(0, start - Math.floor(length / 4));
+  if (start > 0) {
+    // Don't begin mid-word
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < start + 20 ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    highlights: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart - start + prefix.length, matchEnd - start + prefix.length])
+  };
+}
+
+// Inverted index over document chunks ranked with Okapi BM25
+export class SearchIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  clear() {
+    // term -> Map(docKey -> term frequency)
+    this.postings = new Map();
+    // docKey -> { doc, length, terms }
+    this.entries = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(key, doc) {
+    if (this.entries.has(key)) {
+      this.remove(key);
+    }
+
+    // Index the filename with the content so title matches still count
+    const filename = doc.metadata?.filename ? stripExtension(doc.metadata.filename) : '';
+    const terms = tokenize(`${filename}\n${doc.pageContent}`);
+
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    frequencies.forEach((tf, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(key, tf);
+    });
+
+    this.entries.set(key, { doc, length: terms.length, terms: Array.from(frequencies.keys()) });
+    this.totalLength += terms.length;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    entry.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.entries.delete(key);
+    this.totalLength -= entry.length;
+    return true;
+  }
+
+  // Return the top k [{ doc, score }] for a query; only chunks sharing a term are scored,
+  // and chunks rejected by the optional filter(doc) predicate are skipped
+  search(query, k = 5, filter = null) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    const docCount = this.entries.size;
+
+    if (queryTerms.length === 0 || docCount === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+    const allowed = new Map();
+    const isAllowed = (key) => {
+      if (!filter) {
+        return true;
+      }
+      if (!allowed.has(key)) {
+        allowed.set(key, Boolean(filter(this.entries.get(key).doc)));
+      }
+      return allowed.get(key);
+    };
+
+    queryTerms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        return;
+      }
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      posting.forEach((tf, key) => {
+        if (!isAllowed(key)) {
+          return;
+        }
+        const length = this.entries.get(key).length;
+        const normalization = this.k1 * (1 - this.b + this.b * length / averageLength);
+        const termScore = idf * (tf * (this.k1 + 1)) / (tf + normalization);
+        scores.set(key, (scores.get(key) || 0) + termScore);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([key, score]) => ({ doc: this.entries.get(key).doc, score }));
+  }
+}
+
+// Filename without its extension, e.g. "leave-policy.pdf" -> "leave-policy"
+function stripExtension(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(0, dot) : filename;
+}
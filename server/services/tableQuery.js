@@ -0,0 +1,177 @@
+import { parseNumber } from './csvParser.js';
+
+// Question words that select an aggregate, checked in this order
+const OPERATIONS = [
+  { name: 'average', pattern: /\b(average|avg|mean)\b/ },
+  { name: 'sum', pattern: /\b(sum|total)\b/ },
+  { name: 'max', pattern: /\b(max|maximum|highest|largest|biggest)\b/ },
+  { name: 'min', pattern: /\b(min|minimum|lowest|smallest)\b/ },
+  { name: 'count', pattern: /\b(how many|count|number of)\b/ }
+];
+
+// Comparison phrases mapped to operators, longest first
+const COMPARISONS = [
+  ['greater than or equal to', '>='], ['less than or equal to', '<='],
+  ['greater than', '>'], ['more than', '>'], ['less than', '<'], ['fewer than', '<'],
+  ['at least', '>='], ['at most', '<='], ['above', '>'], ['over', '>'], ['below', '<'], ['under', '<'],
+  ['>=', '>='], ['<=', '<='], ['>', '>'], ['<', '<'], ['=', '='], ['equals', '='], ['equal to', '='], ['is', '=']
+];
+
+// Categorical columns with more distinct values than this are not matched by value
+const MAX_CATEGORY_VALUES = 100;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "unit_price" -> "unit price" so column names can be found in plain questions
+const normalizeName = (name) => name.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+const containsPhrase = (text, phrase) =>
+  phrase.length > 0 && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}s?($|[^\\p{L}\\p{N}])`, 'u').test(text);
+
+const compare = (left, operator, right) => {
+  switch (operator) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return left === right;
+  }
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Columns named in the question, longest names first so "unit price" beats "price"
+function findMentionedColumns(question, table) {
+  return table.headers
+    .filter(header => containsPhrase(question, normalizeName(header)))
+    .sort((a, b) => normalizeName(b).length - normalizeName(a).length);
+}
+
+// Numeric comparisons like "salary over 50000" or "age >= 30"
+function findNumericFilters(question, table) {
+  const filters = [];
+  const comparisonPattern = COMPARISONS.map(([phrase]) => escapeRegExp(phrase)).join('|');
+
+  table.headers
+    .filter(header => table.types[header] === 'number')
+    .forEach(header => {
+      const pattern = new RegExp(
+        `${escapeRegExp(normalizeName(header))}s?\\s+(?:is\\s+)?(${comparisonPattern})\\s*[$€£]?(-?[\\d,]*\\.?\\d+)`
+      );
+      const match = question.match(pattern);
+      if (match) {
+        const operator = COMPARISONS.find(([phrase]) => phrase === match[1])[1];
+        filters.push({ column: header, operator, value: parseNumber(match[2]) });
+      }
+    });
+
+  return filters;
+}
+
+// Category values mentioned verbatim, e.g. "in Engineering" -> department = Engineering
+function findCategoryFilters(question, table) {
+  const filters = [];
+  const columnNames = new Set(table.headers.map(normalizeName));
+
+  table.headers
+    .filter(header => table.types[header] === 'string' || table.types[header] === 'boolean')
+    .forEach(header => {
+      const distinct = new Set(table.rows.map(row => row[header]).filter(Boolean));
+      if (distinct.size > MAX_CATEGORY_VALUES) {
+        return;
+      }
+
+      // Prefer the longest value so "New York City" wins over "York"
+      const mentioned = Array.from(distinct)
+        .filter(value => value.length > 1 && !columnNames.has(value.toLowerCase()))
+        .filter(value => containsPhrase(question, value.toLowerCase()))
+        .sort((a, b) => b.length - a.length);
+
+      if (mentioned.length > 0) {
+        filters.push({ column: header, operator: '=', value: mentioned[0] });
+      }
+    });
+
+  return filters;
+}
+
+function matchesFilters(row, filters, table) {
+  return filters.every(({ column, operator, value }) => {
+    if (table.types[column] === 'number') {
+      const number = parseNumber(row[column]);
+      return number !== null && compare(number, operator, value);
+    }
+    return row[column].toLowerCase() === String(value).toLowerCase();
+  });
+}
+
+// Answer count/sum/average/min/max questions by computing over a parsed table.
+// table is { filename, headers, types, rows }; returns null when the question
+// isn't an aggregate over this table.
+export function answerTableQuestion(rawQuestion, table) {
+  const question = rawQuestion.toLowerCase();
+  const operation = OPERATIONS.find(op => op.pattern.test(question));
+
+  if (!operation || table.rows.length === 0) {
+    return null;
+  }
+
+  const filters = [...findNumericFilters(question, table), ...findCategoryFilters(question, table)];
+  const filteredColumns = new Set(filters.map(filter => filter.column));
+
+  let column = null;
+  if (operation.name !== 'count') {
+    // The aggregated column is a numeric column named in the question and not only used as a filter
+    const numericColumns = findMentionedColumns(question, table)
+      .filter(header => table.types[header] === 'number');
+    column = numericColumns.find(header => !filteredColumns.has(header)) || numericColumns[0];
+
+    if (!column) {
+      return null;
+    }
+  }
+
+  const matchedRows = table.rows.filter(row => matchesFilters(row, filters, table));
+  const numbers = column
+    ? matchedRows.map(row => parseNumber(row[column])).filter(value => value !== null)
+    : [];
+
+  // Min and max reduce rather than spread, which overflows the stack on large tables
+  let value;
+  switch (operation.name) {
+    case 'count':
+      value = matchedRows.length;
+      break;
+    case 'sum':
+      value = round(numbers.reduce((sum, number) => sum + number, 0));
+      break;
+    case 'average':
+      value = numbers.length > 0 ? round(numbers.reduce((sum, number) => sum + number, 0) / numbers.length) : null;
+      break;
+    case 'max':
+      value = numbers.length > 0 ? numbers.reduce((max, number) => (number > max ? number : max)) : null;
+      break;
+    case 'min':
+      value = numbers.length > 0 ? numbers.reduce((min, number) => (number < min ? number : min)) : null;
+      break;
+    default:
+      return null;
+  }
+
+  const conditions = filters.map(filter => `${filter.column} ${filter.operator} ${filter.value}`).join(' AND ');
+  const subject = column ? `${operation.name} of ${column}` : 'count of rows';
+  const description = `${subject} in ${table.filename}` +
+    (conditions ? ` where ${conditions}` : '') +
+    ` = ${value === null ? 'no numeric values' : value} (computed over ${matchedRows.length} of ${table.rows.length} rows)`;
+
+  return {
+    operation: operation.name,
+    column,
+    filters,
+    value,
+    matchedRows: matchedRows.length,
+    totalRows: table.rows.length,
+    filename: table.filename,
+    description
+  };
+}
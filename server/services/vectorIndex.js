@@ -0,0 +1,48 @@
+// In-memory store of unit-length chunk embeddings searched by cosine similarity
+export class VectorIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    // docKey -> { doc, vector }
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(key, doc, vector) {
+    if (!vector || vector.length === 0) {
+      return;
+    }
+    this.entries.set(key, { doc, vector });
+  }
+
+  remove(key) {
+    return this.entries.delete(key);
+  }
+
+  // Return the top k [{ doc, score }] by cosine similarity to the query vector,
+  // skipping chunks rejected by the optional filter(doc) predicate
+  search(queryVector, k = 5, filter = null) {
+    const results = [];
+
+    this.entries.forEach(({ doc, vector }) => {
+      if (vector.length !== queryVector.length || (filter && !filter(doc))) {
+        return;
+      }
+
+      let score = 0;
+      for (let i = 0; i < vector.length; i++) {
+        score += vector[i] * queryVector[i];
+      }
+      results.push({ doc, score });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
@@ -0,0 +1,256 @@
+import * as cheerio from 'cheerio';
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_PAGE_SIZE = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Sent with every request and matched against robots.txt user-agent groups
+const USER_AGENT = 'QnA-Bot';
+
+// Links to files we can't read as web pages
+const NON_HTML_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|zip|gz|png|jpe?g|gif|svg|webp|ico|css|js|mp3|mp4|mov)$/i;
+
+// Drop the #fragment so the same page isn't fetched twice
+const normalizeUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString();
+};
+
+// Accept only absolute http(s) URLs; returns the normalized URL or null
+export function parseWebUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return ['http:', 'https:'].includes(parsed.protocol) ? normalizeUrl(parsed) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Read a response body as text, giving up as soon as it passes MAX_PAGE_SIZE
+// so an oversized page without a content-length is never held in memory whole
+async function readBody(response, url) {
+  if (!response.body) {
+    return '';
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the rest of the download
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_PAGE_SIZE) {
+      throw new Error(`${url} is larger than the upload size limit`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Fetch one HTML page of `origin`; throws with a readable reason when it can't be used.
+// Redirects are followed one hop at a time and every hop must stay on the site
+// being crawled, so a chain can't pass through another host on its way back.
+async function fetchPage(url, origin) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let finalUrl = url;
+  let response;
+
+  for (let redirects = 0; ; redirects++) {
+    response = await fetch(finalUrl, {
+      headers: { Accept: 'text/html,application/xhtml+xml', 'User-Agent': USER_AGENT },
+      redirect: 'manual',
+      signal
+    });
+    if (!REDIRECT_STATUSES.has(response.status)) {
+      break;
+    }
+    response.body?.cancel();
+
+    const location = response.headers.get('location');
+    if (!location) {
+      throw new Error(`${url} redirects without a location`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`${url} redirects more than ${MAX_REDIRECTS} times`);
+    }
+    const next = normalizeUrl(new URL(location, finalUrl));
+    if (new URL(next).origin !== origin) {
+      throw new Error(`${url} redirects to another site (${next})`);
+    }
+    finalUrl = next;
+  }
+
+  if (!response.ok) {
+    response.body?.cancel();
+    throw new Error(`${url} returned HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|application\/xhtml\+xml/.test(contentType)) {
+    response.body?.cancel();
+    throw new Error(`${url} is not an HTML page (${contentType || 'unknown content type'})`);
+  }
+
+  if (Number(response.headers.get('content-length')) > MAX_PAGE_SIZE) {
+    response.body?.cancel();
+    throw new Error(`${url} is larger than the upload size limit`);
+  }
+
+  // Links resolve against the final URL
+  return { url: finalUrl, html: await readBody(response, url) };
+}
+
+// Allow/Disallow rules of a robots.txt that apply to us: those of a group naming
+// our user agent, or else those of the "*" group
+function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*$/, '').match(/^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i);
+    if (!match) {
+      return;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2];
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share the rules that follow them
+      if (!group || group.rules.length > 0) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  const ownGroups = groups.filter(entry => entry.agents.includes(USER_AGENT.toLowerCase()));
+  const chosen = ownGroups.length > 0 ? ownGroups : groups.filter(entry => entry.agents.includes('*'));
+  return chosen.flatMap(entry => entry.rules);
+}
+
+// Whether robots.txt rules allow a URL; the longest matching rule wins and
+// Allow wins a tie. Rule paths may use * wildcards and a closing $.
+function isAllowedByRobots(rules, url) {
+  const parsed = new URL(url);
+  const target = parsed.pathname + parsed.search;
+  let best = null;
+
+  rules.forEach(rule => {
+    const anchored = rule.path.endsWith('$');
+    const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(target)) {
+      return;
+    }
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return !best || best.allow;
+}
+
+// The site's robots.txt rules; a missing or unreadable file allows everything
+async function fetchRobotsRules(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      response.body?.cancel();
+      return [];
+    }
+    return parseRobotsTxt(await readBody(response, `${origin}/robots.txt`));
+  } catch (error) {
+    console.error(`Ignoring robots.txt of ${origin}:`, error.message);
+    return [];
+  }
+}
+
+// Same-origin page links found in a page's HTML
+function extractLinks(html, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const $ = cheerio.load(html);
+  const links = new Set();
+
+  $('a[href]').each((i, element) => {
+    try {
+      const link = new URL($(element).attr('href'), pageUrl);
+      if (link.origin === origin && !NON_HTML_EXTENSIONS.test(link.pathname)) {
+        links.add(normalizeUrl(link));
+      }
+    } catch (e) {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return [...links];
+}
+
+// Breadth-first crawl from startUrl, following same-site links up to `depth`
+// hops and stopping after maxPages pages. Pages robots.txt disallows are left
+// out. The start page must load; pages found along the way that fail are
+// reported in `failed` instead of stopping the crawl.
+// Returns { pages: [{ url, html, title }], failed: [{ url, reason }] }
+export async function crawl(startUrl, { depth = 0, maxPages = 20, onPage = () => {} } = {}) {
+  const origin = new URL(startUrl).origin;
+  const robotsRules = await fetchRobotsRules(origin);
+  const pages = [];
+  const failed = [];
+  const seen = new Set([startUrl]);
+  let frontier = [startUrl];
+
+  for (let level = 0; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+
+    for (const url of frontier) {
+      if (pages.length >= maxPages) {
+        break;
+      }
+
+      let page;
+      try {
+        if (!isAllowedByRobots(robotsRules, url)) {
+          throw new Error(`${url} is disallowed by robots.txt`);
+        }
+        page = await fetchPage(url, origin);
+      } catch (error) {
+        if (pages.length === 0 && url === startUrl) {
+          throw error;
+        }
+        console.error(`Skipping ${url}:`, error.message);
+        failed.push({ url, reason: error.message });
+        continue;
+      }
+
+      // Several links can redirect to the same page
+      if (page.url !== url && pages.some(existing => existing.url === page.url)) {
+        continue;
+      }
+      seen.add(page.url);
+
+      const title = cheerio.load(page.html)('title').first().text().trim();
+      pages.push({ url: page.url, html: page.html, title });
+      onPage(pages.length, page.url);
+
+      if (level < depth) {
+        extractLinks(page.html, page.url)
+          .filter(link => !seen.has(link))
+          .forEach(link => {
+            seen.add(link);
+            next.push(link);
+          });
+      }
+    }
+
+    frontier = next;
+  }
+
+  return { pages, failed };
+}
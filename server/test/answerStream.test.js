@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument, streamAnswer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await uploadDocument(server, { filename: 'parking.txt', content: 'Visitors park in lot B behind the main building.' });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('streams metadata, then tokens, then the full answer', async () => {
+  const { status, events } = await streamAnswer(server, { question: 'Where do visitors park?' });
+  assert.equal(status, 200);
+
+  const names = events.map(event => event.event);
+  assert.equal(names[0], 'metadata');
+  assert.equal(names[names.length - 1], 'done');
+  assert.ok(names.slice(1, -1).length > 1 && names.slice(1, -1).every(name => name === 'token'));
+
+  const [metadata] = events;
+  assert.equal(metadata.data.usedKnowledgeBase, true);
+  assert.equal(metadata.data.citations[0].filename.endsWith('.txt'), true);
+
+  const streamed = events.filter(event => event.event === 'token').map(event => event.data.content).join('');
+  assert.equal(streamed, events[events.length - 1].data.answer);
+  assert.ok(streamed.includes('lot B'));
+});
+
+test('a streamed answer is stored in its conversation', async () => {
+  const created = await (await server.request('/api/conversations', { method: 'POST', body: {} })).json();
+  const conversationId = created.conversation.id;
+
+  const { events } = await streamAnswer(server, { question: 'Where do visitors park?', conversationId });
+  const { answer } = events[events.length - 1].data;
+
+  const { conversation } = await (await server.request(`/api/conversations/${conversationId}`)).json();
+  assert.deepEqual(conversation.messages.map(message => [message.role, message.content]), [
+    ['user', 'Where do visitors park?'],
+    ['assistant', answer]
+  ]);
+});
+
+test('requests that fail before streaming get a JSON error', async () => {
+  const invalid = await streamAnswer(server, { question: '' });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.error);
+
+  const missing = await streamAnswer(server, { question: 'Where do visitors park?', conversationId: 'no-such-conversation' });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, 'Conversation not found or unauthorized');
+
+  const unknownModel = await streamAnswer(server, { question: 'Where do visitors park?', model: 'no-such-model' });
+  assert.equal(unknownModel.status, 400);
+});
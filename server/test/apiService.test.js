@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import apiService, { ModelSelectionError } from '../services/apiService.js';
+
+const SETTINGS = [
+  'LLM_PROVIDER', 'LLM_PROVIDERS', 'CHAT_MODELS', 'GITHUB_TOKEN', 'OPENAI_API_KEY',
+  'LOCAL_LLM_ENDPOINT', 'LOCAL_LLM_MODELS', 'LOCAL_LLM_API_KEY', 'FAKE_LLM_MODELS'
+];
+const savedSettings = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+
+// Stand-in for an OpenAI-compatible server such as Ollama; records what it was sent
+let localServer;
+let localRequests = [];
+
+before(async () => {
+  localServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      localRequests.push({ url: req.url, authorization: req.headers.authorization, body: request });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'local-1',
+        object: 'chat.completion',
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: `local answer from ${request.model}` }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 }
+      }));
+    });
+  });
+  await new Promise(resolve => localServer.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  localServer.close();
+  Object.entries(savedSettings).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+});
+
+beforeEach(() => {
+  SETTINGS.forEach(name => delete process.env[name]);
+  localRequests = [];
+});
+
+const enableLocal = () => {
+  process.env.LOCAL_LLM_ENDPOINT = `http://127.0.0.1:${localServer.address().port}/v1`;
+  process.env.LOCAL_LLM_MODELS = 'llama3.1,qwen2.5';
+};
+
+test('enables the default provider plus every configured one', () => {
+  apiService.initialize({ provider: 'fake' });
+  assert.deepEqual(apiService.getProviders(), [{ name: 'fake', models: ['fake-model'], isDefault: true }]);
+
+  enableLocal();
+  apiService.initialize({ provider: 'fake' });
+  assert.deepEqual(apiService.getProviders().map(provider => provider.name), ['fake', 'local']);
+
+  process.env.LLM_PROVIDERS = 'fake';
+  apiService.initialize({ provider: 'fake' });
+  assert.deepEqual(apiService.getProviders().map(provider => provider.name), ['fake']);
+
+  assert.throws(() => apiService.initialize({ provider: 'carrier-pigeon' }), /Unknown LLM provider/);
+});
+
+test('CHAT_MODELS replaces the default provider\'s models', () => {
+  process.env.CHAT_MODELS = 'fake-a, fake-b';
+  apiService.initialize({ provider: 'fake' });
+  assert.deepEqual(apiService.getProviders()[0].models, ['fake-a', 'fake-b']);
+  assert.equal(apiService.getDefaultModel(), 'fake-a');
+});
+
+test('resolves a request to a provider and model', () => {
+  enableLocal();
+  process.env.FAKE_LLM_MODELS = 'fake-model,shared-model';
+  process.env.LOCAL_LLM_MODELS = 'llama3.1,shared-model';
+  apiService.initialize({ provider: 'fake' });
+
+  assert.deepEqual(apiService.resolveModel(), { provider: 'fake', model: 'fake-model' });
+  assert.deepEqual(apiService.resolveModel({ model: 'llama3.1' }), { provider: 'local', model: 'llama3.1' });
+  assert.deepEqual(apiService.resolveModel({ provider: 'local' }), { provider: 'local', model: 'llama3.1' });
+  // A model several providers offer goes to the default provider
+  assert.deepEqual(apiService.resolveModel({ model: 'shared-model' }), { provider: 'fake', model: 'shared-model' });
+  assert.deepEqual(apiService.resolveModel({ provider: 'local', model: 'shared-model' }), { provider: 'local', model: 'shared-model' });
+
+  assert.throws(() => apiService.resolveModel({ provider: 'openai' }), ModelSelectionError);
+  assert.throws(() => apiService.resolveModel({ provider: 'fake', model: 'llama3.1' }), /not available from fake/);
+  assert.throws(() => apiService.resolveModel({ model: 'gpt-9' }), /model must be one of: fake-model, shared-model, llama3.1, shared-model/);
+});
+
+test('the fake provider completes and streams the same deterministic answer', async () => {
+  apiService.initialize({ provider: 'fake' });
+  const messages = [
+    { role: 'system', content: 'Sources:\n[1] [Document: guide.txt]\nThe gate code is 4512.' },
+    { role: 'user', content: 'What is the gate code?' }
+  ];
+
+  const response = await apiService.getCompletion(messages);
+  const answer = response.choices[0].message.content;
+  assert.equal(answer, '(fake-model) You asked: "What is the gate code?". According to guide.txt: The gate code is 4512. [1]');
+  assert.equal(response.usage.total_tokens, response.usage.prompt_tokens + response.usage.completion_tokens);
+
+  let streamed = '';
+  for await (const part of await apiService.streamCompletion(messages)) {
+    streamed += part.choices[0].delta.content;
+  }
+  assert.equal(streamed, answer);
+
+  const controller = new AbortController();
+  const stream = await apiService.streamCompletion(messages, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(async () => {
+    for await (const part of stream) {
+      assert.ok(part);
+    }
+  }, { name: 'AbortError' });
+});
+
+test('OpenAI-compatible providers get the resolved model and sampling settings', async () => {
+  enableLocal();
+  apiService.initialize({ provider: 'fake' });
+
+  const response = await apiService.getCompletion([{ role: 'user', content: 'Hi' }], { model: 'qwen2.5', temperature: 0.3 });
+  assert.equal(response.choices[0].message.content, 'local answer from qwen2.5');
+
+  const [request] = localRequests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.authorization, 'Bearer local');
+  assert.equal(request.body.model, 'qwen2.5');
+  assert.equal(request.body.temperature, 0.3);
+  assert.equal(request.body.top_p, 1);
+  assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Hi' }]);
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { extractArchive } from '../services/archiveExtractor.js';
+import { startServer, makeDataDir, removeDataDir, waitForJob } from './helpers.js';
+
+let server;
+
+const textFile = (content) => new Blob([content], { type: 'text/plain' });
+
+const uploadBatch = async (files, fields = {}) => {
+  const form = new FormData();
+  files.forEach(([filename, blob]) => form.append('documents', blob, filename));
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  const response = await server.request('/api/knowledge-base/upload/batch', { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('queues one job per file and unpacks ZIP archives', async () => {
+  const zip = new AdmZip();
+  zip.addFile('handbook/holidays.txt', Buffer.from('There are 25 holiday days a year.'));
+  zip.addFile('handbook/tool.exe', Buffer.from('MZ'));
+
+  const { status, body } = await uploadBatch([
+    ['parking.txt', textFile('Visitors park in lot B.')],
+    ['handbook.zip', new Blob([zip.toBuffer()], { type: 'application/zip' })]
+  ]);
+
+  assert.equal(status, 202);
+  assert.equal(body.jobs.length, 2);
+  assert.ok(body.jobs.every(job => job.batchId === body.batchId));
+  assert.deepEqual(body.skipped, []);
+
+  // The archive is unpacked in its job, which reports what it left out
+  const finished = await Promise.all(body.jobs.map(job => waitForJob(server, job)));
+  assert.deepEqual(finished.map(job => job.status), ['done', 'done']);
+  assert.equal(finished[1].filename, 'handbook.zip');
+  assert.deepEqual(finished[1].skipped.map(entry => entry.filename), ['handbook.zip/handbook/tool.exe']);
+
+  const { documents } = await (await server.request('/api/knowledge-base')).json();
+  assert.deepEqual(documents.map(doc => doc.title).sort(), ['holidays.txt', 'parking.txt']);
+});
+
+test('skips files repeated in the batch or already in the knowledge base', async () => {
+  const { status, body } = await uploadBatch([
+    ['canteen.txt', textFile('The canteen opens at noon.')],
+    ['canteen-copy.txt', textFile('The canteen opens at noon.')],
+    ['parking-again.txt', textFile('Visitors park in lot B.')]
+  ]);
+
+  assert.equal(status, 202);
+  assert.equal(body.jobs.length, 1);
+  assert.deepEqual(body.skipped.map(entry => entry.filename), ['canteen-copy.txt', 'parking-again.txt']);
+  assert.equal(body.skipped[1].duplicateOf.title, 'parking.txt');
+  await waitForJob(server, body.jobs[0]);
+});
+
+test('rejects collections the user does not own', async () => {
+  const { status, body } = await uploadBatch([['notes.txt', textFile('Unrelated notes.')]], { collectionIds: 'no-such-collection' });
+  assert.equal(status, 400);
+  assert.ok(body.error);
+});
+
+test('an archive that cannot be read fails its job', async () => {
+  const { body } = await uploadBatch([['broken.zip', new Blob(['not a zip'], { type: 'application/zip' })]]);
+  const job = await waitForJob(server, body.jobs[0]);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /Could not read ZIP archive/);
+});
+
+// A ZIP whose headers claim each entry unpacks to `claimedSize` bytes
+const lyingZip = (entries, claimedSize) => {
+  const zip = new AdmZip();
+  entries.forEach(([name, data]) => zip.addFile(name, data));
+  const buffer = zip.toBuffer();
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      buffer.writeUInt32LE(claimedSize, offset + 22);
+    } else if (signature === 0x02014b50) {
+      buffer.writeUInt32LE(claimedSize, offset + 24);
+    }
+  }
+  return buffer;
+};
+
+test('stops unpacking an entry once it passes the size limit, whatever its header says', async () => {
+  const dataDir = makeDataDir();
+  try {
+    const archivePath = path.join(dataDir, 'bomb.zip');
+    fs.writeFileSync(archivePath, lyingZip([['bomb.txt', Buffer.alloc(1024 * 1024, 'a')], ['small.txt', Buffer.from('fine')]], 4));
+    const destDir = path.join(dataDir, 'out');
+    fs.mkdirSync(destDir);
+
+    const { files, skipped } = await extractArchive(archivePath, destDir, { allowed: () => true, maxFileSize: 64 * 1024 });
+    assert.deepEqual(skipped, [{ filename: 'bomb.txt', reason: 'File is larger than the upload size limit' }]);
+    assert.deepEqual(files.map(file => [file.originalname, file.size]), [['small.txt', 4]]);
+    assert.deepEqual(fs.readdirSync(destDir), [path.basename(files[0].path)]);
+  } finally {
+    removeDataDir(dataDir);
+  }
+});
+
+test('refuses archives with too many files', async () => {
+  const dataDir = makeDataDir();
+  try {
+    const zip = new AdmZip();
+    for (let i = 0; i <= 500; i++) {
+      zip.addFile(`notes-${i}.txt`, Buffer.from(`note ${i}`));
+    }
+    const archivePath = path.join(dataDir, 'many.zip');
+    zip.writeZip(archivePath);
+
+    await assert.rejects(extractArchive(archivePath, dataDir, { allowed: () => true, maxFileSize: 1024 }), /more than 500 files/);
+  } finally {
+    removeDataDir(dataDir);
+  }
+});
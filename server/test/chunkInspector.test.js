@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument, waitForJob } from './helpers.js';
+
+let server;
+let documentId;
+let chunkId;
+
+const search = async (q) => (await (await server.request(`/api/knowledge-base/search?q=${encodeURIComponent(q)}`)).json()).results;
+
+const patchChunk = (body, id = chunkId) => server.request(`/api/knowledge-base/${documentId}/chunks/${id}`, { method: 'PATCH', body });
+
+before(async () => {
+  server = await startServer();
+  documentId = await uploadDocument(server, { filename: 'lockers.txt', content: 'Lockers are on the second floor next to the gym.' });
+  const { chunks } = await (await server.request(`/api/knowledge-base/${documentId}/chunks`)).json();
+  chunkId = chunks[0].chunkId;
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('lists and filters a document\'s chunks', async () => {
+  const all = await (await server.request(`/api/knowledge-base/${documentId}/chunks`)).json();
+  assert.equal(all.total, 1);
+  assert.equal(all.excludedCount, 0);
+  assert.equal(all.chunks[0].edited, false);
+
+  const filtered = await (await server.request(`/api/knowledge-base/${documentId}/chunks?q=basement`)).json();
+  assert.equal(filtered.total, 0);
+
+  const single = await server.request(`/api/knowledge-base/${documentId}/chunks/${chunkId}`);
+  assert.equal((await single.json()).chunk.chunkId, chunkId);
+
+  const missing = await server.request(`/api/knowledge-base/${documentId}/chunks/no-such-chunk`);
+  assert.equal(missing.status, 404);
+});
+
+test('an edited chunk is retrieved by its new text until reverted', async () => {
+  const edited = await (await patchChunk({ pageContent: 'Lockers moved to the basement by the bike racks.' })).json();
+  assert.equal(edited.chunk.edited, true);
+  assert.equal(edited.chunk.originalContent, 'Lockers are on the second floor next to the gym.');
+
+  assert.equal((await search('basement bike racks')).length, 1);
+  assert.equal((await search('gym')).length, 0);
+
+  const reverted = await (await patchChunk({ revert: true })).json();
+  assert.equal(reverted.chunk.edited, false);
+  assert.equal((await search('gym')).length, 1);
+});
+
+test('an excluded chunk stays listed but is never retrieved', async () => {
+  await patchChunk({ excluded: true });
+  assert.deepEqual(await search('lockers'), []);
+
+  const answer = await (await server.request('/api/answer', { method: 'POST', body: { question: 'Where are the lockers?' } })).json();
+  assert.deepEqual(answer.citations, []);
+
+  const list = await (await server.request(`/api/knowledge-base/${documentId}/chunks`)).json();
+  assert.equal(list.excludedCount, 1);
+
+  await patchChunk({ excluded: false });
+  assert.equal((await search('lockers')).length, 1);
+});
+
+test('rejects invalid edits and other users', async () => {
+  assert.equal((await patchChunk({ pageContent: '   ' })).status, 400);
+  assert.equal((await patchChunk({ excluded: 'yes' })).status, 400);
+  assert.equal((await patchChunk({ excluded: true, userId: 'mallory' })).status, 404);
+  assert.equal((await server.request(`/api/knowledge-base/${documentId}/chunks?userId=mallory`)).status, 404);
+});
+
+test('edits and exclusions survive re-indexing and new versions', async () => {
+  const guideId = await uploadDocument(server, {
+    filename: 'guide.md',
+    content: '# Lockers\nLockers are by the gym.\n# Parking\nParking is behind the office.\n# Canteen\nThe canteen opens at noon.',
+    fields: { chunkingStrategy: 'section' }
+  });
+  const listChunks = async () => (await (await server.request(`/api/knowledge-base/${guideId}/chunks`)).json()).chunks;
+  const [lockers, parking] = await listChunks();
+  await server.request(`/api/knowledge-base/${guideId}/chunks/${lockers.chunkId}`, {
+    method: 'PATCH',
+    body: { pageContent: 'Lockers\n\nLockers moved to the basement.' }
+  });
+  await server.request(`/api/knowledge-base/${guideId}/chunks/${parking.chunkId}`, { method: 'PATCH', body: { excluded: true } });
+
+  const reindex = await server.request(`/api/knowledge-base/${guideId}/reindex`, { method: 'POST', body: {} });
+  assert.equal(reindex.status, 200);
+  let chunks = await listChunks();
+  assert.deepEqual(chunks.map(chunk => [chunk.pageContent, chunk.edited, chunk.excluded]), [
+    ['Lockers\n\nLockers moved to the basement.', true, false],
+    ['Parking\n\nParking is behind the office.', false, true],
+    ['Canteen\n\nThe canteen opens at noon.', false, false]
+  ]);
+  const [top] = await search('basement');
+  assert.equal(top.chunkId, chunks[0].chunkId);
+  assert.ok((await search('behind the office')).every(result => result.chunkId !== chunks[1].chunkId));
+
+  // A new version keeps the edits of the passages it didn't change; the rest
+  // are dropped with a warning
+  const form = new FormData();
+  form.append('document', new Blob(['# Lockers\nLockers are by the gym.\n# Parking\nParking is in the garage.'], { type: 'text/plain' }), 'guide.md');
+  const upload = await server.request(`/api/knowledge-base/${guideId}/versions`, { method: 'POST', body: form });
+  assert.equal((await waitForJob(server, (await upload.json()).job)).status, 'done');
+  chunks = await listChunks();
+  assert.deepEqual(chunks.map(chunk => [chunk.pageContent, chunk.edited, chunk.excluded]), [
+    ['Lockers\n\nLockers moved to the basement.', true, false],
+    ['Parking\n\nParking is in the garage.', false, false]
+  ]);
+  assert.match(server.output, /Dropped 1 chunk edits/);
+});
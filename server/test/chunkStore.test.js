@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import chunkRepository from '../repositories/chunkRepository.js';
+import { startServer, makeDataDir, removeDataDir, uploadDocument } from './helpers.js';
+
+const indexPath = (dataDir) => path.join(dataDir, 'chunk-index.jsonl');
+const readLog = (dataDir) => fs.readFileSync(indexPath(dataDir), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+// Replay the chunk log the way the server does
+const readIndex = (dataDir) => {
+  const chunks = new Map();
+  readLog(dataDir).forEach(entry => {
+    if (entry.put) {
+      chunks.set(entry.put.chunkId, entry.put);
+    } else {
+      entry.remove.forEach(chunkId => chunks.delete(chunkId));
+    }
+  });
+  return [...chunks.values()];
+};
+
+const ask = async (server, question) => {
+  const response = await server.request('/api/answer', { method: 'POST', body: { question, userId: 'alice' } });
+  return response.json();
+};
+
+test('chunks are written to the index file and concurrent uploads all land', async () => {
+  const server = await startServer();
+  try {
+    const contents = ['apples are red', 'bananas are yellow', 'cherries are dark', 'grapes are green'];
+    const documentIds = await Promise.all(contents.map((content, i) =>
+      uploadDocument(server, { userId: 'alice', filename: `fruit-${i}.txt`, content })));
+
+    const stored = readIndex(server.dataDir);
+    assert.deepEqual(new Set(stored.map(chunk => chunk.metadata.documentId)), new Set(documentIds));
+    assert.deepEqual(fs.readdirSync(server.dataDir).filter(name => name.endsWith('.tmp')), []);
+  } finally {
+    await server.stop();
+    removeDataDir(server.dataDir);
+  }
+});
+
+test('a change appends only the chunks it touched', async () => {
+  const server = await startServer();
+  try {
+    const documentId = await uploadDocument(server, { userId: 'alice', content: 'Parking is free after six.' });
+    await uploadDocument(server, { userId: 'alice', filename: 'other.txt', content: 'The canteen serves soup.' });
+    const before = readLog(server.dataDir);
+
+    const { chunks } = await (await server.request(`/api/knowledge-base/${documentId}/chunks?userId=alice`)).json();
+    await server.request(`/api/knowledge-base/${documentId}/chunks/${chunks[0].chunkId}`, {
+      method: 'PATCH',
+      body: { pageContent: 'Parking is free after seven.', userId: 'alice' }
+    });
+
+    const after = readLog(server.dataDir);
+    assert.deepEqual(after.slice(0, before.length), before);
+    assert.deepEqual(after.slice(before.length).map(entry => entry.put.chunkId), [chunks[0].chunkId]);
+  } finally {
+    await server.stop();
+    removeDataDir(server.dataDir);
+  }
+});
+
+test('documents and their chunks come back after a restart', async () => {
+  const dataDir = makeDataDir();
+  let server = await startServer({ dataDir });
+  try {
+    const documentId = await uploadDocument(server, { userId: 'alice', content: 'The vault combination is 31-7-22.' });
+    await server.stop();
+
+    server = await startServer({ dataDir });
+    const list = await (await server.request('/api/knowledge-base?userId=alice')).json();
+    assert.deepEqual(list.documents.map(doc => doc.id), [documentId]);
+    assert.equal(list.totalDocumentChunks, 1);
+
+    const result = await ask(server, 'What is the vault combination?');
+    assert.ok(result.answer.includes('31-7-22'));
+
+    // Record ids keep counting up, so a new document never takes an old one's id
+    const newId = await uploadDocument(server, { userId: 'alice', content: 'The office opens at nine.' });
+    assert.notEqual(newId, documentId);
+  } finally {
+    await server.stop();
+    removeDataDir(dataDir);
+  }
+});
+
+test('a line cut short by a crash is skipped and the log rewritten', async () => {
+  const dataDir = makeDataDir();
+  let server = await startServer({ dataDir });
+  try {
+    await uploadDocument(server, { userId: 'alice', content: 'The spare key is under the mat.' });
+    await server.stop();
+    fs.appendFileSync(indexPath(dataDir), '{"put":{"chunkId":"half-wri');
+
+    server = await startServer({ dataDir });
+    assert.ok(fs.readFileSync(indexPath(dataDir), 'utf8').endsWith('\n'));
+    assert.equal(readIndex(dataDir).length, 1);
+    assert.ok((await ask(server, 'Where is the spare key?')).answer.includes('under the mat'));
+  } finally {
+    await server.stop();
+    removeDataDir(dataDir);
+  }
+});
+
+test('chunks whose document record is gone are dropped when the server restarts', async () => {
+  const dataDir = makeDataDir();
+  let server = await startServer({ dataDir });
+  try {
+    await uploadDocument(server, { userId: 'alice', content: 'The vault combination is 31-7-22.' });
+    await server.stop();
+
+    // The records file is lost, leaving the chunks without a document
+    fs.rmSync(path.join(dataDir, 'knowledge-base.json'));
+    server = await startServer({ dataDir });
+    const list = await (await server.request('/api/knowledge-base?userId=alice')).json();
+    assert.deepEqual(list.documents, []);
+    assert.equal(list.totalDocumentChunks, 0);
+    assert.deepEqual(readIndex(dataDir), []);
+
+    // A new document that reuses the record id doesn't inherit old chunks
+    const documentId = await uploadDocument(server, { userId: 'alice', content: 'The office opens at nine.' });
+    const result = await ask(server, 'What is the vault combination?');
+    assert.ok(!result.answer.includes('31-7-22'));
+    assert.ok(result.citations.every(citation => citation.documentId === documentId));
+  } finally {
+    await server.stop();
+    removeDataDir(dataDir);
+  }
+});
+
+test('the log is compacted once stale lines outnumber live chunks', async () => {
+  // Without a MongoDB connection the repository uses the on-disk index in this process too
+  const dataDir = makeDataDir();
+  process.env.CHUNK_INDEX_PATH = indexPath(dataDir);
+  try {
+    const chunk = (i, text) => ({ chunkId: `chunk-${i}`, pageContent: text, metadata: { fileId: 'notes.txt' }, embedding: [] });
+    await chunkRepository.addChunks([0, 1, 2, 3, 4].map(i => chunk(i, 'draft')));
+    for (let edit = 1; edit <= 1200; edit++) {
+      await chunkRepository.updateChunk(chunk(edit % 5, `edit ${edit}`));
+    }
+    await chunkRepository.removeChunksByIds(['chunk-4']);
+
+    assert.ok(readLog(dataDir).length < 300);
+    assert.deepEqual(readIndex(dataDir).map(stored => stored.pageContent), ['edit 1200', 'edit 1196', 'edit 1197', 'edit 1198']);
+  } finally {
+    delete process.env.CHUNK_INDEX_PATH;
+    removeDataDir(dataDir);
+  }
+});
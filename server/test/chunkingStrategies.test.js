@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  packUnits,
+  splitText,
+  resolveChunkingOptions,
+  characterBudget,
+  estimateTokens,
+  ChunkingOptionsError
+} from '../services/chunkingStrategies.js';
+
+const characterLength = (text) => text.length;
+
+test('packUnits starts each chunk with the units of the previous one that fit the overlap', () => {
+  assert.deepEqual(packUnits(['a', 'b', 'c', 'd', 'e'], 5, 1, characterLength, ' '), ['a b c', 'c d e']);
+  assert.deepEqual(packUnits(['a', 'b', 'c', 'd', 'e'], 5, 3, characterLength, ' '), ['a b c', 'b c d', 'c d e']);
+  assert.deepEqual(packUnits(['a', 'b', 'c', 'd', 'e'], 5, 0, characterLength, ' '), ['a b c', 'd e']);
+
+  // The overlap is dropped when it leaves no room for the next unit
+  assert.deepEqual(packUnits(['aaaa', 'bbbb', 'cccccccc'], 9, 4, characterLength, ' '), ['aaaa bbbb', 'cccccccc']);
+  // A unit larger than the chunk size is kept whole
+  assert.deepEqual(packUnits(['tiny', 'enormous-unit'], 5, 0, characterLength, ' '), ['tiny', 'enormous-unit']);
+});
+
+test('the sentence strategy keeps sentences whole and overlaps by whole sentences', () => {
+  const sentences = [
+    'Badges are issued at reception.',
+    'Lost badges cost ten euros!',
+    'Visitors sign in at the front desk.',
+    'Is parking free? Only after six.',
+    'The gym opens at seven.'
+  ];
+  const options = resolveChunkingOptions({ strategy: 'sentence', chunkSize: 100, chunkOverlap: 40 });
+  const chunks = splitText(sentences.join(' '), options);
+
+  assert.deepEqual(chunks, [
+    'Badges are issued at reception. Lost badges cost ten euros! Visitors sign in at the front desk.',
+    'Visitors sign in at the front desk. Is parking free? Only after six. The gym opens at seven.'
+  ]);
+  assert.ok(chunks.every(chunk => chunk.length <= 100));
+
+  // A sentence longer than the chunk size is broken between words
+  const long = splitText(`${'word '.repeat(60)}end.`, options);
+  assert.ok(long.length > 1);
+  assert.ok(long.every(chunk => chunk.length <= 100 && !chunk.startsWith(' ')));
+});
+
+test('the token strategy packs words by estimated tokens with a token overlap', () => {
+  const words = Array.from({ length: 80 }, (_, i) => `w${i}`);
+  const chunks = splitText(words.join(' '), resolveChunkingOptions({ strategy: 'token', chunkSize: 32, chunkOverlap: 8 }));
+
+  assert.deepEqual(chunks, [
+    words.slice(0, 32).join(' '),
+    words.slice(24, 56).join(' '),
+    words.slice(48, 80).join(' ')
+  ]);
+  assert.equal(estimateTokens('an extraordinarily long word'), 7);
+  assert.equal(characterBudget({ strategy: 'token', chunkSize: 32 }), 128);
+  assert.equal(characterBudget({ strategy: 'fixed', chunkSize: 500 }), 500);
+});
+
+test('the section strategy keeps a section whole or repeats its heading on every part', () => {
+  const options = resolveChunkingOptions({ strategy: 'section', chunkSize: 400 });
+  const short = 'Setup\n\nRun npm install.';
+  assert.deepEqual(splitText(short, options, 'Setup'), [short]);
+
+  const heading = 'Guide > Setup';
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `Step ${i + 1}. ${'Follow the instructions carefully. '.repeat(3)}`.trim());
+  const chunks = splitText(`${heading}\n\n${paragraphs.join('\n\n')}`, options, heading);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.startsWith(`${heading}\n\n`) && chunk.length <= 400));
+  assert.ok(chunks.every(chunk => !chunk.slice(heading.length).includes(heading)));
+  paragraphs.forEach(paragraph => assert.ok(chunks.some(chunk => chunk.includes(paragraph))));
+});
+
+test('an empty section becomes a placeholder chunk', () => {
+  assert.deepEqual(splitText('  \n ', resolveChunkingOptions()), ['[Empty document]']);
+});
+
+test('resolveChunkingOptions fills in defaults and reads form values', () => {
+  assert.deepEqual(resolveChunkingOptions(), { strategy: 'fixed', chunkSize: 1000, chunkOverlap: 100 });
+  assert.deepEqual(resolveChunkingOptions({ strategy: 'token' }), { strategy: 'token', chunkSize: 256, chunkOverlap: 32 });
+  assert.deepEqual(resolveChunkingOptions({ strategy: 'sentence', chunkSize: '600', chunkOverlap: '' }),
+    { strategy: 'sentence', chunkSize: 600, chunkOverlap: 150 });
+  // The default overlap never exceeds half of a small chunk size
+  assert.deepEqual(resolveChunkingOptions({ chunkSize: 150 }), { strategy: 'fixed', chunkSize: 150, chunkOverlap: 75 });
+});
+
+test('resolveChunkingOptions rejects unknown strategies and bad sizes or overlaps', () => {
+  const rejects = (options, message) => assert.throws(() => resolveChunkingOptions(options),
+    error => error instanceof ChunkingOptionsError && message.test(error.message));
+
+  rejects({ strategy: 'paragraph' }, /strategy must be one of: fixed, sentence, token, section/);
+  rejects({ chunkSize: 99 }, /Chunk size must be a whole number of characters from 100 to 8000/);
+  rejects({ chunkSize: 8001 }, /from 100 to 8000/);
+  rejects({ chunkSize: '250.5' }, /Chunk size/);
+  rejects({ chunkSize: 'large' }, /Chunk size/);
+  rejects({ strategy: 'token', chunkSize: 2001 }, /whole number of tokens from 32 to 2000/);
+  rejects({ chunkSize: 400, chunkOverlap: 201 }, /Chunk overlap must be a whole number of characters from 0 to half the chunk size/);
+  rejects({ chunkSize: 400, chunkOverlap: -1 }, /Chunk overlap/);
+  rejects({ strategy: 'token', chunkSize: 64, chunkOverlap: 33 }, /Chunk overlap must be a whole number of tokens/);
+});
@@ -0,0 +1,168 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument } from './helpers.js';
+
+let server;
+let handbookId;
+let specId;
+let bobNotesId;
+
+const json = async (route, options) => {
+  const response = await server.request(route, options);
+  return { status: response.status, body: await response.json() };
+};
+
+const listCollections = async (userId) => (await json(`/api/collections?userId=${userId}`)).body.collections;
+
+const createCollection = (userId, name, description) =>
+  json('/api/collections', { method: 'POST', body: { userId, name, description } });
+
+const deleteCollection = (collectionId, userId) =>
+  json(`/api/collections/${collectionId}?userId=${userId}`, { method: 'DELETE' });
+
+const assignCollections = (documentId, userId, collectionIds) =>
+  json(`/api/knowledge-base/${documentId}/collections`, { method: 'PUT', body: { userId, collectionIds } });
+
+const share = (documentId, userId, sharedWith) =>
+  json(`/api/knowledge-base/${documentId}/sharing`, { method: 'PUT', body: { userId, sharedWith } });
+
+const ask = async (userId, question, collectionIds) =>
+  (await json('/api/answer', { method: 'POST', body: { question, userId, collectionIds } })).body;
+
+before(async () => {
+  server = await startServer();
+  handbookId = await uploadDocument(server, { userId: 'alice', filename: 'handbook.txt', content: 'Parental leave lasts sixteen weeks.' });
+  specId = await uploadDocument(server, { userId: 'alice', filename: 'spec.txt', content: 'The API rate limit is 600 requests per minute.' });
+  bobNotesId = await uploadDocument(server, { userId: 'bob', filename: 'bob.txt', content: 'Bob waters the office plants on Mondays.' });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('creates, lists, renames and deletes collections', async () => {
+  const created = await createCollection('alice', '  HR  ', ' People policies ');
+  assert.equal(created.status, 201);
+  const { id: hrId, name, description, documentCount } = created.body.collection;
+  assert.deepEqual({ name, description, documentCount }, { name: 'HR', description: 'People policies', documentCount: 0 });
+
+  const engineering = (await createCollection('alice', 'Engineering')).body.collection;
+  assert.deepEqual((await listCollections('alice')).map(collection => collection.name).sort(), ['Engineering', 'HR']);
+
+  const renamed = await json(`/api/collections/${engineering.id}`, {
+    method: 'PUT',
+    body: { userId: 'alice', name: 'Platform', description: 'Specs' }
+  });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual([renamed.body.collection.name, renamed.body.collection.description], ['Platform', 'Specs']);
+
+  assert.equal((await deleteCollection(engineering.id, 'alice')).status, 200);
+  assert.deepEqual((await listCollections('alice')).map(collection => collection.id), [hrId]);
+  assert.equal((await deleteCollection(engineering.id, 'alice')).status, 404);
+
+  await deleteCollection(hrId, 'alice');
+});
+
+test('rejects missing, overlong and repeated collection names', async () => {
+  const finance = (await createCollection('alice', 'Finance')).body.collection;
+  const legal = (await createCollection('alice', 'Legal')).body.collection;
+
+  assert.equal((await createCollection('alice', '   ')).status, 400);
+  assert.equal((await createCollection('alice', 'x'.repeat(101))).status, 400);
+  const repeated = await createCollection('alice', 'finance');
+  assert.equal(repeated.status, 409);
+  assert.match(repeated.body.error, /already have a collection named "finance"/);
+
+  const clash = await json(`/api/collections/${legal.id}`, { method: 'PUT', body: { userId: 'alice', name: 'FINANCE' } });
+  assert.equal(clash.status, 409);
+  // Renaming a collection to its own name in another case is not a clash
+  const same = await json(`/api/collections/${finance.id}`, { method: 'PUT', body: { userId: 'alice', name: 'FINANCE' } });
+  assert.equal(same.status, 200);
+
+  // Names only have to be unique per user
+  assert.equal((await createCollection('bob', 'Finance')).status, 201);
+
+  await deleteCollection(finance.id, 'alice');
+  await deleteCollection(legal.id, 'alice');
+});
+
+test('documents are assigned to collections, which then scope answers', async () => {
+  const people = (await createCollection('alice', 'People')).body.collection;
+  const systems = (await createCollection('alice', 'Systems')).body.collection;
+
+  const assigned = await assignCollections(handbookId, 'alice', [people.id, people.id]);
+  assert.equal(assigned.status, 200);
+  assert.deepEqual(assigned.body.collections, [people.id]);
+  await assignCollections(specId, 'alice', [systems.id]);
+
+  const counts = Object.fromEntries((await listCollections('alice')).map(collection => [collection.name, collection.documentCount]));
+  assert.deepEqual(counts, { People: 1, Systems: 1 });
+
+  const scoped = await ask('alice', 'How long is parental leave?', [systems.id]);
+  assert.ok(scoped.citations.every(citation => citation.documentId === specId));
+  const unscoped = await ask('alice', 'How long is parental leave?');
+  assert.ok(unscoped.citations.some(citation => citation.documentId === handbookId));
+
+  assert.equal((await assignCollections(handbookId, 'alice', 'not-a-list')).status, 400);
+  const unknown = await assignCollections(handbookId, 'alice', ['no-such-collection']);
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /Unknown collection: no-such-collection/);
+
+  // Deleting a collection keeps its documents but takes them out of it
+  await deleteCollection(people.id, 'alice');
+  const { documents } = (await json('/api/knowledge-base?userId=alice')).body;
+  assert.deepEqual(documents.find(doc => doc.id === handbookId).collections, []);
+  assert.deepEqual(documents.find(doc => doc.id === specId).collections, [systems.id]);
+
+  await deleteCollection(systems.id, 'alice');
+});
+
+test('another user cannot see, change, delete or use someone else\'s collections', async () => {
+  const board = (await createCollection('alice', 'Board')).body.collection;
+  await assignCollections(handbookId, 'alice', [board.id]);
+
+  assert.ok((await listCollections('bob')).every(collection => collection.id !== board.id));
+
+  const rename = await json(`/api/collections/${board.id}`, { method: 'PUT', body: { userId: 'bob', name: 'Mine now' } });
+  assert.equal(rename.status, 404);
+  assert.equal((await deleteCollection(board.id, 'bob')).status, 404);
+  assert.ok((await listCollections('alice')).some(collection => collection.id === board.id && collection.name === 'Board'));
+
+  // Their documents can't go into it, and its documents can't be reassigned by them
+  assert.equal((await assignCollections(bobNotesId, 'bob', [board.id])).status, 400);
+  assert.equal((await assignCollections(handbookId, 'bob', [])).status, 404);
+
+  // Naming the collection in a question doesn't reach its documents
+  const answer = await ask('bob', 'How long is parental leave?', [board.id]);
+  assert.ok(answer.citations.every(citation => citation.documentId !== handbookId));
+  assert.ok(!answer.answer.includes('sixteen weeks'));
+
+  await deleteCollection(board.id, 'alice');
+});
+
+test('only the owner can share a document, with a cleaned-up list of users', async () => {
+  const shared = await share(specId, 'alice', [' bob ', 'bob', 'alice', 'carol']);
+  assert.equal(shared.status, 200);
+  assert.deepEqual(shared.body.sharedWith, ['bob', 'carol']);
+
+  assert.equal((await share(specId, 'alice', 'bob')).status, 400);
+  assert.equal((await share(specId, 'alice', ['bob', ''])).status, 400);
+  assert.equal((await share('no-such-document', 'alice', ['bob'])).status, 404);
+
+  // Bob sees the document without its owner's collections or sharing list, and can't pass it on
+  const { documents } = (await json('/api/knowledge-base?userId=bob')).body;
+  const sharedWithBob = documents.find(doc => doc.id === specId);
+  assert.equal(sharedWithBob.shared, true);
+  assert.deepEqual(sharedWithBob.collections, []);
+  assert.equal(sharedWithBob.sharedWith, undefined);
+  assert.equal((await share(specId, 'bob', ['mallory'])).status, 404);
+  assert.equal((await assignCollections(specId, 'bob', [])).status, 404);
+
+  const answer = await ask('bob', 'What is the API rate limit?');
+  assert.ok(answer.citations.some(citation => citation.documentId === specId));
+
+  await share(specId, 'alice', []);
+  const unshared = await ask('bob', 'What is the API rate limit?');
+  assert.ok(unshared.citations.every(citation => citation.documentId !== specId));
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument } from './helpers.js';
+
+const QUESTION = 'When does the library close?';
+
+let server;
+
+const compare = async (body) => {
+  const response = await server.request('/api/answer/compare', { method: 'POST', body: { question: QUESTION, ...body } });
+  return { status: response.status, body: await response.json() };
+};
+
+const choose = async (comparisonId, model, userId) => {
+  const response = await server.request(`/api/answer/compare/${comparisonId}/choose`, { method: 'POST', body: { model, userId } });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = await startServer({ env: { FAKE_LLM_MODELS: 'fake-small,fake-large' } });
+  await uploadDocument(server, { filename: 'library.txt', content: 'The library closes at 8 pm on weekdays.' });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('answers the same question with each model, side by side', async () => {
+  const { status, body } = await compare({ models: ['fake-small', 'fake-large'] });
+  assert.equal(status, 200);
+  assert.ok(body.comparisonId);
+  assert.deepEqual(body.answers.map(answer => answer.model), ['fake-small', 'fake-large']);
+
+  body.answers.forEach(answer => {
+    assert.ok(answer.answer.startsWith(`(${answer.model})`));
+    assert.ok(answer.answer.includes('8 pm'));
+    assert.equal(typeof answer.latencyMs, 'number');
+    assert.equal(answer.usage.totalTokens, answer.usage.promptTokens + answer.usage.completionTokens);
+  });
+  // Both models get the same prompt
+  assert.equal(body.answers[0].usage.promptTokens, body.answers[1].usage.promptTokens);
+  assert.equal(body.citations[0].filename.endsWith('.txt'), true);
+});
+
+test('only the chosen answer is stored in the conversation', async () => {
+  const created = await (await server.request('/api/conversations', { method: 'POST', body: {} })).json();
+  const conversationId = created.conversation.id;
+
+  const { body } = await compare({ models: ['fake-small', 'fake-large'], conversationId });
+  let { conversation } = await (await server.request(`/api/conversations/${conversationId}`)).json();
+  assert.deepEqual(conversation.messages, []);
+
+  assert.equal((await choose(body.comparisonId, 'fake-large', 'mallory')).status, 404);
+  assert.equal((await choose(body.comparisonId, 'fake-medium')).status, 400);
+
+  const chosen = await choose(body.comparisonId, 'fake-large');
+  assert.equal(chosen.status, 200);
+
+  ({ conversation } = await (await server.request(`/api/conversations/${conversationId}`)).json());
+  assert.deepEqual(conversation.messages.map(message => message.role), ['user', 'assistant']);
+  assert.equal(conversation.messages[1].model, 'fake-large');
+  assert.ok(conversation.messages[1].content.startsWith('(fake-large)'));
+
+  // A comparison is decided once
+  assert.equal((await choose(body.comparisonId, 'fake-small')).status, 404);
+});
+
+test('needs at least two known models', async () => {
+  assert.equal((await compare({ models: ['fake-small'] })).status, 400);
+  assert.equal((await compare({ models: ['fake-small', 'fake-small'] })).status, 400);
+  assert.equal((await compare({ models: ['fake-small', 'no-such-model'] })).status, 400);
+  assert.equal((await compare({ models: 'fake-small,fake-large' })).status, 400);
+});
@@ -0,0 +1,121 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  getTokenBudget,
+  allocateBudget,
+  fitSources,
+  splitHistory,
+  summarizeMessages,
+  countMessageTokens
+} from '../services/contextWindow.js';
+import apiService from '../services/apiService.js';
+import answerService from '../services/answerService.js';
+import { startServer, makeDataDir, removeDataDir } from './helpers.js';
+
+const message = (role, words) => ({ role, content: 'word '.repeat(words).trim() });
+
+afterEach(() => {
+  delete process.env.MAX_PROMPT_TOKENS;
+  delete process.env.MODEL_CONTEXT_WINDOWS;
+});
+
+test('budgets known models by their window, capped at the prompt ceiling', () => {
+  assert.deepEqual(getTokenBudget('openai/gpt-4o'), { model: 'openai/gpt-4o', contextWindow: 128000, reply: 1024, prompt: 16000 });
+  // OpenAI's own API leaves out the "openai/" prefix
+  assert.equal(getTokenBudget('gpt-4o').contextWindow, 128000);
+  assert.equal(getTokenBudget('some-unknown-model').contextWindow, 8192);
+  assert.equal(getTokenBudget('some-unknown-model').prompt, 8192 - 1024);
+});
+
+test('reads the prompt ceiling and extra windows from the environment when asked', () => {
+  // Set after the module was imported, as when dotenv runs after the imports
+  process.env.MAX_PROMPT_TOKENS = '4000';
+  process.env.MODEL_CONTEXT_WINDOWS = 'llama3.1=131072, tiny-model=2048, broken, bad=lots';
+
+  assert.equal(getTokenBudget('openai/gpt-4o').prompt, 4000);
+  assert.equal(getTokenBudget('llama3.1').contextWindow, 131072);
+  assert.equal(getTokenBudget('tiny-model').prompt, 2048 - 1024);
+  assert.equal(getTokenBudget('bad').contextWindow, 8192);
+});
+
+test('splits the room left into knowledge and history allowances', () => {
+  const budget = { prompt: 1000 };
+  assert.deepEqual(allocateBudget(budget, 200), { knowledge: 480, history: 320 });
+  assert.deepEqual(allocateBudget(budget, 5000), { knowledge: 0, history: 0 });
+});
+
+test('takes sources in rank order, shortening only the top one', () => {
+  const top = 'alpha '.repeat(400);
+  const { included, dropped } = fitSources([top, 'beta gamma', 'delta '.repeat(400)], 150, 5);
+
+  assert.deepEqual(included.map(source => source.index), [0, 1]);
+  assert.ok(included[0].text.endsWith('…'));
+  assert.ok(included[0].text.length < top.length);
+  assert.equal(dropped, 1);
+});
+
+test('keeps recent history whole and leaves older turns for a summary', () => {
+  const messages = [
+    message('user', 200), message('assistant', 200),
+    message('user', 20), message('assistant', 20),
+    message('user', 20), message('assistant', 20)
+  ];
+  const total = messages.reduce((sum, entry) => sum + countMessageTokens(entry), 0);
+
+  assert.deepEqual(splitHistory(messages, total), { older: [], recent: messages, summaryTokens: 0 });
+
+  const { older, recent, summaryTokens } = splitHistory(messages, 200);
+  assert.deepEqual(older, messages.slice(0, 2));
+  assert.deepEqual(recent, messages.slice(2));
+  assert.equal(recent[0].role, 'user');
+  assert.equal(summaryTokens, 50);
+});
+
+test('history is summarized by the provider and model chosen for the answer', async (t) => {
+  const requests = [];
+  t.mock.method(apiService, 'getCompletion', async (messages, options) => {
+    requests.push(options);
+    return { choices: [{ message: { content: ' The user asked about parking. ' } }] };
+  });
+  const target = { provider: 'local', model: 'llama3.1' };
+
+  const summary = await summarizeMessages([message('user', 5)], '', 100, target);
+  assert.equal(summary, 'The user asked about parking.');
+  assert.deepEqual(requests[0], { provider: 'local', model: 'llama3.1', temperature: 0.2, max_tokens: 100 });
+
+  const history = [message('user', 200), message('assistant', 200), message('user', 20), message('assistant', 20)];
+  const { summary: folded, summarizedCount } = await answerService.compressHistory(null, history, 100, target);
+  assert.equal(folded, 'The user asked about parking.');
+  assert.equal(summarizedCount, 2);
+  assert.equal(requests[1].provider, 'local');
+  assert.equal(requests[1].model, 'llama3.1');
+});
+
+test('the server honours MAX_PROMPT_TOKENS from .env and summarizes what does not fit', async () => {
+  const dataDir = makeDataDir();
+  fs.writeFileSync(path.join(dataDir, '.env'), 'MAX_PROMPT_TOKENS=600\n');
+  const server = await startServer({ dataDir });
+  try {
+    const created = await (await server.request('/api/conversations', { method: 'POST', body: {} })).json();
+    const conversationId = created.conversation.id;
+
+    let result;
+    for (let turn = 1; turn <= 6; turn++) {
+      const response = await server.request('/api/answer', {
+        method: 'POST',
+        body: { question: `Turn ${turn}: ${'please remember this detail '.repeat(12)}`, conversationId }
+      });
+      result = await response.json();
+      assert.equal(result.contextUsage.budget, 600);
+      assert.ok(result.contextUsage.used <= 600);
+    }
+
+    assert.ok(result.contextUsage.summarizedMessages > 0);
+    assert.ok(result.contextUsage.summary > 0);
+  } finally {
+    await server.stop();
+    removeDataDir(dataDir);
+  }
+});
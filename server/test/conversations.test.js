@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir } from './helpers.js';
+
+let server;
+
+const createConversation = async (userId = 'default-user') => {
+  const response = await server.request('/api/conversations', { method: 'POST', body: { userId } });
+  assert.equal(response.status, 201);
+  return (await response.json()).conversation.id;
+};
+
+const ask = async (body) => {
+  const response = await server.request('/api/answer', { method: 'POST', body });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('answers are stored in their conversation and listed per user', async () => {
+  const conversationId = await createConversation();
+  await ask({ question: 'What is the capital of France?', conversationId });
+  await ask({ question: 'And of Spain?', conversationId });
+
+  const { conversation } = await (await server.request(`/api/conversations/${conversationId}`)).json();
+  assert.deepEqual(conversation.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(conversation.messages[2].content, 'And of Spain?');
+
+  const { conversations } = await (await server.request('/api/conversations')).json();
+  assert.ok(conversations.some(entry => entry.id === conversationId && entry.messageCount === 4));
+
+  const others = await (await server.request('/api/conversations?userId=mallory')).json();
+  assert.deepEqual(others.conversations, []);
+});
+
+test('history comes from the stored conversation, never from the request', async () => {
+  const bogusHistory = [{ role: 'user', content: 'word '.repeat(500) }, { role: 'assistant', content: 'ok' }];
+
+  const standalone = await ask({ question: 'What time is it?', history: bogusHistory });
+  assert.equal(standalone.contextUsage.history, 0);
+
+  const conversationId = await createConversation();
+  const first = await ask({ question: 'What time is it?', conversationId, history: bogusHistory });
+  assert.equal(first.contextUsage.history, 0);
+
+  const second = await ask({ question: 'And tomorrow?', conversationId, history: bogusHistory });
+  assert.ok(second.contextUsage.history > 0);
+  assert.ok(second.contextUsage.history < 100);
+});
+
+test('conversations can be renamed and deleted by their owner only', async () => {
+  const conversationId = await createConversation();
+
+  const foreignRename = await server.request(`/api/conversations/${conversationId}`, {
+    method: 'PUT',
+    body: { title: 'Mine now', userId: 'mallory' }
+  });
+  assert.equal(foreignRename.status, 404);
+  assert.equal((await server.request(`/api/conversations/${conversationId}?userId=mallory`)).status, 404);
+  const foreignAnswer = await server.request('/api/answer', {
+    method: 'POST',
+    body: { question: 'Hello?', conversationId, userId: 'mallory' }
+  });
+  assert.equal(foreignAnswer.status, 404);
+
+  const rename = await server.request(`/api/conversations/${conversationId}`, { method: 'PUT', body: { title: '  Trip planning ' } });
+  assert.equal((await rename.json()).conversation.title, 'Trip planning');
+  assert.equal((await server.request(`/api/conversations/${conversationId}`, { method: 'PUT', body: { title: ' ' } })).status, 400);
+
+  assert.equal((await server.request(`/api/conversations/${conversationId}?userId=mallory`, { method: 'DELETE' })).status, 404);
+  assert.equal((await server.request(`/api/conversations/${conversationId}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await server.request(`/api/conversations/${conversationId}`)).status, 404);
+});
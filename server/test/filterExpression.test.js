@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterExpression, withFilterExpression, FilterExpressionError } from '../services/filterExpression.js';
+
+const chunk = (metadata) => ({ pageContent: '', metadata });
+
+const handbook = chunk({ filename: 'handbook.pdf', fileType: 'pdf', version: 2, tags: ['hr', 'people ops'], attributes: { product: 'Alpha', date: '2025-03-01', year: '2025' } });
+const pricing = chunk({ filename: 'pricing.csv', fileType: 'csv', version: 1, tags: ['sales'], attributes: { product: 'beta', date: '2024-11-15' } });
+const untagged = chunk({ filename: 'notes.txt', fileType: 'txt' });
+
+const matching = (expression) => {
+  const filter = withFilterExpression(null, expression);
+  return [handbook, pricing, untagged].filter(filter).map(doc => doc.metadata.filename);
+};
+
+test('parses comparisons joined by AND, OR, NOT and parentheses', () => {
+  assert.deepEqual(parseFilterExpression('product=alpha AND NOT (tag=hr OR type=csv)'), {
+    and: [
+      { field: 'product', operator: '=', value: 'alpha' },
+      { not: { or: [{ field: 'tag', operator: '=', value: 'hr' }, { field: 'type', operator: '=', value: 'csv' }] } }
+    ]
+  });
+  // AND binds tighter than OR
+  assert.deepEqual(Object.keys(parseFilterExpression('a=1 OR b=2 AND c=3')), ['or']);
+});
+
+test('matches metadata, built-in fields and tags ignoring case', () => {
+  assert.deepEqual(matching('product=ALPHA'), ['handbook.pdf']);
+  assert.deepEqual(matching('type=csv'), ['pricing.csv']);
+  assert.deepEqual(matching('tag="people ops"'), ['handbook.pdf']);
+  assert.deepEqual(matching('(tag=hr OR tag=sales) AND NOT type=csv'), ['handbook.pdf']);
+  assert.deepEqual(matching('filename~pric'), ['pricing.csv']);
+});
+
+test('compares numbers numerically and dates at the precision written', () => {
+  assert.deepEqual(matching('version>=2'), ['handbook.pdf']);
+  assert.deepEqual(matching('version<10'), ['handbook.pdf', 'pricing.csv']);
+  assert.deepEqual(matching('date>=2025'), ['handbook.pdf']);
+  assert.deepEqual(matching('date>2025'), []);
+  assert.deepEqual(matching('date<2025-01'), ['pricing.csv']);
+});
+
+test('a missing field only satisfies "not equal"', () => {
+  assert.deepEqual(matching('product!=alpha'), ['pricing.csv', 'notes.txt']);
+  assert.deepEqual(matching('tag!=hr'), ['pricing.csv', 'notes.txt']);
+  assert.deepEqual(matching('product~lph'), ['handbook.pdf']);
+});
+
+test('keeps an existing filter and leaves it unchanged without an expression', () => {
+  const onlyPdf = doc => doc.metadata.fileType === 'pdf';
+  assert.equal(withFilterExpression(onlyPdf, null), onlyPdf);
+  assert.deepEqual([handbook, pricing].filter(withFilterExpression(onlyPdf, 'tag=sales')), []);
+});
+
+test('reports where an expression is malformed', () => {
+  const cases = [
+    ['', /empty/],
+    ['product=', /Expected a value after "product="/],
+    ['product alpha', /Expected an operator after "product"/],
+    ['(tag=hr', /Expected "\)"/],
+    ['tag="hr', /Unclosed quote at position 5/],
+    ['tag=hr tag=sales', /Unexpected "tag" at position 8/]
+  ];
+  cases.forEach(([expression, message]) => {
+    assert.throws(() => parseFilterExpression(expression), error => error instanceof FilterExpressionError && message.test(error.message));
+  });
+});
+
+test('NOT binds tighter than AND, and AND tighter than OR, unless parenthesized', () => {
+  const a = { field: 'a', operator: '=', value: '1' };
+  const b = { field: 'b', operator: '=', value: '2' };
+  const c = { field: 'c', operator: '=', value: '3' };
+  const d = { field: 'd', operator: '=', value: '4' };
+
+  assert.deepEqual(parseFilterExpression('a=1 OR b=2 AND c=3'), { or: [a, { and: [b, c] }] });
+  assert.deepEqual(parseFilterExpression('(a=1 OR b=2) AND c=3'), { and: [{ or: [a, b] }, c] });
+  assert.deepEqual(parseFilterExpression('NOT a=1 AND b=2'), { and: [{ not: a }, b] });
+  assert.deepEqual(parseFilterExpression('NOT (a=1 AND b=2)'), { not: { and: [a, b] } });
+  assert.deepEqual(parseFilterExpression('a=1 and (b=2 or (c=3 AND NOT NOT d=4)) or d=4'), {
+    or: [{ and: [a, { or: [b, { and: [c, { not: { not: d } }] }] }] }, d]
+  });
+  assert.deepEqual(parseFilterExpression('((a=1))'), a);
+});
+
+test('quoted values keep spaces, keywords, operators and the other kind of quote', () => {
+  const value = (expression) => parseFilterExpression(expression).value;
+
+  assert.equal(value('title="Q3 plan AND budget"'), 'Q3 plan AND budget');
+  assert.equal(value("url='https://example.com/a?b=c&d=(e)'"), 'https://example.com/a?b=c&d=(e)');
+  assert.equal(value('title=\'say "hi"\''), 'say "hi"');
+  assert.equal(value('title="it\'s"'), "it's");
+  assert.equal(value('tag=""'), '');
+  // Keywords after an operator are values, not operators
+  assert.equal(value('status=OR'), 'OR');
+  assert.deepEqual(matching('tag=\'people ops\' AND product="alpha"'), ['handbook.pdf']);
+});
+
+test('reports unbalanced parentheses and dangling operators', () => {
+  const cases = [
+    ['(a=1', /Expected "\)" but found end of expression/],
+    ['a=1)', /Unexpected "\)" at position 4/],
+    ['((a=1)', /Expected "\)" but found end of expression/],
+    ['(a=1))', /Unexpected "\)" at position 6/],
+    ['()', /Expected a field name but found "\)" at position 2/],
+    ['a=1 AND', /Expected a field name but found end of expression/],
+    ['a=1 OR OR b=2', /Expected an operator after "OR"/],
+    ['NOT', /Expected a field name but found end of expression/],
+    ['=1', /Expected a field name but found "=" at position 1/],
+    ['a=(1)', /Expected a value after "a=" but found "\(" at position 3/],
+    ["title='unclosed", /Unclosed quote at position 7/]
+  ];
+  cases.forEach(([expression, message]) => {
+    assert.throws(() => parseFilterExpression(expression), error => error instanceof FilterExpressionError && message.test(error.message),
+      `${expression} should fail with ${message}`);
+  });
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import {
+  extractMarkdownSections,
+  extractHtmlSections,
+  extractJsonSections,
+  readWorkbookSheets
+} from '../services/formatExtractors.js';
+import { makeDataDir, removeDataDir } from './helpers.js';
+
+test('splits Markdown into heading sections with inline syntax removed', () => {
+  const sections = extractMarkdownSections([
+    'Intro line.',
+    '# Setup',
+    'Run **npm install** from [the root](./README.md).',
+    '## Install',
+    '```',
+    '# not a heading',
+    '```',
+    '| Tool | Version |',
+    '|------|:-------:|',
+    '| node | 20 |',
+    '# Usage',
+    '> Start with `npm start`.'
+  ].join('\n'));
+
+  assert.deepEqual(sections, [
+    { text: 'Intro line.', metadata: {} },
+    { text: 'Setup\n\nRun npm install from the root.', metadata: { heading: 'Setup', headingPath: 'Setup' } },
+    {
+      text: 'Setup > Install\n\n# not a heading\nTool | Version\nnode | 20',
+      metadata: { heading: 'Install', headingPath: 'Setup > Install' }
+    },
+    { text: 'Usage\n\nStart with npm start.', metadata: { heading: 'Usage', headingPath: 'Usage' } }
+  ]);
+});
+
+test('splits HTML into heading sections without navigation or scripts', () => {
+  const sections = extractHtmlSections(`
+    <html><head><title>Help Centre</title><script>track()</script></head>
+    <body>
+      <nav>Home | Pricing</nav>
+      <main>
+        <h1>Billing</h1>
+        <p>Invoices go out monthly.</p>
+        <h2>Refunds</h2>
+        <ul><li>Within 30 days</li><li>Original card only</li></ul>
+        <table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$10</td></tr></table>
+      </main>
+      <footer>© Example</footer>
+    </body></html>`);
+
+  assert.deepEqual(sections.map(section => section.metadata), [
+    { title: 'Help Centre', heading: 'Billing', headingPath: 'Billing' },
+    { title: 'Help Centre', heading: 'Refunds', headingPath: 'Billing > Refunds' }
+  ]);
+  assert.equal(sections[0].text, 'Billing\n\nInvoices go out monthly.');
+  assert.equal(sections[1].text, 'Billing > Refunds\n\n- Within 30 days\n- Original card only\nPlan | Price\nPro | $10');
+  assert.ok(sections.every(section => !/Pricing|track|Example/.test(section.text)));
+});
+
+test('flattens JSON into path: value lines grouped by their outer keys', () => {
+  const sections = extractJsonSections(JSON.stringify({
+    name: 'api',
+    paths: { '/users': { get: { summary: 'List users' } } },
+    tags: [],
+    servers: [{ url: 'https://example.com' }]
+  }), 1000);
+
+  assert.deepEqual(sections, [
+    { text: 'name: "api"', chunked: true, metadata: { jsonPath: '$' } },
+    { text: 'paths["/users"].get.summary: "List users"', chunked: true, metadata: { jsonPath: 'paths["/users"]' } },
+    { text: 'tags: []', chunked: true, metadata: { jsonPath: 'tags' } },
+    { text: 'servers[0].url: "https://example.com"', chunked: true, metadata: { jsonPath: 'servers[0]' } }
+  ]);
+
+  // A group longer than the chunk size is split between whole lines
+  const long = extractJsonSections(JSON.stringify({ items: Array.from({ length: 6 }, (_, i) => `item ${i}`) }), 40);
+  assert.ok(long.length > 1);
+  assert.ok(long.every(section => section.text.split('\n').every(line => /^items\[\d\]: "item \d"$/.test(line))));
+
+  assert.throws(() => extractJsonSections('{ "unclosed": ', 1000), SyntaxError);
+});
+
+test('reads each XLSX sheet as a table under its first non-empty row', async () => {
+  const dataDir = makeDataDir();
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const sales = workbook.addWorksheet('Sales');
+    sales.addRow([]);
+    sales.addRow(['Region', 'Revenue', 'Closed', null]);
+    sales.addRow(['North', 1200, new Date(Date.UTC(2024, 0, 15)), 'extra']);
+    sales.addRow(['South', { formula: 'B3*2', result: 2400 }, null]);
+    sales.addRow([{ richText: [{ text: 'We' }, { text: 'st' }] }, { text: 'n/a', hyperlink: 'https://example.com' }]);
+    workbook.addWorksheet('Empty');
+    const filePath = path.join(dataDir, 'sales.xlsx');
+    await workbook.xlsx.writeFile(filePath);
+
+    const [salesSheet, emptySheet] = await readWorkbookSheets(filePath);
+    assert.deepEqual(salesSheet.headers, ['Region', 'Revenue', 'Closed', 'Column 4']);
+    assert.deepEqual(salesSheet.rows, [
+      { Region: 'North', Revenue: '1200', Closed: '2024-01-15', 'Column 4': 'extra' },
+      { Region: 'South', Revenue: '2400', Closed: '', 'Column 4': '' },
+      { Region: 'West', Revenue: 'n/a', Closed: '', 'Column 4': '' }
+    ]);
+    assert.deepEqual(emptySheet, { sheet: 'Empty', headers: [], rows: [] });
+  } finally {
+    removeDataDir(dataDir);
+  }
+});
@@ -0,0 +1,142 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('../server.js', import.meta.url));
+
+// Lines the server logs once the chunk store has been loaded (or failed to)
+const READY_PATTERN = /Loaded \d+ chunks from the chunk store|Error loading documents/;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+export const makeDataDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'qnabot-test-'));
+
+// Start server.js in its own process with the offline fake model and no MongoDB,
+// so documents and chunks are kept in files in `dataDir`. Resolves once it is ready.
+export const startServer = async ({ dataDir = makeDataDir(), env = {} } = {}) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverPath], {
+    cwd: dataDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      // Nothing listens on port 1, so the server falls back to its local stores
+      MONGODB_URI: 'mongodb://127.0.0.1:1/qnabot-test',
+      CHUNK_INDEX_PATH: path.join(dataDir, 'chunk-index.jsonl'),
+      LLM_PROVIDER: 'fake',
+      LLM_PROVIDERS: 'fake',
+      EMBEDDING_PROVIDER: 'local',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 30000);
+    const onData = (data) => {
+      output += data;
+      if (READY_PATTERN.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    baseUrl,
+    dataDir,
+    get output() {
+      return output;
+    },
+    request: (route, options = {}) => fetch(`${baseUrl}${route}`, {
+      ...options,
+      headers: options.body && !(options.body instanceof FormData)
+        ? { 'Content-Type': 'application/json', ...options.headers }
+        : options.headers,
+      body: options.body && !(options.body instanceof FormData) ? JSON.stringify(options.body) : options.body
+    }),
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) {
+        return resolve();
+      }
+      child.removeAllListeners('exit');
+      child.on('exit', () => resolve());
+      child.kill();
+    })
+  };
+};
+
+export const removeDataDir = (dataDir) => fs.rmSync(dataDir, { recursive: true, force: true });
+
+// Wait for an ingestion job to finish; resolves to the finished job
+export const waitForJob = async (server, job, userId = 'default-user') => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const response = await server.request(`/api/knowledge-base/jobs/${job.id}?userId=${encodeURIComponent(userId)}`);
+    const { job: current } = await response.json();
+    if (current.status === 'done' || current.status === 'failed') {
+      return current;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${job.id} did not finish`);
+};
+
+// Upload a text document for `userId` and wait until it is indexed; resolves to its id
+export const uploadDocument = async (server, { userId = 'default-user', filename = 'notes.txt', content, fields = {} }) => {
+  const form = new FormData();
+  form.append('document', new Blob([content], { type: 'text/plain' }), filename);
+  form.append('userId', userId);
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+
+  const response = await server.request('/api/knowledge-base/upload', { method: 'POST', body: form });
+  const body = await response.json();
+  if (response.status !== 202) {
+    throw new Error(`Upload failed with ${response.status}: ${JSON.stringify(body)}`);
+  }
+
+  const job = await waitForJob(server, body.job, userId);
+  if (job.status !== 'done') {
+    throw new Error(`Ingestion failed: ${JSON.stringify(job)}`);
+  }
+  return job.documentId;
+};
+
+// Read a Server-Sent Events response to its end as { status, events: [{ event, data }] },
+// or { status, body, events: [] } when the server answered with JSON instead
+const readEvents = async (response) => {
+  const text = await response.text();
+  if (!response.headers.get('content-type')?.startsWith('text/event-stream')) {
+    return { status: response.status, body: JSON.parse(text), events: [] };
+  }
+  const events = text.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+  return { status: response.status, events };
+};
+
+// POST a question to /api/answer/stream and collect its events as [{ event, data }]
+export const streamAnswer = async (server, body) =>
+  readEvents(await server.request('/api/answer/stream', { method: 'POST', body }));
+
+// GET an event stream such as /api/knowledge-base/jobs/:id/events and collect its
+// events until the server closes it
+export const followEvents = async (server, route) => readEvents(await server.request(route));
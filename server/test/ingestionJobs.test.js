@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, followEvents } from './helpers.js';
+
+const STAGES = ['queued', 'parsing', 'chunking', 'indexing', 'done'];
+
+let server;
+
+const upload = async (route, field, files) => {
+  const form = new FormData();
+  files.forEach(([filename, content]) => form.append(field, new Blob([content], { type: 'text/plain' }), filename));
+  const response = await server.request(route, { method: 'POST', body: form });
+  assert.equal(response.status, 202);
+  return response.json();
+};
+
+const uploadFile = async (filename, content) => (await upload('/api/knowledge-base/upload', 'document', [[filename, content]])).job;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('a job\'s event stream follows it through each stage until it is done', async () => {
+  const job = await uploadFile('lockers.txt', 'Lockers are on the second floor next to the gym.');
+  const { status, events } = await followEvents(server, `/api/knowledge-base/jobs/${job.id}/events`);
+
+  assert.equal(status, 200);
+  assert.ok(events.every(event => event.event === 'progress' && event.data.id === job.id));
+  const statuses = events.map(event => event.data.status);
+  assert.deepEqual(statuses, [...statuses].sort((a, b) => STAGES.indexOf(a) - STAGES.indexOf(b)));
+  const progress = events.map(event => event.data.progress);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+
+  const finished = events[events.length - 1].data;
+  assert.equal(finished.status, 'done');
+  assert.equal(finished.progress, 100);
+  assert.equal(finished.chunkCount, 1);
+  assert.ok(finished.documentId);
+
+  // Following a finished job sends its final state once and closes
+  const again = await followEvents(server, `/api/knowledge-base/jobs/${job.id}/events`);
+  assert.deepEqual(again.events.map(event => event.data.status), ['done']);
+});
+
+test('a file that cannot be parsed reports failed with the reason', async () => {
+  const job = await uploadFile('scan.pdf', 'this is not really a PDF');
+  const { events } = await followEvents(server, `/api/knowledge-base/jobs/${job.id}/events`);
+
+  const finished = events[events.length - 1].data;
+  assert.equal(finished.status, 'failed');
+  assert.equal(finished.message, 'Processing failed');
+  assert.ok(finished.error);
+  assert.equal(finished.documentId, null);
+
+  const { documents } = await (await server.request('/api/knowledge-base')).json();
+  assert.ok(documents.every(doc => doc.title !== 'scan.pdf'));
+});
+
+test('a batch streams every job, runs them one at a time and closes once all finish', async () => {
+  const { batchId, jobs } = await upload('/api/knowledge-base/upload/batch', 'documents', [
+    ['canteen.txt', 'The canteen opens at noon.'],
+    ['broken.pdf', 'not a PDF either'],
+    ['parking.txt', 'Visitors park in lot B.']
+  ]);
+  const { status, events } = await followEvents(server, `/api/knowledge-base/batches/${batchId}/events`);
+  assert.equal(status, 200);
+
+  const last = new Map(events.map(event => [event.data.id, event.data]));
+  assert.deepEqual(jobs.map(job => last.get(job.id).status), ['done', 'failed', 'done']);
+  assert.ok(events.every(event => event.data.batchId === batchId));
+
+  // Jobs run one at a time, so no two are ever between queued and finished together
+  const current = new Map();
+  events.forEach(event => {
+    current.set(event.data.id, event.data.status);
+    const running = [...current.values()].filter(value => ['parsing', 'chunking', 'indexing'].includes(value));
+    assert.ok(running.length <= 1);
+  });
+
+  const { jobs: listed } = await (await server.request('/api/knowledge-base/jobs')).json();
+  assert.ok(jobs.every(job => listed.some(entry => entry.id === job.id)));
+});
+
+test('unknown jobs and other users\' jobs are not streamed', async () => {
+  const job = await uploadFile('desks.txt', 'Hot desks can be booked a week ahead.');
+
+  assert.equal((await server.request('/api/knowledge-base/jobs/no-such-job/events')).status, 404);
+  assert.equal((await server.request(`/api/knowledge-base/jobs/${job.id}/events?userId=mallory`)).status, 404);
+  assert.equal((await server.request('/api/knowledge-base/batches/no-such-batch/events')).status, 404);
+  await followEvents(server, `/api/knowledge-base/jobs/${job.id}/events`);
+});
@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument, streamAnswer } from './helpers.js';
+
+const ALICE_SECRET = 'PELICAN-7781';
+const QUESTION = 'What is the launch code for the rocket?';
+
+let server;
+let aliceDocumentId;
+
+const ask = async (userId, question = QUESTION) => {
+  const response = await server.request('/api/answer', { method: 'POST', body: { question, userId } });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+const search = async (userId, q = 'launch code rocket') => {
+  const response = await server.request(`/api/knowledge-base/search?q=${encodeURIComponent(q)}&userId=${userId}`);
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+const mentionsSecret = (value) => JSON.stringify(value).includes(ALICE_SECRET);
+
+before(async () => {
+  server = await startServer();
+  aliceDocumentId = await uploadDocument(server, {
+    userId: 'alice',
+    filename: 'alice-launch.txt',
+    content: `The rocket launch code is ${ALICE_SECRET}. Keep the launch code secret.`
+  });
+  await uploadDocument(server, {
+    userId: 'bob',
+    filename: 'bob-garden.txt',
+    content: 'The garden grows tomatoes and basil. The rocket salad needs watering every morning.'
+  });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('the owner retrieves their own document', async () => {
+  const result = await ask('alice');
+  assert.ok(result.citations.some(citation => citation.documentId === aliceDocumentId));
+  assert.ok(result.answer.includes(ALICE_SECRET));
+
+  const { results } = await search('alice');
+  assert.equal(results[0].documentId, aliceDocumentId);
+});
+
+test('another user never gets the document through answer, search or stream', async () => {
+  const result = await ask('bob');
+  assert.ok(result.citations.every(citation => citation.documentId !== aliceDocumentId));
+  assert.ok(!mentionsSecret(result));
+
+  const searchResult = await search('bob');
+  assert.ok(searchResult.results.every(entry => entry.documentId !== aliceDocumentId));
+  assert.ok(!mentionsSecret(searchResult));
+
+  const { status, events } = await streamAnswer(server, { question: QUESTION, userId: 'bob' });
+  assert.equal(status, 200);
+  assert.deepEqual([events[0].event, events[events.length - 1].event], ['metadata', 'done']);
+  assert.ok(!mentionsSecret(events));
+});
+
+test('a user with no documents gets nothing from other users', async () => {
+  const result = await ask('carol');
+  assert.deepEqual(result.citations, []);
+  assert.equal(result.usedKnowledgeBase, false);
+
+  const { results } = await search('carol');
+  assert.deepEqual(results, []);
+});
+
+test('another user cannot delete, share or re-index the document', async () => {
+  const remove = await server.request(`/api/knowledge-base/${aliceDocumentId}?userId=bob`, { method: 'DELETE' });
+  assert.equal(remove.status, 404);
+
+  const share = await server.request(`/api/knowledge-base/${aliceDocumentId}/sharing`, {
+    method: 'PUT',
+    body: { userId: 'bob', sharedWith: ['bob'] }
+  });
+  assert.equal(share.status, 404);
+
+  const reindex = await server.request(`/api/knowledge-base/${aliceDocumentId}/reindex`, {
+    method: 'POST',
+    body: { userId: 'bob' }
+  });
+  assert.equal(reindex.status, 404);
+
+  assert.ok(!mentionsSecret(await ask('bob')));
+});
+
+test('a shared document reaches the users it is shared with, and only them', async () => {
+  const share = await server.request(`/api/knowledge-base/${aliceDocumentId}/sharing`, {
+    method: 'PUT',
+    body: { userId: 'alice', sharedWith: ['bob'] }
+  });
+  assert.equal(share.status, 200);
+
+  const result = await ask('bob');
+  assert.ok(result.citations.some(citation => citation.documentId === aliceDocumentId));
+  assert.ok(result.answer.includes(ALICE_SECRET));
+
+  const { results } = await search('bob');
+  assert.ok(results.some(entry => entry.documentId === aliceDocumentId));
+
+  const { events } = await streamAnswer(server, { question: QUESTION, userId: 'bob' });
+  assert.ok(events[0].data.citations.some(citation => citation.documentId === aliceDocumentId));
+  assert.ok(events[events.length - 1].data.answer.includes(ALICE_SECRET));
+
+  const list = await (await server.request('/api/knowledge-base?userId=bob')).json();
+  const shared = list.documents.find(doc => doc.id === aliceDocumentId);
+  assert.equal(shared.shared, true);
+  assert.equal(shared.owner, 'alice');
+
+  assert.ok(!mentionsSecret(await ask('carol')));
+
+  // Unsharing takes it away again
+  await server.request(`/api/knowledge-base/${aliceDocumentId}/sharing`, {
+    method: 'PUT',
+    body: { userId: 'alice', sharedWith: [] }
+  });
+  assert.ok(!mentionsSecret(await ask('bob')));
+});
+
+test('a deleted document disappears from answers, search and streams', async () => {
+  await server.request(`/api/knowledge-base/${aliceDocumentId}/sharing`, {
+    method: 'PUT',
+    body: { userId: 'alice', sharedWith: ['bob'] }
+  });
+
+  const remove = await server.request(`/api/knowledge-base/${aliceDocumentId}?userId=alice`, { method: 'DELETE' });
+  assert.equal(remove.status, 200);
+  assert.ok((await remove.json()).removedChunks > 0);
+
+  for (const userId of ['alice', 'bob']) {
+    assert.ok(!mentionsSecret(await ask(userId)));
+    assert.ok(!mentionsSecret(await search(userId)));
+    const { events } = await streamAnswer(server, { question: QUESTION, userId });
+    assert.ok(!mentionsSecret(events));
+  }
+
+  const list = await (await server.request('/api/knowledge-base?userId=alice')).json();
+  assert.deepEqual(list.documents, []);
+});
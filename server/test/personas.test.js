@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, removeDataDir, uploadDocument } from './helpers.js';
+
+const QUESTION = 'What is the boiling point of the coolant?';
+
+let server;
+let collectionId;
+
+const createPersona = async (body) => {
+  const response = await server.request('/api/personas', { method: 'POST', body });
+  return { status: response.status, body: await response.json() };
+};
+
+const ask = async (body) => {
+  const response = await server.request('/api/answer', { method: 'POST', body: { question: QUESTION, ...body } });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+before(async () => {
+  server = await startServer();
+  const created = await (await server.request('/api/collections', { method: 'POST', body: { name: 'Lab notes' } })).json();
+  collectionId = created.collection.id;
+
+  await uploadDocument(server, { filename: 'coolant.txt', content: 'The boiling point of the coolant is 106 degrees.' });
+  await uploadDocument(server, { filename: 'lab.txt', content: 'Lab notes list the room temperature.', fields: { collectionIds: collectionId } });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('personas are created, listed, updated and deleted by their owner only', async () => {
+  const { status, body } = await createPersona({ name: ' Tutor ', systemPrompt: 'You are a patient tutor.', temperature: 0.2, answerLength: 'short' });
+  assert.equal(status, 201);
+  assert.equal(body.persona.name, 'Tutor');
+  assert.deepEqual(body.persona.collectionIds, []);
+  const personaId = body.persona.id;
+
+  const listed = await (await server.request('/api/personas')).json();
+  assert.deepEqual(listed.personas.map(persona => persona.id), [personaId]);
+  assert.equal(listed.defaults.answerLength, 'medium');
+  assert.ok(listed.answerLengths.includes('short'));
+
+  const others = await (await server.request('/api/personas?userId=mallory')).json();
+  assert.deepEqual(others.personas, []);
+
+  const foreignUpdate = await server.request(`/api/personas/${personaId}`, { method: 'PUT', body: { name: 'Mine', userId: 'mallory' } });
+  assert.equal(foreignUpdate.status, 404);
+  assert.equal((await server.request(`/api/personas/${personaId}?userId=mallory`, { method: 'DELETE' })).status, 404);
+
+  // An update changes only what it sends
+  const update = await server.request(`/api/personas/${personaId}`, { method: 'PUT', body: { topP: 0.5 } });
+  const { persona } = await update.json();
+  assert.equal(persona.topP, 0.5);
+  assert.equal(persona.temperature, 0.2);
+  assert.equal(persona.systemPrompt, 'You are a patient tutor.');
+
+  assert.equal((await server.request(`/api/personas/${personaId}`, { method: 'DELETE' })).status, 200);
+  assert.deepEqual((await (await server.request('/api/personas')).json()).personas, []);
+});
+
+test('rejects invalid persona settings', async () => {
+  const valid = { name: 'Checker', systemPrompt: 'Check everything.' };
+  const cases = [
+    [{ ...valid, name: ' ' }, 400],
+    [{ ...valid, systemPrompt: undefined }, 400],
+    [{ ...valid, temperature: 3 }, 400],
+    [{ ...valid, temperature: '0.5' }, 400],
+    [{ ...valid, topP: 0 }, 400],
+    [{ ...valid, answerLength: 'epic' }, 400],
+    [{ ...valid, collectionIds: 'not-a-list' }, 400],
+    [{ ...valid, collectionIds: ['no-such-collection'] }, 400],
+    [{ ...valid, collectionIds: [collectionId], userId: 'mallory' }, 400]
+  ];
+  for (const [body, expected] of cases) {
+    assert.equal((await createPersona(body)).status, expected, JSON.stringify(body));
+  }
+
+  assert.equal((await createPersona(valid)).status, 201);
+  assert.equal((await createPersona({ ...valid, name: 'CHECKER' })).status, 409);
+  // Names only clash within one user's personas
+  assert.equal((await createPersona({ ...valid, userId: 'mallory' })).status, 201);
+});
+
+test('a persona sets the system prompt and the default collections of its answers', async () => {
+  const plain = await ask({});
+  assert.equal(plain.personaId, null);
+  assert.ok(plain.answer.includes('106 degrees'));
+
+  const { body } = await createPersona({
+    name: 'Lab assistant',
+    systemPrompt: `You are a lab assistant. ${'Always double check units. '.repeat(40)}`,
+    collectionIds: [collectionId]
+  });
+  const personaId = body.persona.id;
+
+  const scoped = await ask({ personaId });
+  assert.equal(scoped.personaId, personaId);
+  assert.ok(scoped.contextUsage.used > plain.contextUsage.used + 100);
+  // Only the lab notes collection is searched
+  assert.ok(scoped.citations.every(citation => citation.filename !== 'coolant.txt'));
+  assert.ok(!scoped.answer.includes('106 degrees'));
+
+  // Collections named in the request win over the persona's
+  const everywhere = await ask({ personaId, collectionIds: [] });
+  assert.ok(everywhere.answer.includes('106 degrees'));
+
+  const foreign = await server.request('/api/answer', { method: 'POST', body: { question: QUESTION, personaId, userId: 'mallory' } });
+  assert.equal(foreign.status, 404);
+});
+
+test('conversations keep their persona until it is deleted', async () => {
+  const { body } = await createPersona({ name: 'Brief', systemPrompt: `Be brief. ${'Never ramble. '.repeat(40)}` });
+  const personaId = body.persona.id;
+
+  const created = await (await server.request('/api/conversations', { method: 'POST', body: {} })).json();
+  const conversationId = created.conversation.id;
+
+  const first = await ask({ conversationId, personaId });
+  assert.equal(first.personaId, personaId);
+
+  const { conversation } = await (await server.request(`/api/conversations/${conversationId}`)).json();
+  assert.equal(conversation.personaId, personaId);
+
+  // Later questions without personaId keep the conversation's persona
+  const second = await ask({ conversationId });
+  assert.equal(second.personaId, personaId);
+
+  await server.request(`/api/personas/${personaId}`, { method: 'DELETE' });
+  const afterDelete = await ask({ conversationId });
+  assert.equal(afterDelete.personaId, null);
+
+  // An empty personaId switches a conversation back to the default assistant
+  const other = await createPersona({ name: 'Chatty', systemPrompt: 'Talk a lot.' });
+  await ask({ conversationId, personaId: other.body.persona.id });
+  assert.equal((await ask({ conversationId, personaId: '' })).personaId, null);
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, stem, tokenize, buildSnippet } from '../services/searchIndex.js';
+import documentProcessor from '../services/documentProcessor.js';
+import embeddingService from '../services/embeddingService.js';
+
+const chunk = (pageContent, metadata = {}) => ({ pageContent, metadata });
+
+test('tokenize drops stop words and stems inflections to one term', () => {
+  assert.deepEqual(tokenize('What is the policy?'), ['polici']);
+  assert.equal(stem('policies'), stem('policy'));
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('called'), 'call');
+  assert.deepEqual(tokenize("The company's policies"), ['compani', 'polici']);
+});
+
+test('a rare query term outweighs a common one', () => {
+  const index = new SearchIndex();
+  index.add('a', chunk('leave leave leave holiday calendar'));
+  index.add('b', chunk('leave request form and approval'));
+  index.add('c', chunk('leave balance for sabbatical'));
+  index.add('d', chunk('leave carry over rules'));
+
+  const results = index.search('sabbatical leave', 4);
+  assert.equal(results[0].doc.pageContent, 'leave balance for sabbatical');
+  assert.equal(results.length, 4);
+});
+
+test('term frequency saturates and longer chunks are normalized', () => {
+  const index = new SearchIndex();
+  index.add('short', chunk('expense report'));
+  index.add('long', chunk(`expense report ${'unrelated words about other things '.repeat(20)}`));
+  index.add('other', chunk('travel booking'));
+
+  const [first, second] = index.search('expense report', 2);
+  assert.equal(first.doc.pageContent, 'expense report');
+  assert.ok(first.score > second.score);
+
+  const repeated = new SearchIndex();
+  repeated.add('once', chunk('bonus payment schedule'));
+  repeated.add('many', chunk('bonus bonus bonus bonus bonus bonus payment schedule'));
+  repeated.add('none', chunk('salary review'));
+  const [many, once] = repeated.search('bonus', 2);
+  assert.equal(many.doc.pageContent.startsWith('bonus bonus'), true);
+  // BM25 caps the reward for repeating a term well below linear growth
+  assert.ok(many.score < once.score * 3);
+});
+
+test('filename terms count towards a match', () => {
+  const index = new SearchIndex();
+  index.add('a', chunk('Requests go to your manager.', { filename: 'parental-leave.pdf' }));
+  index.add('b', chunk('Requests go to the service desk.', { filename: 'laptops.pdf' }));
+
+  assert.equal(index.search('parental leave')[0].doc.metadata.filename, 'parental-leave.pdf');
+});
+
+test('search skips filtered chunks and chunks without a shared term', () => {
+  const index = new SearchIndex();
+  index.add('a', chunk('vacation days', { userId: 'alice' }));
+  index.add('b', chunk('vacation days', { userId: 'bob' }));
+  index.add('c', chunk('parking permits', { userId: 'bob' }));
+
+  const results = index.search('vacation', 5, doc => doc.metadata.userId === 'bob');
+  assert.deepEqual(results.map(result => result.doc.metadata.userId), ['bob']);
+  assert.deepEqual(index.search('the of and'), []);
+});
+
+test('removed chunks leave the index and its statistics', () => {
+  const index = new SearchIndex();
+  index.add('a', chunk('onboarding checklist'));
+  index.add('b', chunk('offboarding checklist'));
+
+  assert.equal(index.remove('a'), true);
+  assert.equal(index.remove('a'), false);
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.search('onboarding'), []);
+  assert.equal(index.postings.has('onboard'), false);
+
+  // Re-adding a key replaces its entry rather than counting it twice
+  index.add('b', chunk('offboarding checklist'));
+  assert.equal(index.size, 1);
+  assert.equal(index.totalLength, 2);
+});
+
+test('buildSnippet highlights the matching words', () => {
+  const { text, highlights } = buildSnippet('Employees accrue holidays monthly. Holiday requests need approval.', 'holiday');
+  assert.deepEqual(highlights.map(([start, end]) => text.slice(start, end)), ['holidays', 'Holiday']);
+});
+
+test('a search only checks the filter against chunks that share a query term', async () => {
+  documentProcessor.clearDocuments();
+  for (let i = 0; i < 1000; i++) {
+    const doc = { chunkId: `chunk-${i}`, pageContent: i % 500 === 7 ? 'zebra crossing rules' : `filler text number ${i}`, metadata: { filename: 'notes.txt' } };
+    documentProcessor.documents.push(doc);
+    documentProcessor.indexDocument(doc);
+  }
+
+  const checked = [];
+  const filter = (doc) => {
+    checked.push(doc.chunkId);
+    return doc.chunkId !== 'chunk-7';
+  };
+  const results = await documentProcessor.searchSimilarDocuments('zebra', 5, { mode: 'lexical', filter });
+
+  assert.deepEqual(results.map(doc => doc.chunkId), ['chunk-507']);
+  assert.deepEqual(checked.sort(), ['chunk-507', 'chunk-7']);
+  documentProcessor.clearDocuments();
+});
+
+test('hybrid ranking blends normalized BM25 and cosine scores by semanticWeight', async (t) => {
+  documentProcessor.clearDocuments();
+  const embeddingModel = embeddingService.getProviderId();
+  const docs = [
+    { chunkId: 'keywords', pageContent: 'refund policy and refund policy exceptions', embedding: [0, 1] },
+    { chunkId: 'meaning', pageContent: 'getting your money back after a purchase', embedding: [1, 0] },
+    { chunkId: 'both', pageContent: 'the refund window lasts thirty days', embedding: [0.8, 0.6] }
+  ].map(doc => ({ ...doc, metadata: { filename: 'faq.txt' }, embeddingModel }));
+  docs.forEach(doc => {
+    documentProcessor.documents.push(doc);
+    documentProcessor.indexDocument(doc);
+  });
+  t.mock.method(embeddingService, 'embedQuery', async () => [1, 0]);
+
+  const search = async (semanticWeight) => {
+    documentProcessor.semanticWeight = semanticWeight;
+    return (await documentProcessor.searchSimilarDocuments('refund policy', 3, { mode: 'hybrid' }))
+      .map(doc => [doc.chunkId, Number(doc.score.toFixed(4))]);
+  };
+  const [top, second] = documentProcessor.searchIndex.search('refund policy', 3);
+  assert.deepEqual([top.doc.chunkId, second.doc.chunkId], ['keywords', 'both']);
+  const lexicalBoth = second.score / top.score;
+
+  try {
+    // Chunks with a zero blended score are left out
+    assert.deepEqual(await search(0), [['keywords', 1], ['both', Number(lexicalBoth.toFixed(4))]]);
+    assert.deepEqual(await search(1), [['meaning', 1], ['both', 0.8]]);
+    assert.deepEqual(await search(0.5), [
+      ['both', Number((0.5 * 0.8 + 0.5 * lexicalBoth).toFixed(4))],
+      ['keywords', 0.5],
+      ['meaning', 0.5]
+    ]);
+  } finally {
+    documentProcessor.semanticWeight = 0.5;
+    documentProcessor.clearDocuments();
+  }
+});
+
+test('near-duplicate chunks are suppressed by shingle overlap', () => {
+  const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet',
+    'kilo', 'lima', 'mike', 'november', 'oscar', 'papa', 'quebec', 'romeo', 'sierra', 'tango'];
+  const withWord = (index, word) => words.map((entry, i) => (i === index ? word : entry)).join(' ');
+  const item = (chunkId, pageContent, score) => ({ doc: { chunkId, pageContent, metadata: { filename: `${chunkId}.txt` } }, score });
+  const ranked = [
+    item('original', words.join(' '), 0.9),
+    // Differs in its last word: 17 of 19 distinct shingles shared (0.89)
+    item('copy', withWord(19, 'uniform'), 0.8),
+    // Differs in a middle word: 15 of 21 shared (0.71)
+    item('revision', withWord(10, 'whiskey'), 0.7),
+    item('unrelated', 'parking permits are renewed every january', 0.6)
+  ];
+  const kept = (k) => documentProcessor.suppressNearDuplicates(ranked, k).map(result => result.doc.chunkId);
+
+  try {
+    assert.deepEqual(kept(5), ['original', 'revision', 'unrelated']);
+    // k counts kept chunks, not the duplicates skipped to reach them
+    assert.deepEqual(kept(2), ['original', 'revision']);
+
+    documentProcessor.duplicateThreshold = 0.7;
+    assert.deepEqual(kept(5), ['original', 'unrelated']);
+    documentProcessor.duplicateThreshold = 0.9;
+    assert.deepEqual(kept(5), ['original', 'copy', 'revision', 'unrelated']);
+  } finally {
+    documentProcessor.duplicateThreshold = 0.85;
+  }
+});
+
+test('a search returns one copy of a repeated passage', async () => {
+  documentProcessor.clearDocuments();
+  const passage = 'Expense reports are approved by the finance team within five working days of submission';
+  [
+    { chunkId: 'handbook', pageContent: `${passage}.` },
+    { chunkId: 'handbook-copy', pageContent: `${passage}!` },
+    { chunkId: 'travel', pageContent: 'Travel expense reports need receipts attached' }
+  ].forEach(doc => {
+    doc.metadata = { filename: `${doc.chunkId}.txt` };
+    documentProcessor.documents.push(doc);
+    documentProcessor.indexDocument(doc);
+  });
+
+  const results = await documentProcessor.searchSimilarDocuments('expense reports', 3, { mode: 'lexical' });
+  assert.equal(results.length, 2);
+  assert.equal(results.filter(doc => doc.chunkId.startsWith('handbook')).length, 1);
+  assert.ok(results.some(doc => doc.chunkId === 'travel'));
+  documentProcessor.clearDocuments();
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseNumber, inferColumnTypes } from '../services/csvParser.js';
+import { answerTableQuestion } from '../services/tableQuery.js';
+
+const CSV = [
+  'name,department,salary,start_date,remote',
+  'Ana,Engineering,"85,000",2021-03-01,yes',
+  'Ben,Sales,52000,2019-07-15,no',
+  'Cleo,Engineering,91000,2022-01-10,yes',
+  'Dev,"Sales, EMEA",47000,2020-11-30,no'
+].join('\n');
+
+const parseTable = (text, filename = 'staff.csv') => {
+  const { headers, rows } = parseCsv(text);
+  return { filename, headers, types: inferColumnTypes(headers, rows), rows };
+};
+
+test('parseCsv handles quoted fields, escaped quotes and line breaks inside quotes', () => {
+  const { headers, rows } = parseCsv('﻿id,note, \r\n1,"says ""hi"", then leaves",x\r\n\r\n2,"two\nlines"\n');
+  assert.deepEqual(headers, ['id', 'note', 'Column 3']);
+  assert.deepEqual(rows, [
+    { id: '1', note: 'says "hi", then leaves', 'Column 3': 'x' },
+    { id: '2', note: 'two\nlines', 'Column 3': '' }
+  ]);
+  assert.deepEqual(parseCsv('\n\n'), { headers: [], rows: [] });
+});
+
+test('parseNumber reads currency, percentages and thousands separators', () => {
+  assert.equal(parseNumber('$1,234.50'), 1234.5);
+  assert.equal(parseNumber('45%'), 45);
+  assert.equal(parseNumber('-1e3'), -1000);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('12 apples'), null);
+});
+
+test('inferColumnTypes looks at every non-empty value', () => {
+  const { types } = parseTable(`${CSV}\nEve,Support,,,`);
+  assert.deepEqual(types, {
+    name: 'string',
+    department: 'string',
+    salary: 'number',
+    start_date: 'date',
+    remote: 'boolean'
+  });
+  assert.deepEqual(inferColumnTypes(['mixed'], [{ mixed: '12' }, { mixed: 'twelve' }]), { mixed: 'string' });
+});
+
+test('answerTableQuestion computes each aggregate, with filters', () => {
+  const table = parseTable(CSV);
+  const ask = (question) => answerTableQuestion(question, table);
+
+  assert.equal(ask('What is the average salary?').value, 68750);
+  assert.equal(ask('What is the total salary in Engineering?').value, 176000);
+  assert.equal(ask('What is the highest salary?').value, 91000);
+  assert.equal(ask('What is the lowest salary in Sales?').value, 52000);
+  assert.equal(ask('What is the lowest salary in Sales, EMEA?').value, 47000);
+
+  const count = ask('How many people have a salary over 50000?');
+  assert.equal(count.operation, 'count');
+  assert.equal(count.value, 3);
+  assert.deepEqual(count.filters, [{ column: 'salary', operator: '>', value: 50000 }]);
+  assert.equal(count.description, 'count of rows in staff.csv where salary > 50000 = 3 (computed over 3 of 4 rows)');
+
+  // Not an aggregate, or nothing numeric to aggregate
+  assert.equal(ask('Who works in Sales?'), null);
+  assert.equal(ask('What is the average name?'), null);
+});
+
+test('min and max work on tables too large to spread into arguments', () => {
+  const rows = Array.from({ length: 200000 }, (_, i) => ({ amount: String(i - 5) }));
+  const table = { filename: 'big.csv', headers: ['amount'], types: { amount: 'number' }, rows };
+
+  assert.equal(answerTableQuestion('What is the max amount?', table).value, 199994);
+  assert.equal(answerTableQuestion('What is the min amount?', table).value, -5);
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import ingestionService from '../services/ingestionService.js';
+import documentProcessor from '../services/documentProcessor.js';
+import knowledgeBaseRepository from '../repositories/knowledgeBaseRepository.js';
+import { startServer, makeDataDir, removeDataDir, uploadDocument, waitForJob } from './helpers.js';
+
+const QUESTION = 'How many days of remote work are allowed?';
+
+let server;
+let documentId;
+
+const ask = async () => {
+  const response = await server.request('/api/answer', { method: 'POST', body: { question: QUESTION } });
+  return response.json();
+};
+
+const uploadVersion = async (content, note) => {
+  const form = new FormData();
+  form.append('document', new Blob([content], { type: 'text/plain' }), 'remote-work.txt');
+  form.append('note', note);
+  const response = await server.request(`/api/knowledge-base/${documentId}/versions`, { method: 'POST', body: form });
+  assert.equal(response.status, 202);
+  return waitForJob(server, (await response.json()).job);
+};
+
+const listVersions = async () => (await (await server.request(`/api/knowledge-base/${documentId}/versions`)).json()).versions;
+
+before(async () => {
+  server = await startServer();
+  documentId = await uploadDocument(server, {
+    filename: 'remote-work.txt',
+    content: 'Remote work is allowed two days per week.'
+  });
+});
+
+after(async () => {
+  await server.stop();
+  removeDataDir(server.dataDir);
+});
+
+test('a new version replaces the chunks answers come from', async () => {
+  const job = await uploadVersion('Remote work is allowed four days per week.', 'More remote days');
+  assert.equal(job.status, 'done');
+
+  const result = await ask();
+  assert.ok(result.answer.includes('four days'));
+  assert.ok(!JSON.stringify(result.citations).includes('two days'));
+  assert.equal(result.citations[0].version, 2);
+
+  const versions = await listVersions();
+  assert.deepEqual(versions.map(entry => [entry.version, entry.current]), [[2, true], [1, false]]);
+  assert.equal(versions[0].note, 'More remote days');
+});
+
+test('the same content as the current version is rejected', async () => {
+  const job = await uploadVersion('Remote work is allowed four days per week.', 'Again');
+  assert.equal(job.status, 'failed');
+  assert.equal((await listVersions()).length, 2);
+});
+
+test('rolling back restores the earlier chunks and keeps the history', async () => {
+  const response = await server.request(`/api/knowledge-base/${documentId}/versions/1/restore`, { method: 'POST', body: {} });
+  assert.equal(response.status, 202);
+  const job = await waitForJob(server, (await response.json()).job);
+  assert.equal(job.status, 'done');
+
+  const result = await ask();
+  assert.ok(result.answer.includes('two days'));
+  assert.ok(!JSON.stringify(result.citations).includes('four days'));
+
+  const versions = await listVersions();
+  assert.deepEqual(versions.map(entry => [entry.version, entry.current]), [[2, false], [1, true]]);
+
+  const stats = await (await server.request('/api/knowledge-base/stats')).json();
+  assert.equal(stats.documentChunkCount, 1);
+});
+
+test('unknown versions and other users are refused', async () => {
+  const missing = await server.request(`/api/knowledge-base/${documentId}/versions/9/restore`, { method: 'POST', body: {} });
+  assert.equal(missing.status, 404);
+
+  const otherUser = await server.request(`/api/knowledge-base/${documentId}/versions?userId=mallory`);
+  assert.equal(otherUser.status, 404);
+});
+
+test('a failed swap leaves the record and its chunks on the current version', async (t) => {
+  // Without a MongoDB connection the repositories use files in dataDir in this process too
+  const dataDir = makeDataDir();
+  process.env.CHUNK_INDEX_PATH = path.join(dataDir, 'chunk-index.jsonl');
+  const writeUpload = (name, content) => {
+    const filePath = path.join(dataDir, `${Math.random().toString(36).slice(2)}-${name}`);
+    fs.writeFileSync(filePath, content);
+    return { originalname: name, path: filePath, size: content.length, mimetype: 'text/plain' };
+  };
+  const chunkTexts = (document) => documentProcessor.getDocuments(doc => doc.metadata.documentId === String(document._id))
+    .map(doc => doc.pageContent);
+  try {
+    const document = await ingestionService.ingestFile(writeUpload('parking.txt', 'Parking is free after six.'), { userId: 'alice' }, () => {});
+    const documentId = String(document._id);
+
+    // The record can't be updated: the old chunks keep serving
+    const update = t.mock.method(knowledgeBaseRepository, 'updateDocument', async () => {
+      throw new Error('database went away');
+    });
+    await assert.rejects(
+      ingestionService.ingestVersion(documentId, writeUpload('parking.txt', 'Parking is free after seven.'), { userId: 'alice' }, () => {}),
+      /database went away/
+    );
+    update.mock.restore();
+    assert.deepEqual(chunkTexts(document), ['Parking is free after six.']);
+    assert.equal((await knowledgeBaseRepository.getDocumentById(documentId)).version, 1);
+
+    // The chunks can't be swapped: the record is put back
+    const replace = t.mock.method(documentProcessor, 'replaceDocuments', async () => {
+      throw new Error('chunk store is full');
+    });
+    await assert.rejects(
+      ingestionService.ingestVersion(documentId, writeUpload('parking.txt', 'Parking is free after eight.'), { userId: 'alice', note: 'Later' }, () => {}),
+      /chunk store is full/
+    );
+    replace.mock.restore();
+    const record = await knowledgeBaseRepository.getDocumentById(documentId);
+    assert.equal(record.version, 1);
+    assert.equal(record.fileId, document.fileId);
+    assert.deepEqual(record.versions, []);
+    assert.deepEqual(chunkTexts(document), ['Parking is free after six.']);
+
+    // With both working again the version goes through
+    const result = await ingestionService.ingestVersion(documentId, writeUpload('parking.txt', 'Parking is free after nine.'), { userId: 'alice' }, () => {});
+    assert.equal(result.documents[0].version, 2);
+    assert.deepEqual(chunkTexts(document), ['Parking is free after nine.']);
+  } finally {
+    delete process.env.CHUNK_INDEX_PATH;
+    removeDataDir(dataDir);
+  }
+});
@@ -0,0 +1,212 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { crawl, parseWebUrl } from '../services/webCrawler.js';
+import { startServer, removeDataDir, waitForJob } from './helpers.js';
+
+// Bigger than the crawler's 10 MB page limit
+const HUGE_PAGE_SIZE = 11 * 1024 * 1024;
+
+let site;
+let otherSite;
+// Paths the fixture sites were asked for, in order
+let requests = [];
+let otherRequests = [];
+
+const page = (title, links = []) =>
+  `<html><head><title>${title}</title></head><body><h1>${title}</h1>${links.map(href => `<a href="${href}">${href}</a>`).join(' ')}</body></html>`;
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+const routes = {
+  '/robots.txt': () => [200, 'text/plain', 'User-agent: *\nDisallow: /private\nAllow: /private/open\n\nUser-agent: other-bot\nDisallow: /\n'],
+  '/': () => [200, 'text/html', page('Home', [
+    '/a', '/a#section', '/b', '/private/secret', '/private/open', '/manual.pdf',
+    `${otherSite.url}/elsewhere`, '/redirect-away', '/redirect-to-b', '/huge', '/declared-huge', '/data.json'
+  ])],
+  '/a': () => [200, 'text/html', page('A', ['/a/deeper', '/'])],
+  '/a/deeper': () => [200, 'text/html', page('Deeper', ['/a/deepest'])],
+  '/a/deepest': () => [200, 'text/html', page('Deepest')],
+  '/b': () => [200, 'text/html', `<html><head><title>B</title></head><body><nav>Menu</nav><main><p>Building B has a rooftop garden open to all staff on Fridays.</p></main></body></html>`],
+  '/private/secret': () => [200, 'text/html', page('Secret')],
+  '/private/open': () => [200, 'text/html', page('Open')],
+  '/data.json': () => [200, 'application/json', '{}']
+};
+
+const handleSite = (req, res) => {
+  requests.push(req.url);
+
+  if (req.url === '/redirect-away') {
+    res.writeHead(302, { Location: `${otherSite.url}/landing` });
+    return res.end();
+  }
+  if (req.url === '/bounce') {
+    // Leaves the site and comes straight back
+    res.writeHead(302, { Location: `${otherSite.url}/bounce-back` });
+    return res.end();
+  }
+  if (req.url === '/loop') {
+    res.writeHead(307, { Location: '/loop' });
+    return res.end();
+  }
+  if (req.url === '/redirect-to-b') {
+    res.writeHead(301, { Location: '/b' });
+    return res.end();
+  }
+  if (req.url === '/declared-huge') {
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Length': HUGE_PAGE_SIZE });
+    return res.end();
+  }
+  if (req.url === '/huge') {
+    // No content-length: the crawler has to count the bytes as they arrive
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    const block = Buffer.alloc(64 * 1024, 'a');
+    let sent = 0;
+    const write = () => {
+      while (sent < HUGE_PAGE_SIZE) {
+        sent += block.length;
+        if (!res.write(block)) {
+          return res.once('drain', write);
+        }
+      }
+      res.end();
+    };
+    res.on('error', () => {});
+    return write();
+  }
+
+  const route = routes[req.url];
+  if (!route) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    return res.end(page('Not found'));
+  }
+  const [status, contentType, body] = route();
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+};
+
+before(async () => {
+  site = http.createServer(handleSite);
+  site.url = await listen(site);
+  otherSite = http.createServer((req, res) => {
+    otherRequests.push(req.url);
+    if (req.url === '/bounce-back') {
+      res.writeHead(302, { Location: `${site.url}/b` });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(page('Elsewhere', ['/more']));
+  });
+  otherSite.url = await listen(otherSite);
+});
+
+after(() => {
+  site.closeAllConnections();
+  otherSite.closeAllConnections();
+  site.close();
+  otherSite.close();
+});
+
+const crawlSite = (options) => {
+  requests = [];
+  return crawl(parseWebUrl(`${site.url}/`), options);
+};
+
+const paths = (entries) => entries.map(entry => new URL(entry.url).pathname);
+
+test('depth 0 fetches only the start page', async () => {
+  const { pages, failed } = await crawlSite({ depth: 0 });
+  assert.deepEqual(paths(pages), ['/']);
+  assert.equal(pages[0].title, 'Home');
+  assert.deepEqual(failed, []);
+});
+
+test('follows same-site links one level at a time', async () => {
+  const { pages } = await crawlSite({ depth: 1 });
+  assert.deepEqual(paths(pages), ['/', '/a', '/b', '/private/open']);
+
+  const deeper = await crawlSite({ depth: 2 });
+  assert.ok(paths(deeper.pages).includes('/a/deeper'));
+  assert.ok(!paths(deeper.pages).includes('/a/deepest'));
+});
+
+test('never leaves the start origin, not even through a redirect', async () => {
+  const { pages, failed } = await crawlSite({ depth: 2 });
+  assert.ok(pages.every(entry => entry.url.startsWith(site.url)));
+  assert.ok(!pages.some(entry => entry.title === 'Elsewhere'));
+
+  const redirect = failed.find(entry => entry.url.endsWith('/redirect-away'));
+  assert.match(redirect.reason, /redirects to another site/);
+});
+
+test('checks the origin of every redirect hop, not just where it ends', async () => {
+  otherRequests = [];
+  await assert.rejects(crawl(`${site.url}/bounce`), /redirects to another site \(http:\/\/127\.0\.0\.1:\d+\/bounce-back\)/);
+  // The other site is never contacted
+  assert.deepEqual(otherRequests, []);
+
+  await assert.rejects(crawl(`${site.url}/loop`), /redirects more than 5 times/);
+});
+
+test('skips pages robots.txt disallows', async () => {
+  const { pages, failed } = await crawlSite({ depth: 1 });
+  assert.ok(!requests.includes('/private/secret'));
+  assert.ok(paths(pages).includes('/private/open'));
+  assert.match(failed.find(entry => entry.url.endsWith('/private/secret')).reason, /disallowed by robots\.txt/);
+
+  await assert.rejects(crawl(`${site.url}/private/secret`), /disallowed by robots\.txt/);
+});
+
+test('rejects pages over the size limit, with or without a content-length', async () => {
+  const { failed } = await crawlSite({ depth: 1 });
+  for (const path of ['/huge', '/declared-huge']) {
+    assert.match(failed.find(entry => entry.url.endsWith(path)).reason, /larger than the upload size limit/);
+  }
+  assert.match(failed.find(entry => entry.url.endsWith('/data.json')).reason, /not an HTML page/);
+});
+
+test('fetches each page once, however it is linked', async () => {
+  const { pages } = await crawlSite({ depth: 2 });
+
+  // "/a#section" is "/a", and "/redirect-to-b" lands on the already crawled "/b"
+  assert.equal(paths(pages).filter(path => path === '/a').length, 1);
+  assert.equal(paths(pages).filter(path => path === '/b').length, 1);
+  assert.equal(requests.filter(path => path === '/a').length, 1);
+  assert.equal(requests.filter(path => path === '/').length, 1);
+  assert.ok(!requests.includes('/manual.pdf'));
+});
+
+test('stops after maxPages pages', async () => {
+  const { pages } = await crawlSite({ depth: 2, maxPages: 2 });
+  assert.deepEqual(paths(pages), ['/', '/a']);
+});
+
+test('only accepts http and https URLs', () => {
+  assert.equal(parseWebUrl('ftp://example.com/file'), null);
+  assert.equal(parseWebUrl('not a url'), null);
+  assert.equal(parseWebUrl('https://example.com/page#top'), 'https://example.com/page');
+});
+
+test('the URL route ingests crawled pages and cites their URLs', async () => {
+  const server = await startServer();
+  try {
+    const response = await server.request('/api/knowledge-base/url', {
+      method: 'POST',
+      body: { url: `${site.url}/redirect-to-b`, depth: 0 }
+    });
+    assert.equal(response.status, 202);
+    const job = await waitForJob(server, (await response.json()).job);
+    assert.equal(job.status, 'done');
+
+    const answer = await (await server.request('/api/answer', {
+      method: 'POST',
+      body: { question: 'When is the rooftop garden open?' }
+    })).json();
+    assert.equal(answer.citations[0].url, `${site.url}/b`);
+    assert.ok(answer.answer.includes('rooftop garden'));
+    assert.ok(!answer.citations[0].content.includes('Menu'));
+  } finally {
+    await server.stop();
+    removeDataDir(server.dataDir);
+  }
+});